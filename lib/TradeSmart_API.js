@@ -4,6 +4,19 @@ import axios from "axios";
 import { createHash } from "crypto";
 import { DateTime } from "luxon";
 import { TOTP } from "totp-generator";
+import { FileSessionStore, isSessionFresh } from "./TradeSmart_Session.js";
+import {
+  AuthError,
+  NetworkError,
+  OrderRejectedError,
+  RateLimitError,
+  TimeoutError,
+  TradeSmartError,
+  ValidationError,
+} from "./TradeSmart_Errors.js";
+import { RequestQueue, withRetry } from "./TradeSmart_RateLimiter.js";
+import { consoleLogger, createLogger, errorFields } from "./TradeSmart_Logger.js";
+import { QuoteCache } from "./TradeSmart_QuoteCache.js";
 
 export class TradeSmartAPI {
   #baseURL = "https://v2api.tradesmartonline.in//NorenWClientTP";
@@ -14,7 +27,45 @@ export class TradeSmartAPI {
   #vc = "";
   #apikey = "";
   #totpkey = "";
-  #debug = false;
+  #autoRelogin = true;
+
+  /**
+   * @type {import("./TradeSmart_Logger.js").LibraryLogger}
+   */
+  #log = createLogger();
+
+  /**
+   * @type {import("./TradeSmart_Session.js").SessionStore|null}
+   */
+  #sessionStore = null;
+
+  /**
+   * Pending re-login shared by concurrent requests failing with expired session
+   * @type {Promise<Object>|null}
+   */
+  #reloginPromise = null;
+
+  /**
+   * Sockets which receive new token after every login
+   * @type {Set<import("./TradeSmart_WS.js").TradeSmartWS>}
+   */
+  #sockets = new Set();
+  #timeout = 7000;
+
+  /**
+   * @type {RequestQueue}
+   */
+  #requestQueue;
+
+  /**
+   * @type {import("./TradeSmart_RateLimiter.js").RetryPolicy}
+   */
+  #retryPolicy = { retries: 3, baseDelay: 250, maxDelay: 4000 };
+
+  /**
+   * @type {import("./TradeSmart_Risk.js").RiskManager|null}
+   */
+  #risk = null;
 
   /**
    * @type {import("axios").AxiosInstance}
@@ -29,15 +80,42 @@ export class TradeSmartAPI {
    * @param {String} vc Vendor Code
    * @param {String} apikey API Key
    * @param {String} totpkey TOTP Key
+   * @param {Object} [options]
+   * @param {String} [options.baseURL] REST base url, defaults to TradeSmart NorenWClientTP
+   * @param {import("./TradeSmart_Session.js").SessionStore|null} [options.sessionStore] Session store, defaults to FileSessionStore. Pass null to disable persistence.
+   * @param {Boolean} [options.autoRelogin=true] Re-login with TOTP and retry request once when session expires
+   * @param {Number} [options.timeout=7000] Request timeout in milliseconds
+   * @param {Object<String, import("./TradeSmart_RateLimiter.js").RateLimit>} [options.rateLimits] Limits by route e.g. { "/PlaceOrder": { rate: 10, interval: 1000 } }, "*" applies to all routes combined
+   * @param {import("./TradeSmart_RateLimiter.js").RetryPolicy} [options.retry] Retry policy for idempotent reads, order requests are never retried
+   * @param {import("./TradeSmart_Risk.js").RiskManager} [options.risk] Pre-trade checks applied by placeorder and modifyOrder
+   * @param {import("./TradeSmart_Logger.js").Logger} [options.logger] Receives request route, latency, status and order id with secrets redacted, silent when not set
    *
    */
-  constructor(uid, pwd, vc, apikey, totpkey) {
+  constructor(uid, pwd, vc, apikey, totpkey, options = {}) {
     this.#uid = uid;
     this.#actid = uid;
     this.#pwd = pwd;
     this.#vc = vc;
     this.#apikey = apikey;
     this.#totpkey = totpkey;
+    this.#baseURL = options.baseURL || this.#baseURL;
+    this.#sessionStore =
+      options.sessionStore === undefined
+        ? new FileSessionStore()
+        : options.sessionStore;
+    this.#autoRelogin = options.autoRelogin ?? true;
+    this.#timeout = options.timeout ?? this.#timeout;
+    this.#retryPolicy = { ...this.#retryPolicy, ...options.retry };
+    this.#risk = options.risk || null;
+    this.#log = createLogger(options.logger);
+    this.#requestQueue = new RequestQueue({
+      "*": { rate: 20, interval: 1000 },
+      [this.#routes.placeorder]: { rate: 10, interval: 1000 },
+      [this.#routes.modifyorder]: { rate: 10, interval: 1000 },
+      [this.#routes.cancelorder]: { rate: 10, interval: 1000 },
+      [this.#routes.exitorder]: { rate: 10, interval: 1000 },
+      ...options.rateLimits,
+    });
 
     this.#apiClient = this.#createAxiosInstance();
   }
@@ -54,8 +132,72 @@ export class TradeSmartAPI {
     tradebook: "/TradeBook",
     holdings: "/Holdings",
     tpseries: "/TPSeries",
+    quotes: "/GetQuotes",
+    searchscrip: "/SearchScrip",
+    securityinfo: "/GetSecurityInfo",
+    eodchartdata: "/EODChartData",
+    optionchain: "/GetOptionChain",
+    indexlist: "/GetIndexList",
+    userdetails: "/UserDetails",
   };
 
+  /**
+   * Order actions, sent ahead of book reads and never retried
+   */
+  #orderRoutes = [
+    this.#routes.placeorder,
+    this.#routes.modifyorder,
+    this.#routes.cancelorder,
+    this.#routes.exitorder,
+  ];
+
+  /**
+   * Reads which are safe to retry on transient failures
+   */
+  #idempotentRoutes = [
+    this.#routes.limits,
+    this.#routes.positions,
+    this.#routes.orderbook,
+    this.#routes.tradebook,
+    this.#routes.holdings,
+    this.#routes.tpseries,
+    this.#routes.quotes,
+    this.#routes.searchscrip,
+    this.#routes.securityinfo,
+    this.#routes.eodchartdata,
+    this.#routes.optionchain,
+    this.#routes.indexlist,
+    this.#routes.userdetails,
+  ];
+
+  /**
+   * Numeric fields of scrip details in search, option chain and security info responses
+   */
+  #scripNumericFields = [
+    "pp",
+    "ls",
+    "ti",
+    "mult",
+    "prcftr",
+    "strprc",
+    "frzqty",
+    "uc",
+    "lc",
+    "elmbmrg",
+    "elmsmrg",
+    "addbmrg",
+    "addsmrg",
+    "splbmrg",
+    "splsmrg",
+    "delmrg",
+    "tenmrg",
+    "elmmrg",
+    "varmrg",
+    "expmrg",
+    "wk52_h",
+    "wk52_l",
+  ];
+
   /**
    * Creates Axios Instance for api client
    * @returns {import("axios").AxiosInstance}
@@ -63,10 +205,15 @@ export class TradeSmartAPI {
   #createAxiosInstance() {
     const axiosInstance = axios.create({
       baseURL: this.#baseURL,
-      timeout: 7000,
+      timeout: this.#timeout,
     });
 
     axiosInstance.interceptors.request.use((config) => {
+      // keep payload for errors and logs, data is replaced by encoded body
+      if (config.rawData === undefined) {
+        config.rawData = config.data;
+      }
+
       const objtostr = (obj = {}) => {
         let newobj = {};
         Object.keys(obj).forEach((key) => {
@@ -76,60 +223,239 @@ export class TradeSmartAPI {
         return newobj;
       };
 
-      let data = `jData=${JSON.stringify(objtostr(config.data))}`;
+      let data = `jData=${JSON.stringify(objtostr(config.rawData))}`;
       if (this.#susertoken) {
         data = data + `&jKey=${this.#susertoken}`;
       }
       config.data = data;
+      config.startedAt = Date.now();
 
-      if (this.#debug) {
-        console.log(config);
-      }
+      this.#log.debug(`${config.url} request`, { route: config.url, payload: config.rawData });
       return config;
     });
 
     axiosInstance.interceptors.response.use(
       (response) => {
-        if (this.#debug) {
-          console.log(response);
-        }
         if (response.data?.stat !== "Ok" && !Array.isArray(response.data)) {
           if (response.data?.emsg && response.data?.emsg.includes("no data")) {
+            this.#logResponse(response.config, response.status, response.data);
             return null;
           } else {
-            throw new Error(`Server Error : ${response.data?.emsg}`);
+            const serverError = this.#createServerError(response);
+            this.#logResponse(response.config, response.status, response.data, serverError);
+            throw serverError;
           }
         }
 
+        this.#logResponse(response.config, response.status, response.data);
         return response;
       },
       (error) => {
-        if (this.#debug) {
-          console.log("error", error);
+        if (error instanceof TradeSmartError) {
+          throw error;
         }
+        const details = {
+          route: error.config?.url,
+          payload: error.config?.rawData,
+          cause: error,
+        };
+        let failure;
         if (error.response) {
-          throw new Error(`Response Error ${error.response.data?.emsg}`);
+          failure = this.#createServerError(error.response, details);
+        } else if (
+          error.code === "ECONNABORTED" ||
+          error.code === "ETIMEDOUT"
+        ) {
+          failure = new TimeoutError(`Request timed out : ${error.message}`, details);
         } else if (error.request) {
-          throw new Error(`Request Error ${error.status} ${error.statusText}`);
+          failure = new NetworkError(`Network Error : ${error.message}`, details);
         } else {
-          throw new Error(`General Error :  ${error.message}`);
+          failure = new TradeSmartError(`General Error : ${error.message}`, details);
         }
+        this.#logResponse(error.config, error.response?.status, error.response?.data, failure);
+        throw failure;
       }
     );
 
     return axiosInstance;
   }
 
+  /**
+   * Logs completed request, order actions at info, other routes at debug and failures at error
+   * @param {Object} [config] axios request config
+   * @param {Number} [status] HTTP status
+   * @param {Object} [data] response body
+   * @param {TradeSmartError} [error]
+   */
+  #logResponse(config, status, data, error) {
+    const route = config?.url;
+    const fields = {
+      route,
+      status,
+      latency: config?.startedAt ? Date.now() - config.startedAt : undefined,
+    };
+    const norenordno = data?.norenordno || config?.rawData?.norenordno;
+    if (norenordno) {
+      fields.norenordno = norenordno;
+    }
+    if (error) {
+      this.#log.error(`${route} failed`, { ...fields, ...errorFields(error) });
+    } else if (this.#orderRoutes.includes(route)) {
+      this.#log.info(`${route} ok`, fields);
+    } else {
+      this.#log.debug(`${route} ok`, fields);
+    }
+  }
+
+  /**
+   * Builds error for Not_Ok / non 2xx response based on route and status
+   * @param {import("axios").AxiosResponse} response
+   * @param {import("./TradeSmart_Errors.js").ErrorDetails} [details]
+   * @returns {TradeSmartError}
+   */
+  #createServerError(response, details = {}) {
+    const route = response.config?.url;
+    const emsg = response.data?.emsg;
+    const status = response.status;
+    details = {
+      route,
+      payload: response.config?.rawData,
+      status,
+      emsg,
+      ...details,
+    };
+    const message = `${route} failed : ${emsg || response.statusText || status}`;
+    if (status === 429 || /rate limit|too many/i.test(emsg || "")) {
+      return new RateLimitError(message, details);
+    }
+    if (
+      status === 401 ||
+      status === 403 ||
+      route === this.#routes.login ||
+      this.#isSessionExpired(response.data)
+    ) {
+      return new AuthError(message, details);
+    }
+    if (this.#orderRoutes.includes(route)) {
+      return new OrderRejectedError(message, details);
+    }
+    return new TradeSmartError(message, {
+      retryable: status >= 500,
+      ...details,
+    });
+  }
+
+  /**
+   * Sends request through rate limited queue, retrying idempotent reads.
+   * When session expires, logs in again and sends request once more through the queue.
+   * @param {String} route
+   * @param {Object} data
+   * @returns {Promise<import("axios").AxiosResponse|null>}
+   */
+  async #post(route, data) {
+    const priority =
+      this.#orderRoutes.includes(route) || route === this.#routes.login ? 0 : 1;
+    const send = () =>
+      this.#requestQueue.schedule(
+        route,
+        () => this.#apiClient.post(route, data),
+        priority
+      );
+    const attempt = this.#idempotentRoutes.includes(route)
+      ? () => withRetry(send, this.#retryPolicy)
+      : send;
+
+    const token = this.#susertoken;
+    try {
+      return await attempt();
+    } catch (error) {
+      if (
+        !this.#autoRelogin ||
+        route === this.#routes.login ||
+        !(error instanceof AuthError) ||
+        !this.#isSessionExpired({ stat: "Not_Ok", emsg: error.emsg })
+      ) {
+        throw error;
+      }
+      // requests sent with an older token wait for the login already made instead of starting another
+      if (this.#susertoken === token) {
+        this.#log.info("Session expired, logging in again", { route });
+        await this.#relogin();
+      } else if (this.#reloginPromise) {
+        await this.#reloginPromise;
+      }
+      return attempt();
+    }
+  }
+
+  /**
+   * Returns copy of object with listed string fields converted to numbers
+   * @param {Object} obj
+   * @param {String[]} fields
+   */
+  #parseNumbers(obj, fields) {
+    const parsed = { ...obj };
+    fields.forEach((key) => {
+      if (parsed[key] !== undefined && parsed[key] !== "") {
+        const value = Number(parsed[key]);
+        if (!Number.isNaN(value)) {
+          parsed[key] = value;
+        }
+      }
+    });
+    return parsed;
+  }
+
+  #isSessionExpired(data) {
+    return (
+      data?.stat === "Not_Ok" &&
+      typeof data?.emsg === "string" &&
+      data.emsg.toLowerCase().includes("session expired")
+    );
+  }
+
+  /**
+   * Logs in again, concurrent callers share the same login request
+   */
+  #relogin() {
+    if (!this.#reloginPromise) {
+      this.#reloginPromise = this.login(true).finally(() => {
+        this.#reloginPromise = null;
+      });
+    }
+    return this.#reloginPromise;
+  }
+
+  /**
+   * Hands current token to attached sockets
+   */
+  #updateSockets() {
+    this.#sockets.forEach((ws) => {
+      ws.setSessionDetails(this.#uid, this.#susertoken);
+    });
+  }
+
   #createHash(value = "") {
     return createHash("sha256").update(value).digest("hex");
   }
 
   /**
-   * Generates Session for user
+   * Generates Session for user.
+   * Reuses token saved in session store when it was created today, unless forced.
+   * @param {Boolean} [force=false] Skip stored session and login with TOTP
    *
    */
-  async login() {
+  async login(force = false) {
     try {
+      if (!force && this.#sessionStore) {
+        const session = await this.#sessionStore.load(this.#uid);
+        if (isSessionFresh(session)) {
+          this.#susertoken = session.susertoken;
+          this.#updateSockets();
+          return { stat: "Ok", ...session };
+        }
+      }
+
       const request_data = {
         source: "API",
         apkversion: "js:1.0.0",
@@ -141,26 +467,46 @@ export class TradeSmartAPI {
         imei: "123484",
       };
 
-      const resp = await this.#apiClient.post(this.#routes.login, request_data);
+      const resp = await this.#post(this.#routes.login, request_data);
       this.#susertoken = resp.data?.susertoken;
+      this.#updateSockets();
+
+      if (this.#sessionStore) {
+        await this.#sessionStore.save({
+          uid: this.#uid,
+          actid: this.#actid,
+          susertoken: this.#susertoken,
+          loginTime: DateTime.now().toISO(),
+        });
+      }
       return resp.data;
     } catch (error) {
-      throw new Error(error.message);
+      throw TradeSmartError.from(error);
     }
   }
 
   /**
-   * Set Debug to view details
+   * Logs to console when true, replaces logger set earlier
+   * @deprecated use options.logger or setLogger
    * @param {Boolean} value
    */
   setDebug(value) {
-    this.#debug = value;
+    this.setLogger(value ? consoleLogger : null);
+  }
+
+  /**
+   * Replaces logger, null silences the client
+   * @param {import("./TradeSmart_Logger.js").Logger|null} logger
+   */
+  setLogger(logger) {
+    this.#log = createLogger(logger);
   }
 
   setSessionDetails(uid = "", susertoken = "") {
-    this.uid = uid;
+    this.#uid = uid;
     this.#susertoken = susertoken;
     this.#actid = uid;
+    this.#updateSockets();
   }
 
   getSessionDetails() {
@@ -172,46 +518,79 @@ export class TradeSmartAPI {
     return details;
   }
 
+  /**
+   * Returns request queue depth and latency by route
+   * @returns {import("./TradeSmart_RateLimiter.js").QueueStats}
+   */
+  getRequestStats() {
+    return this.#requestQueue.getStats();
+  }
+
+  /**
+   * Attach websocket so it is handed new token after every login and uses it when it reconnects.
+   * Replaces token provider of socket, a refused token makes the client log in again before the next reconnect.
+   * @param {import("./TradeSmart_WS.js").TradeSmartWS} ws
+   */
+  attachWebSocket(ws) {
+    this.#sockets.add(ws);
+    if (this.#susertoken) {
+      ws.setSessionDetails(this.#uid, this.#susertoken);
+    }
+    // socket login refused with current token, session expired so log in again before reconnect
+    ws.setTokenProvider(async ({ rejectedToken } = {}) => {
+      if (rejectedToken && rejectedToken === this.#susertoken && this.#autoRelogin) {
+        await this.#relogin();
+      }
+      return { uid: this.#uid, susertoken: this.#susertoken };
+    });
+  }
+
+  /**
+   * @param {import("./TradeSmart_WS.js").TradeSmartWS} ws
+   */
+  detachWebSocket(ws) {
+    if (this.#sockets.delete(ws)) {
+      ws.setTokenProvider(null);
+    }
+  }
+
   async getPositionBook() {
     try {
       let req_data = { uid: this.#uid, actid: this.#actid };
-      const resp = await this.#apiClient.post(this.#routes.positions, req_data);
+      const resp = await this.#post(this.#routes.positions, req_data);
       return resp?.data || null;
     } catch (error) {
-      throw new Error(error.message);
+      throw TradeSmartError.from(error);
     }
   }
 
   async getLimits() {
     try {
       let req_data = { uid: this.#uid, actid: this.#actid };
-      const resp = await this.#apiClient.post(this.#routes.limits, req_data);
+      const resp = await this.#post(this.#routes.limits, req_data);
       return resp.data;
     } catch (error) {
-      throw new Error(error.message);
+      throw TradeSmartError.from(error);
     }
   }
 
   async getOrderBook() {
     try {
       let req_data = { uid: this.#uid };
-      const resp = await this.#apiClient.post(this.#routes.orderbook, req_data);
+      const resp = await this.#post(this.#routes.orderbook, req_data);
       return resp?.data || null;
     } catch (error) {
-      throw new Error(error.message);
+      throw TradeSmartError.from(error);
     }
   }
 
   async getTradeBook() {
     try {
       let req_data = { uid: this.#uid, actid: this.#actid };
-      const resp = await this.#apiClient.post(this.#routes.tradebook, req_data);
+      const resp = await this.#post(this.#routes.tradebook, req_data);
       return resp?.data || null;
     } catch (error) {
-      if (this.#debug) {
-        console.error(error);
-      }
-      throw new Error(error.message);
+      throw TradeSmartError.from(error);
     }
   }
 
@@ -229,8 +608,13 @@ export class TradeSmartAPI {
    * @property {String} trantype 	Transaction Type B -> BUY, S -> SELL
    * @property {String} prctyp  Price Type LMT / MKT / SL-LMT / SL-MK
    * @property {String} ret Order Retention DAY / EOS / IOC
+   * @property {Number} [dscqty] Disclosed Quantity
+   * @property {String} [remarks] Order remarks, returned back in order book and order updates
+   * @property {Number} [blprc] Book Loss Price - Stop loss for Bracket / Cover order
+   * @property {Number} [bpprc] Book Profit Price - Target for Bracket order
+   * @property {Number} [trailprc] Trailing Price - Trailing stop loss for Bracket / Cover order
    * @returns {String} Returns orderid of placed order
-   * @throws {Error} Throws if required parameters are missing or the API call fails.
+   * @throws {TradeSmartError} Throws if required parameters are missing or the API call fails.
    */
   async placeorder(params) {
     try {
@@ -243,10 +627,20 @@ export class TradeSmartAPI {
         !params.qty ||
         !params.prctyp
       ) {
-        throw new Error(
-          "exch, tsym, prd, tsym, trantype, qty, prctyp required"
+        throw new ValidationError(
+          "exch, tsym, prd, tsym, trantype, qty, prctyp required",
+          { route: this.#routes.placeorder, payload: params }
+        );
+      }
+      if (params.prctyp.startsWith("SL") && !params.trgprc) {
+        throw new ValidationError(
+          "trgprc required for SL-LMT / SL-MKT orders",
+          { route: this.#routes.placeorder, payload: params }
         );
       }
+      if (this.#risk) {
+        params = await this.#risk.check(params, this);
+      }
       let req_data = {
         uid: this.#uid,
         actid: this.#actid,
@@ -254,25 +648,158 @@ export class TradeSmartAPI {
         tsym: params.tsym,
         qty: params.qty,
         prc: params.prc || 0,
-        dscqty: 0,
+        dscqty: params.dscqty || 0,
         prd: params.prd,
         trantype: params.trantype,
         prctyp: params.prctyp,
         ret: params.ret || "DAY",
-        remarks: "none",
+        remarks: params.remarks || "none",
         ordersource: "API",
       };
 
-      const resp = await this.#apiClient.post(
+      ["trgprc", "blprc", "bpprc", "trailprc"].forEach((key) => {
+        if (params[key]) {
+          req_data[key] = params[key];
+        }
+      });
+
+      const resp = await this.#post(
         this.#routes.placeorder,
         req_data
       );
       return resp.data;
     } catch (error) {
-      if (this.#debug) {
-        console.error(error);
+      throw TradeSmartError.from(error);
+    }
+  }
+
+  /**
+   * Modify Order
+   * @async
+   * @function modifyOrder
+   * @param {Object} params
+   * @property {String} norenordno Order number to be modified
+   * @property {String} exch Exchange NSE / NFO / CDS / MCX / BSE / BFO
+   * @property {String} tsym Trading Symbol of the order
+   * @property {Number} qty Modified Quantity
+   * @property {String} prctyp Price Type LMT / MKT / SL-LMT / SL-MKT
+   * @property {Number} [prc] Modified Price
+   * @property {Number} [trgprc] Trigger Price - Only to be sent in case of SL / SL-M order.
+   * @property {String} [ret] Order Retention DAY / EOS / IOC
+   * @property {Number} [blprc] Book Loss Price - Stop loss for Bracket / Cover order
+   * @property {Number} [bpprc] Book Profit Price - Target for Bracket order
+   * @property {Number} [trailprc] Trailing Price - Trailing stop loss for Bracket / Cover order
+   * @returns {Object} Returns response with orderid of modified order
+   * @throws {TradeSmartError} Throws if required parameters are missing or the API call fails.
+   */
+  async modifyOrder(params) {
+    try {
+      if (
+        !params.norenordno ||
+        !params.exch ||
+        !params.tsym ||
+        !params.qty ||
+        !params.prctyp
+      ) {
+        throw new ValidationError(
+          "norenordno, exch, tsym, qty, prctyp required",
+          { route: this.#routes.modifyorder, payload: params }
+        );
+      }
+      if (params.prctyp.startsWith("SL") && !params.trgprc) {
+        throw new ValidationError(
+          "trgprc required for SL-LMT / SL-MKT orders",
+          { route: this.#routes.modifyorder, payload: params }
+        );
+      }
+      if (this.#risk) {
+        const original = (await this.getOrderBook())?.find(
+          (o) => String(o.norenordno) === String(params.norenordno)
+        );
+        if (!original) {
+          throw new ValidationError(`Order ${params.norenordno} not found`, {
+            route: this.#routes.modifyorder,
+            payload: params,
+          });
+        }
+        params = await this.#risk.checkModify(params, original, this);
+      }
+      let req_data = {
+        uid: this.#uid,
+        actid: this.#actid,
+        norenordno: params.norenordno,
+        exch: params.exch,
+        tsym: params.tsym,
+        qty: params.qty,
+        prc: params.prc || 0,
+        prctyp: params.prctyp,
+        ret: params.ret || "DAY",
+      };
+
+      ["trgprc", "blprc", "bpprc", "trailprc"].forEach((key) => {
+        if (params[key]) {
+          req_data[key] = params[key];
+        }
+      });
+
+      const resp = await this.#post(
+        this.#routes.modifyorder,
+        req_data
+      );
+      return resp.data;
+    } catch (error) {
+      throw TradeSmartError.from(error);
+    }
+  }
+
+  /**
+   * Cancel Order
+   * @async
+   * @function cancelOrder
+   * @param {String} norenordno Order number to be cancelled
+   * @returns {Object} Returns response with orderid of cancelled order
+   * @throws {TradeSmartError} Throws if order number is missing or the API call fails.
+   */
+  async cancelOrder(norenordno) {
+    try {
+      if (!norenordno) {
+        throw new ValidationError("norenordno required", {
+          route: this.#routes.cancelorder,
+        });
+      }
+      let req_data = { uid: this.#uid, norenordno };
+      const resp = await this.#post(
+        this.#routes.cancelorder,
+        req_data
+      );
+      return resp.data;
+    } catch (error) {
+      throw TradeSmartError.from(error);
+    }
+  }
+
+  /**
+   * Exit Bracket / Cover Order
+   * @async
+   * @function exitOrder
+   * @param {String} norenordno Order number to be exited
+   * @param {String} prd Product Type "B" FOR BRACKET ORDER, "H" FOR COVER ORDER
+   * @returns {Object} Returns response of exit order request
+   * @throws {TradeSmartError} Throws if required parameters are missing or the API call fails.
+   */
+  async exitOrder(norenordno, prd) {
+    try {
+      if (!norenordno || !prd) {
+        throw new ValidationError("norenordno, prd required", {
+          route: this.#routes.exitorder,
+          payload: { norenordno, prd },
+        });
       }
-      throw new Error(error.message);
+      let req_data = { uid: this.#uid, norenordno, prd };
+      const resp = await this.#post(this.#routes.exitorder, req_data);
+      return resp.data;
+    } catch (error) {
+      throw TradeSmartError.from(error);
     }
   }
 
@@ -284,11 +811,12 @@ export class TradeSmartAPI {
    * @param {Object} params - Parameters for fetching candle data.
    * @param {string} params.exchange - Exchange code (e.g., "NSE", "NFO", "BSE", "CDS"). **Required**
    * @param {string} params.token - Token number of the contract. **Required**
-   * @param {string} params.starttime - Start time in format "yyyy-MM-dd HH:mm:ss" (UTC). **Required**
-   * @param {string} params.endtime - End time in format "yyyy-MM-dd HH:mm:ss" (UTC). **Required**
+   * @param {string|DateTime|Date|number} params.starttime - Start time, strings in format "yyyy-MM-dd HH:mm:ss" are read in `zone`, numbers are epoch milliseconds. **Required**
+   * @param {string|DateTime|Date|number} params.endtime - End time, same formats as starttime. **Required**
    * @param {string} [params.interval="1"] - Candle size in minutes. Defaults to "1" if not provided.
-   * @returns {Promise<Array>} A promise resolving to the candle data response.
-   * @throws {Error} Throws if required parameters are missing or the API call fails.
+   * @param {string} [params.zone="Asia/Kolkata"] - Time zone of string times.
+   * @returns {Promise<Array>} A promise resolving to the candle data, empty when there is no data.
+   * @throws {TradeSmartError} Throws if required parameters are missing or the API call fails.
    *
    * @example
    * const data = await getCandleData({
@@ -302,20 +830,43 @@ export class TradeSmartAPI {
    */
   async getCandleData(params) {
     try {
-      const { exchange, token, starttime, endtime, interval } = params || {};
+      const {
+        exchange,
+        token,
+        starttime,
+        endtime,
+        interval,
+        zone = "Asia/Kolkata",
+      } = params || {};
 
       if (!exchange || !token || !starttime || !endtime || !interval) {
-        throw new Error(
-          "exchange, token, starttime, endtime, and interval are required"
+        throw new ValidationError(
+          "exchange, token, starttime, endtime, and interval are required",
+          { route: this.#routes.tpseries, payload: params }
         );
       }
 
-      const convertTime = (timestr) =>
-        DateTime.fromFormat(timestr, "yyyy-MM-dd HH:mm:ss", {
-          zone: "utc",
-        })
-          .toSeconds()
-          .toString();
+      const convertTime = (time) => {
+        let dt;
+        if (DateTime.isDateTime(time)) {
+          dt = time;
+        } else if (time instanceof Date) {
+          dt = DateTime.fromJSDate(time);
+        } else if (typeof time === "number") {
+          dt = DateTime.fromMillis(time);
+        } else {
+          dt = DateTime.fromFormat(String(time), "yyyy-MM-dd HH:mm:ss", {
+            zone,
+          });
+        }
+        if (!dt.isValid) {
+          throw new ValidationError(`Invalid time ${time}`, {
+            route: this.#routes.tpseries,
+            payload: params,
+          });
+        }
+        return String(Math.floor(dt.toSeconds()));
+      };
 
       const reqData = {
         uid: this.#uid,
@@ -326,10 +877,8 @@ export class TradeSmartAPI {
         intrv: String(interval),
       };
 
-      console.log({ reqData });
-
-      const resp = await this.#apiClient.post(this.#routes.tpseries, reqData);
-      const cd = resp?.data;
+      const resp = await this.#post(this.#routes.tpseries, reqData);
+      const cd = Array.isArray(resp?.data) ? resp.data : [];
       return cd.map((c) => {
         return {
           time: c.time, // "19-08-2025 15:10:00"
@@ -345,10 +894,231 @@ export class TradeSmartAPI {
         };
       });
     } catch (error) {
-      if (this.#debug) {
-        console.error(error);
+      throw TradeSmartError.from(error);
+    }
+  }
+
+  /**
+   * Get Quotes - REST snapshot of an instrument
+   * @async
+   * @function getQuotes
+   * @param {String} exch Exchange NSE / NFO / CDS / MCX / BSE / BFO
+   * @param {String} token Token of the instrument
+   * @returns {Promise<import("./TradeSmart_QuoteCache.js").Quote|null>} Quote with numeric fields, null when there is no data
+   * @throws {TradeSmartError} Throws if required parameters are missing or the API call fails.
+   */
+  async getQuotes(exch, token) {
+    try {
+      if (!exch || !token) {
+        throw new ValidationError("exch, token required", {
+          route: this.#routes.quotes,
+        });
+      }
+      let req_data = { uid: this.#uid, exch, token };
+      const resp = await this.#post(this.#routes.quotes, req_data);
+      if (!resp?.data) {
+        return null;
+      }
+      return this.#parseNumbers(QuoteCache.parse(resp.data), this.#scripNumericFields);
+    } catch (error) {
+      throw TradeSmartError.from(error);
+    }
+  }
+
+  /**
+   * Search Scrip
+   * @async
+   * @function searchScrip
+   * @param {String} exch Exchange NSE / NFO / CDS / MCX / BSE / BFO
+   * @param {String} stext Search text e.g. "RELIANCE", "NIFTY 28AUG 24500 CE"
+   * @returns {Promise<Object[]>} Matching scrips (exch, token, tsym, ls, ti, pp...), empty when nothing matches
+   * @throws {TradeSmartError} Throws if required parameters are missing or the API call fails.
+   */
+  async searchScrip(exch, stext) {
+    try {
+      if (!exch || !stext) {
+        throw new ValidationError("exch, stext required", {
+          route: this.#routes.searchscrip,
+        });
+      }
+      let req_data = { uid: this.#uid, exch, stext };
+      const resp = await this.#post(this.#routes.searchscrip, req_data);
+      return (resp?.data?.values || []).map((v) =>
+        this.#parseNumbers(v, this.#scripNumericFields)
+      );
+    } catch (error) {
+      throw TradeSmartError.from(error);
+    }
+  }
+
+  /**
+   * Get Security Info - contract details like freeze qty, price bands and margins
+   * @async
+   * @function getSecurityInfo
+   * @param {String} exch Exchange NSE / NFO / CDS / MCX / BSE / BFO
+   * @param {String} token Token of the instrument
+   * @returns {Promise<Object|null>} Security info with numeric fields (frzqty, uc, lc, ls, ti, margins...)
+   * @throws {TradeSmartError} Throws if required parameters are missing or the API call fails.
+   */
+  async getSecurityInfo(exch, token) {
+    try {
+      if (!exch || !token) {
+        throw new ValidationError("exch, token required", {
+          route: this.#routes.securityinfo,
+        });
+      }
+      let req_data = { uid: this.#uid, exch, token };
+      const resp = await this.#post(this.#routes.securityinfo, req_data);
+      if (!resp?.data) {
+        return null;
+      }
+      return this.#parseNumbers(resp.data, this.#scripNumericFields);
+    } catch (error) {
+      throw TradeSmartError.from(error);
+    }
+  }
+
+  /**
+   * Fetches daily bars
+   * @async
+   * @function getDailyCandleData
+   * @param {Object} params
+   * @param {String} params.exchange Exchange code e.g. "NSE"
+   * @param {String} params.tsym Trading Symbol e.g. "RELIANCE-EQ"
+   * @param {String|DateTime|Date|Number} params.from Start date, strings "yyyy-MM-dd" or ISO are read in `zone`, numbers are epoch milliseconds
+   * @param {String|DateTime|Date|Number} params.to End date, same formats as from
+   * @param {String} [params.zone="Asia/Kolkata"] Time zone of string dates
+   * @returns {Promise<Object[]>} Daily bars sorted by date in getCandleData shape, time is "dd-MMM-yyyy"
+   * @throws {TradeSmartError} Throws if required parameters are missing or the API call fails.
+   */
+  async getDailyCandleData(params) {
+    try {
+      const { exchange, tsym, from, to, zone = "Asia/Kolkata" } = params || {};
+      if (!exchange || !tsym || !from || !to) {
+        throw new ValidationError("exchange, tsym, from, to required", {
+          route: this.#routes.eodchartdata,
+          payload: params,
+        });
+      }
+      const toSeconds = (time) => {
+        let dt;
+        if (DateTime.isDateTime(time)) {
+          dt = time;
+        } else if (time instanceof Date) {
+          dt = DateTime.fromJSDate(time);
+        } else if (typeof time === "number") {
+          dt = DateTime.fromMillis(time);
+        } else {
+          dt = DateTime.fromISO(String(time), { zone });
+          if (!dt.isValid) {
+            dt = DateTime.fromSQL(String(time), { zone });
+          }
+        }
+        if (!dt.isValid) {
+          throw new ValidationError(`Invalid date ${time}`, {
+            route: this.#routes.eodchartdata,
+            payload: params,
+          });
+        }
+        return String(Math.floor(dt.toSeconds()));
+      };
+
+      const req_data = {
+        sym: `${exchange}:${tsym}`,
+        from: toSeconds(from),
+        to: toSeconds(to),
+      };
+      const resp = await this.#post(this.#routes.eodchartdata, req_data);
+      const rows = Array.isArray(resp?.data) ? resp.data : [];
+      return rows
+        .map((row) => (typeof row === "string" ? JSON.parse(row) : row))
+        .sort((a, b) => Number(a.ssboe) - Number(b.ssboe))
+        .map((c) => ({
+          time: c.time,
+          open: parseFloat(c.into),
+          high: parseFloat(c.inth),
+          low: parseFloat(c.intl),
+          close: parseFloat(c.intc),
+          volume: Number(c.intv),
+          oi: Number(c.intoi || c.oi || 0),
+        }));
+    } catch (error) {
+      throw TradeSmartError.from(error);
+    }
+  }
+
+  /**
+   * Get Option Chain - contracts around a strike
+   * @async
+   * @function getOptionChain
+   * @param {Object} params
+   * @param {String} params.exch Exchange NFO / BFO / CDS / MCX
+   * @param {String} params.tsym Trading Symbol of any option of the expiry e.g. "NIFTY28AUG25C24500"
+   * @param {Number} params.strprc Mid strike price
+   * @param {Number} [params.cnt=5] Strikes on each side
+   * @returns {Promise<Object[]>} Contracts (exch, token, tsym, optt, strprc, ls, ti, pp) sorted by strike
+   * @throws {TradeSmartError} Throws if required parameters are missing or the API call fails.
+   */
+  async getOptionChain(params) {
+    try {
+      const { exch, tsym, strprc, cnt = 5 } = params || {};
+      if (!exch || !tsym || !strprc) {
+        throw new ValidationError("exch, tsym, strprc required", {
+          route: this.#routes.optionchain,
+          payload: params,
+        });
+      }
+      let req_data = { uid: this.#uid, exch, tsym, strprc, cnt };
+      const resp = await this.#post(this.#routes.optionchain, req_data);
+      return (resp?.data?.values || [])
+        .map((v) => this.#parseNumbers(v, this.#scripNumericFields))
+        .sort(
+          (a, b) =>
+            a.strprc - b.strprc ||
+            String(a.optt ?? "").localeCompare(String(b.optt ?? ""))
+        );
+    } catch (error) {
+      throw TradeSmartError.from(error);
+    }
+  }
+
+  /**
+   * Get Index List
+   * @async
+   * @function getIndexList
+   * @param {String} exch Exchange NSE / BSE / MCX
+   * @returns {Promise<{idxname: String, token: String}[]>}
+   * @throws {TradeSmartError} Throws if required parameters are missing or the API call fails.
+   */
+  async getIndexList(exch) {
+    try {
+      if (!exch) {
+        throw new ValidationError("exch required", {
+          route: this.#routes.indexlist,
+        });
       }
-      throw new Error(`Failed to fetch candle data: ${error.message}`);
+      let req_data = { uid: this.#uid, exch };
+      const resp = await this.#post(this.#routes.indexlist, req_data);
+      return resp?.data?.values || [];
+    } catch (error) {
+      throw TradeSmartError.from(error);
+    }
+  }
+
+  /**
+   * Get User Details - account, enabled exchanges, products and order types
+   * @async
+   * @function getUserDetails
+   * @returns {Promise<Object>}
+   * @throws {TradeSmartError} Throws if the API call fails.
+   */
+  async getUserDetails() {
+    try {
+      let req_data = { uid: this.#uid };
+      const resp = await this.#post(this.#routes.userdetails, req_data);
+      return resp?.data || null;
+    } catch (error) {
+      throw TradeSmartError.from(error);
     }
   }
 }
@@ -0,0 +1,326 @@
+import fs from "fs";
+import { TradeSmartAPI } from "./TradeSmart_API.js";
+import { TradeSmartWS } from "./TradeSmart_WS.js";
+import { TradeSmartError, ValidationError } from "./TradeSmart_Errors.js";
+
+/**
+ * @typedef {Object} AccountConfig
+ * @property {String} [id] Account name, defaults to uid
+ * @property {String} uid User ID
+ * @property {String} pwd Password
+ * @property {String} vc Vendor Code
+ * @property {String} apikey API Key
+ * @property {String} totpkey TOTP Key
+ * @property {Boolean} [master=false] Master account, copied orders are placed as given
+ * @property {Number} [multiplier=1] Follower quantity = master quantity * multiplier, rounded down to lot size
+ * @property {Number} [lots] Follower quantity in fixed lots, overrides multiplier
+ * @property {Boolean} [enabled=true] Disabled accounts are not logged in or copied to
+ * @property {Object} [options] TradeSmartAPI options of this account
+ */
+
+/**
+ * @typedef {Object} AccountOutcome
+ * @property {String} id Account
+ * @property {Number} qty Quantity placed for account
+ * @property {Boolean} ok
+ * @property {Boolean} [skipped] Order not sent
+ * @property {String} [norenordno]
+ * @property {String} [error]
+ */
+
+/**
+ * Logs in several accounts, copies orders from master to followers and shares one market data socket
+ */
+export class AccountManager {
+  /**
+   * @type {Map<String, AccountConfig>}
+   */
+  #configs = new Map();
+
+  /**
+   * @type {Map<String, TradeSmartAPI>}
+   */
+  #clients = new Map();
+
+  /**
+   * @type {Set<String>}
+   */
+  #loggedIn = new Set();
+
+  /**
+   * @type {TradeSmartWS|null}
+   */
+  #ws = null;
+  #wsOptions = {};
+
+  /**
+   * @type {import("./TradeSmart_InstrumentStore.js").InstrumentStore|null}
+   */
+  #store = null;
+
+  /**
+   * @param {AccountConfig[]} accounts
+   * @param {Object} [options]
+   * @param {Object} [options.apiOptions] TradeSmartAPI options shared by all accounts
+   * @param {Object} [options.wsOptions] TradeSmartWS options of market data socket
+   * @param {import("./TradeSmart_InstrumentStore.js").InstrumentStore} [options.store] Instrument store for lot size of follower quantity, security info is used for instruments not in store
+   */
+  constructor(accounts, options = {}) {
+    if (!Array.isArray(accounts) || !accounts.length) {
+      throw new ValidationError("At least one account required");
+    }
+    this.#store = options.store || null;
+    this.#wsOptions = { ...options.wsOptions };
+
+    accounts.forEach((account) => {
+      if (!account?.uid) {
+        throw new ValidationError("uid required for every account");
+      }
+      const id = account.id || account.uid;
+      if (this.#configs.has(id)) {
+        throw new ValidationError(`Duplicate account ${id}`);
+      }
+      this.#configs.set(id, { ...account, id });
+      this.#clients.set(
+        id,
+        new TradeSmartAPI(account.uid, account.pwd, account.vc, account.apikey, account.totpkey, {
+          ...options.apiOptions,
+          ...account.options,
+        })
+      );
+    });
+    if ([...this.#configs.values()].filter((a) => a.master).length > 1) {
+      throw new ValidationError("Only one master account allowed");
+    }
+  }
+
+  /**
+   * Creates manager from json file containing accounts array or { accounts: [] }
+   * @param {String} filePath
+   * @param {Object} [options] same as constructor options
+   * @returns {Promise<AccountManager>}
+   */
+  static async fromFile(filePath, options = {}) {
+    let config;
+    try {
+      config = JSON.parse(await fs.promises.readFile(filePath, "utf-8"));
+    } catch (error) {
+      throw TradeSmartError.from(error, { route: filePath });
+    }
+    return new AccountManager(Array.isArray(config) ? config : config.accounts, options);
+  }
+
+  #enabled() {
+    return [...this.#configs.values()].filter((account) => account.enabled !== false);
+  }
+
+  /**
+   * Logs in all enabled accounts, stored sessions are reused by each client
+   * @returns {Promise<{id: String, ok: Boolean, error?: String}[]>}
+   */
+  async loginAll() {
+    const accounts = this.#enabled();
+    const results = await Promise.allSettled(
+      accounts.map((account) => this.#clients.get(account.id).login())
+    );
+    return results.map((result, i) => {
+      const { id } = accounts[i];
+      if (result.status === "fulfilled") {
+        this.#loggedIn.add(id);
+        return { id, ok: true };
+      }
+      this.#loggedIn.delete(id);
+      return { id, ok: false, error: TradeSmartError.from(result.reason).message };
+    });
+  }
+
+  /**
+   * Returns client of account
+   * @param {String} id
+   * @returns {TradeSmartAPI}
+   */
+  get(id) {
+    const client = this.#clients.get(id);
+    if (!client) {
+      throw new ValidationError(`Unknown account ${id}`);
+    }
+    return client;
+  }
+
+  /**
+   * Returns accounts without credentials
+   * @returns {{id: String, uid: String, master: Boolean, multiplier?: Number, lots?: Number, enabled: Boolean, loggedIn: Boolean}[]}
+   */
+  getAccounts() {
+    return [...this.#configs.values()].map((account) => ({
+      id: account.id,
+      uid: account.uid,
+      master: Boolean(account.master),
+      multiplier: account.multiplier,
+      lots: account.lots,
+      enabled: account.enabled !== false,
+      loggedIn: this.#loggedIn.has(account.id),
+    }));
+  }
+
+  /**
+   * Connects single market data socket using session of given account, master or first logged in account.
+   * Socket receives new token whenever that account logs in again.
+   * @param {String} [id]
+   * @returns {Promise<TradeSmartWS>}
+   */
+  async connectMarketData(id) {
+    if (this.#ws) {
+      return this.#ws;
+    }
+    const accountId =
+      id ||
+      this.#enabled().find((a) => a.master && this.#loggedIn.has(a.id))?.id ||
+      this.#enabled().find((a) => this.#loggedIn.has(a.id))?.id;
+    if (!accountId || !this.#loggedIn.has(accountId)) {
+      throw new ValidationError("No logged in account for market data");
+    }
+    const client = this.get(accountId);
+    const { uid, susertoken } = client.getSessionDetails();
+    const ws = new TradeSmartWS(uid, susertoken, this.#wsOptions);
+    client.attachWebSocket(ws);
+    try {
+      await ws.connect();
+    } catch (error) {
+      client.detachWebSocket(ws);
+      throw TradeSmartError.from(error);
+    }
+    this.#ws = ws;
+    return ws;
+  }
+
+  /**
+   * @returns {TradeSmartWS|null}
+   */
+  getMarketData() {
+    return this.#ws;
+  }
+
+  /**
+   * Disconnects market data socket
+   */
+  disconnect() {
+    if (this.#ws) {
+      this.#ws.disconnect();
+      this.#ws = null;
+    }
+  }
+
+  /**
+   * Lot size from store, else from security info of master or first logged in account, null when unknown
+   * @param {Object} params
+   * @returns {Promise<Number|null>}
+   */
+  async #lotSize(params) {
+    let instrument = null;
+    try {
+      instrument = this.#store?.byTradingSymbol(params.exch, params.tsym) || null;
+    } catch {
+      instrument = null;
+    }
+    if (Number(instrument?.LotSize)) {
+      return Number(instrument.LotSize);
+    }
+    const token = instrument?.Token || params.token;
+    const accountId =
+      this.#enabled().find((a) => a.master && this.#loggedIn.has(a.id))?.id ||
+      this.#enabled().find((a) => this.#loggedIn.has(a.id))?.id;
+    if (!token || !accountId) {
+      return null;
+    }
+    try {
+      const info = await this.get(accountId).getSecurityInfo(params.exch, token);
+      return Number(info?.ls) || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Quantity of follower for master quantity
+   * @param {AccountConfig} account
+   * @param {Number} qty
+   * @param {Number|null} lotSize null when unknown, only master quantity with multiplier 1 is copied as is
+   * @returns {Number}
+   */
+  static #followerQty(account, qty, lotSize) {
+    if (account.lots) {
+      return Number(account.lots) * lotSize;
+    }
+    const multiplier = account.multiplier ?? 1;
+    if (!lotSize) {
+      return qty;
+    }
+    return Math.floor((qty * multiplier) / lotSize) * lotSize;
+  }
+
+  /**
+   * Places order on master account, then on followers sized by multiplier or fixed lots.
+   * Followers are skipped when master order fails. Without a master account all enabled accounts are followers.
+   * Lot size comes from store or security info, nothing is placed when lot or multiplier sizing needs it and it is unknown.
+   * @param {Object} params order params, same as TradeSmartAPI.placeorder, token is used for security info when instrument is not in store
+   * @param {Object} [options]
+   * @param {String[]} [options.accounts] Limit followers to these accounts
+   * @returns {Promise<AccountOutcome[]>}
+   */
+  async copyOrder(params, options = {}) {
+    if (!params?.qty) {
+      throw new ValidationError("qty required", { payload: params });
+    }
+    const qty = Number(params.qty);
+    const accounts = this.#enabled();
+    const master = accounts.find((account) => account.master);
+    const followers = accounts.filter(
+      (account) => !account.master && (!options.accounts || options.accounts.includes(account.id))
+    );
+    const lotSize = await this.#lotSize(params);
+    if (!lotSize && followers.some((account) => account.lots || (account.multiplier ?? 1) !== 1)) {
+      throw new ValidationError(`Lot size of ${params.exch} ${params.tsym} unknown, add it to store or pass token`, {
+        payload: params,
+      });
+    }
+
+    const place = async (account, accountQty) => {
+      if (!this.#loggedIn.has(account.id)) {
+        return { id: account.id, qty: accountQty, ok: false, skipped: true, error: "Not logged in" };
+      }
+      if (accountQty <= 0) {
+        return { id: account.id, qty: 0, ok: false, skipped: true, error: "Quantity below one lot" };
+      }
+      try {
+        const resp = await this.get(account.id).placeorder({ ...params, qty: accountQty });
+        return { id: account.id, qty: accountQty, ok: true, norenordno: resp.norenordno };
+      } catch (error) {
+        return { id: account.id, qty: accountQty, ok: false, error: TradeSmartError.from(error).message };
+      }
+    };
+
+    const outcomes = [];
+    if (master) {
+      const outcome = await place(master, qty);
+      outcomes.push(outcome);
+      if (!outcome.ok) {
+        return outcomes.concat(
+          followers.map((account) => ({
+            id: account.id,
+            qty: 0,
+            ok: false,
+            skipped: true,
+            error: "Master order failed",
+          }))
+        );
+      }
+    }
+    const results = await Promise.all(
+      followers.map((account) =>
+        place(account, AccountManager.#followerQty(account, qty, lotSize))
+      )
+    );
+    return outcomes.concat(results);
+  }
+}
@@ -0,0 +1,342 @@
+import { OrderState, OrderTracker } from "./TradeSmart_OrderTracker.js";
+import { TradeSmartError, ValidationError } from "./TradeSmart_Errors.js";
+import { validateOrder } from "./TradeSmart_Risk.js";
+
+const openStates = [OrderState.PENDING, OrderState.OPEN, OrderState.PARTIALLY_FILLED];
+
+/**
+ * Policy applied when a leg is rejected
+ * - rollback: cancel pending legs and square off filled quantity
+ * - cancel: cancel pending legs only
+ * - none: leave other legs as they are
+ */
+export const BasketPolicy = Object.freeze({
+  ROLLBACK: "rollback",
+  CANCEL: "cancel",
+  NONE: "none",
+});
+
+/**
+ * @typedef {Object} BasketLeg
+ * @property {Object} params order params, same as TradeSmartAPI.placeorder
+ * @property {String} [norenordno] Order number, not set when order was not placed
+ * @property {String} state One of OrderState, PENDING when not placed
+ * @property {Number} filledQty
+ * @property {Number} avgPrice
+ * @property {String} [rejectionReason]
+ */
+
+/**
+ * @typedef {Object} RollbackOrder
+ * @property {String} action cancel / squareoff
+ * @property {String} exch
+ * @property {String} tsym
+ * @property {String} [trantype] Square off side
+ * @property {Number} [qty] Square off quantity
+ * @property {String} [norenordno] Cancelled order or square off order number
+ * @property {Boolean} ok
+ * @property {String} [error]
+ */
+
+/**
+ * @typedef {Object} BasketResult
+ * @property {String} state COMPLETE when all legs filled, OPEN when legs are still working, FAILED when a leg was rejected
+ * @property {BasketLeg[]} legs Legs in the order given
+ * @property {String} [reason] Failure reason
+ * @property {String} policy Policy applied on failure
+ * @property {RollbackOrder[]} rollback Cancel and square off requests made by policy
+ */
+
+/**
+ * Places multi-leg baskets, buy / hedge legs before sell legs, and applies a policy when a leg is rejected
+ */
+export class BasketExecutor {
+  /**
+   * @type {import("./TradeSmart_API.js").TradeSmartAPI}
+   */
+  #api;
+
+  /**
+   * @type {OrderTracker}
+   */
+  #tracker;
+  #ownTracker = false;
+  #active = 0;
+
+  /**
+   * @type {import("./TradeSmart_InstrumentStore.js").InstrumentStore|null}
+   */
+  #store = null;
+
+  /**
+   * @type {import("./TradeSmart_Risk.js").RiskManager|null}
+   */
+  #risk = null;
+  #policy = BasketPolicy.ROLLBACK;
+  #fillTimeout = 10000;
+  #waitForHedge = true;
+
+  /**
+   * @param {import("./TradeSmart_API.js").TradeSmartAPI} api
+   * @param {Object} [options]
+   * @param {OrderTracker} [options.tracker] Tracker fed by order updates, defaults to own tracker reconciling with order book while baskets run
+   * @param {Number} [options.reconcileInterval=2000] Reconcile interval of own tracker
+   * @param {import("./TradeSmart_InstrumentStore.js").InstrumentStore} [options.store] Instrument store for lot and tick size validation
+   * @param {import("./TradeSmart_Risk.js").RiskManager} [options.risk] Risk checks applied to every leg before anything is placed
+   * @param {String} [options.policy="rollback"] Default BasketPolicy
+   * @param {Number} [options.fillTimeout=10000] Milliseconds to wait for legs to fill
+   * @param {Boolean} [options.waitForHedge=true] Place sell legs only after buy legs are filled
+   */
+  constructor(api, options = {}) {
+    this.#api = api;
+    this.#store = options.store || null;
+    this.#risk = options.risk || null;
+    this.#ownTracker = !options.tracker;
+    this.#tracker =
+      options.tracker ||
+      new OrderTracker(api, { reconcileInterval: options.reconcileInterval ?? 2000 });
+    this.#policy = options.policy || this.#policy;
+    this.#fillTimeout = options.fillTimeout ?? this.#fillTimeout;
+    this.#waitForHedge = options.waitForHedge ?? this.#waitForHedge;
+  }
+
+  #instrument(exch, tsym) {
+    try {
+      return this.#store?.byTradingSymbol(exch, tsym) || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Validates all legs, throws on the first invalid leg without placing anything
+   * @param {Object[]} orders
+   * @returns {Promise<Object[]>} validated params with prices rounded to tick size
+   */
+  async validate(orders) {
+    if (!Array.isArray(orders) || !orders.length) {
+      throw new ValidationError("At least one leg required");
+    }
+    const validated = [];
+    for (const [i, params] of orders.entries()) {
+      try {
+        if (!params?.exch || !params?.tsym || !params?.prd) {
+          throw new ValidationError("exch, tsym, prd required", { payload: params });
+        }
+        validated.push(
+          this.#risk
+            ? await this.#risk.check(params, this.#api)
+            : validateOrder(params, this.#instrument(params.exch, params.tsym))
+        );
+      } catch (error) {
+        const cause = TradeSmartError.from(error);
+        throw new cause.constructor(`Leg ${i + 1} ${params?.tsym || ""}: ${cause.message}`, {
+          payload: params,
+          cause,
+        });
+      }
+    }
+    return validated;
+  }
+
+  /**
+   * Places basket legs, buy legs first then sell legs
+   * @param {Object[]} orders order params of each leg, same as TradeSmartAPI.placeorder
+   * @param {Object} [options]
+   * @param {String} [options.policy] BasketPolicy applied when a leg is rejected
+   * @param {Number} [options.fillTimeout] Milliseconds to wait for legs to fill
+   * @param {Boolean} [options.waitForHedge] Place sell legs only after buy legs are filled
+   * @returns {Promise<BasketResult>}
+   * @throws {ValidationError|import("./TradeSmart_Errors.js").RiskLimitError} when a leg is invalid, nothing is placed
+   */
+  async execute(orders, options = {}) {
+    const policy = options.policy || this.#policy;
+    const fillTimeout = options.fillTimeout ?? this.#fillTimeout;
+    const waitForHedge = options.waitForHedge ?? this.#waitForHedge;
+    const validated = await this.validate(orders);
+
+    /**
+     * @type {BasketLeg[]}
+     */
+    const legs = validated.map((params) => ({
+      params,
+      state: OrderState.PENDING,
+      filledQty: 0,
+      avgPrice: 0,
+    }));
+    const buys = legs.filter((leg) => leg.params.trantype === "B");
+    const sells = legs.filter((leg) => leg.params.trantype !== "B");
+
+    this.#active++;
+    if (this.#ownTracker) {
+      this.#tracker.start();
+    }
+    try {
+      let reason = await this.#placeAll(buys);
+      if (!reason && waitForHedge && sells.length) {
+        await this.#waitAll(buys, fillTimeout);
+        reason = this.#failure(buys, true);
+      }
+      if (!reason) {
+        reason = await this.#placeAll(sells);
+      }
+      if (!reason) {
+        await this.#waitAll(legs, fillTimeout);
+        reason = this.#failure(legs, false);
+      }
+
+      const rollback = reason && policy !== BasketPolicy.NONE
+        ? await this.#unwind(legs, policy)
+        : [];
+      legs.forEach((leg) => this.#refresh(leg));
+
+      let state = "OPEN";
+      if (reason) {
+        state = "FAILED";
+      } else if (legs.every((leg) => leg.state === OrderState.COMPLETE)) {
+        state = "COMPLETE";
+      }
+      return { state, legs, reason, policy, rollback };
+    } finally {
+      if (--this.#active === 0 && this.#ownTracker) {
+        this.#tracker.stop();
+      }
+    }
+  }
+
+  /**
+   * Places legs in order, stops at first failure
+   * @param {BasketLeg[]} legs
+   * @returns {Promise<String|undefined>} failure reason
+   */
+  async #placeAll(legs) {
+    for (const leg of legs) {
+      try {
+        const resp = await this.#api.placeorder(leg.params);
+        leg.norenordno = resp.norenordno;
+        this.#tracker.track(leg.norenordno, leg.params);
+        this.#refresh(leg);
+      } catch (error) {
+        leg.state = OrderState.REJECTED;
+        leg.rejectionReason = TradeSmartError.from(error).message;
+      }
+      if (leg.state === OrderState.REJECTED) {
+        return `${leg.params.tsym} rejected : ${leg.rejectionReason || ""}`;
+      }
+    }
+  }
+
+  /**
+   * Waits until placed legs are filled, rejected or cancelled, or timeout
+   * @param {BasketLeg[]} legs
+   * @param {Number} timeout
+   */
+  async #waitAll(legs, timeout) {
+    await Promise.allSettled(
+      legs
+        .filter((leg) => leg.norenordno)
+        .map((leg) => this.#tracker.waitForFill(leg.norenordno, { timeout }))
+    );
+    legs.forEach((leg) => this.#refresh(leg));
+  }
+
+  /**
+   * @param {BasketLeg[]} legs
+   * @param {Boolean} requireFill treat unfilled legs as failure
+   * @returns {String|undefined} failure reason
+   */
+  #failure(legs, requireFill) {
+    for (const leg of legs) {
+      if (leg.state === OrderState.REJECTED) {
+        return `${leg.params.tsym} rejected : ${leg.rejectionReason || ""}`;
+      }
+      if (leg.state === OrderState.CANCELLED) {
+        return `${leg.params.tsym} cancelled`;
+      }
+      if (requireFill && leg.state !== OrderState.COMPLETE) {
+        return `${leg.params.tsym} hedge not filled`;
+      }
+    }
+  }
+
+  #refresh(leg) {
+    const order = leg.norenordno ? this.#tracker.getOrder(leg.norenordno) : null;
+    if (order) {
+      leg.state = order.state;
+      leg.filledQty = order.filledQty;
+      leg.avgPrice = order.avgPrice;
+      leg.rejectionReason = order.rejectionReason || leg.rejectionReason;
+    }
+  }
+
+  /**
+   * Cancels open legs and, for rollback policy, squares off filled quantity in reverse order of placement
+   * @param {BasketLeg[]} legs
+   * @param {String} policy
+   * @returns {Promise<RollbackOrder[]>}
+   */
+  async #unwind(legs, policy) {
+    /**
+     * @type {RollbackOrder[]}
+     */
+    const actions = [];
+    const open = legs.filter((leg) => leg.norenordno && openStates.includes(leg.state));
+    for (const leg of open) {
+      const action = {
+        action: "cancel",
+        exch: leg.params.exch,
+        tsym: leg.params.tsym,
+        norenordno: leg.norenordno,
+        ok: true,
+      };
+      try {
+        await this.#api.cancelOrder(leg.norenordno);
+      } catch (error) {
+        action.ok = false;
+        action.error = TradeSmartError.from(error).message;
+      }
+      actions.push(action);
+    }
+    if (open.length) {
+      await this.#tracker.reconcile().catch(() => {});
+      legs.forEach((leg) => this.#refresh(leg));
+    }
+    if (policy !== BasketPolicy.ROLLBACK) {
+      return actions;
+    }
+
+    const placed = [
+      ...legs.filter((leg) => leg.params.trantype !== "B"),
+      ...legs.filter((leg) => leg.params.trantype === "B"),
+    ];
+    for (const leg of placed.filter((l) => l.filledQty > 0)) {
+      const params = {
+        exch: leg.params.exch,
+        tsym: leg.params.tsym,
+        prd: leg.params.prd,
+        trantype: leg.params.trantype === "B" ? "S" : "B",
+        qty: leg.filledQty,
+        prctyp: "MKT",
+        prc: 0,
+        remarks: "basket rollback",
+      };
+      const action = {
+        action: "squareoff",
+        exch: params.exch,
+        tsym: params.tsym,
+        trantype: params.trantype,
+        qty: params.qty,
+        ok: true,
+      };
+      try {
+        const resp = await this.#api.placeorder(params);
+        action.norenordno = resp.norenordno;
+      } catch (error) {
+        action.ok = false;
+        action.error = TradeSmartError.from(error).message;
+      }
+      actions.push(action);
+    }
+    return actions;
+  }
+}
@@ -0,0 +1,363 @@
+import { DateTime } from "luxon";
+import { ValidationError } from "./TradeSmart_Errors.js";
+
+const timeZone = "Asia/Kolkata";
+const timeFormat = "dd-MM-yyyy HH:mm:ss";
+
+/**
+ * Market session timings in IST by exchange, bars are aligned to session start
+ */
+export const MARKET_SESSIONS = {
+  NSE: { start: "09:15", end: "15:30" },
+  NFO: { start: "09:15", end: "15:30" },
+  BSE: { start: "09:15", end: "15:30" },
+  BFO: { start: "09:15", end: "15:30" },
+  CDS: { start: "09:00", end: "17:00" },
+  MCX: { start: "09:00", end: "23:55" }
+};
+
+/**
+ * Returns true on weekdays between session start and end of exchange, holidays are not considered
+ * @param {String} exchange
+ * @param {DateTime} [time] defaults to now
+ * @param {Object<String, {start: String, end: String}>} [sessions] Session timings "HH:mm" IST by exchange
+ * @returns {Boolean}
+ */
+export function isMarketOpen(exchange, time, sessions = MARKET_SESSIONS) {
+  const now = (time || DateTime.now()).setZone(timeZone);
+  const session = sessions[exchange] || MARKET_SESSIONS[exchange] || MARKET_SESSIONS.NSE;
+  const hhmm = now.toFormat("HH:mm");
+  return now.weekday <= 5 && hhmm >= session.start && hhmm < session.end;
+}
+
+/**
+ * @typedef {Object} Candle
+ * @property {String} time Bar start time in IST "dd-MM-yyyy HH:mm:ss"
+ * @property {Number} open Open price
+ * @property {Number} high High price
+ * @property {Number} low Low price
+ * @property {Number} close Close price
+ * @property {Number} volume Bar volume
+ * @property {Number} tvolume Total day volume at bar close
+ * @property {Number} oi Open Interest
+ * @property {Number} coi Change in OI during the bar
+ * @property {Number} vwap Bar VWAP
+ */
+
+/**
+ * @typedef {Object} CandleMeta
+ * @property {String} exchange Exchange
+ * @property {String} token Token
+ * @property {Number} interval Interval in minutes
+ */
+
+export class CandleAggregator {
+  /**
+   * @type {Number[]}
+   */
+  #intervals = [1];
+  #sessions = MARKET_SESSIONS;
+  #flushTimer = null;
+  #onCandleCallback;
+
+  /**
+   * @type {import("./TradeSmart_WS.js").TradeSmartWS|null}
+   */
+  #ws = null;
+  #onTick = (quote) => this.update(quote);
+
+  /**
+   * Aggregation state by "EXCH|TOKEN"
+   * @type {Map<String, {lastVolume: Number|null, bars: Map<Number, Object>}>}
+   */
+  #state = new Map();
+
+  /**
+   * Creates candle aggregator for live ticks
+   * @param {Object} [options]
+   * @param {Number[]} [options.intervals=[1]] Bar intervals in minutes e.g. [1, 3, 5, 15, 60]
+   * @param {Object<String, {start: String, end: String}>} [options.sessions] Session timings "HH:mm" IST by exchange
+   */
+  constructor(options = {}) {
+    if (options.intervals) {
+      if (!options.intervals.length || options.intervals.some(i => !Number.isInteger(i) || i <= 0)) {
+        throw new ValidationError("intervals must be positive whole minutes");
+      }
+      this.#intervals = [...options.intervals];
+    }
+    if (options.sessions) {
+      this.#sessions = { ...MARKET_SESSIONS, ...options.sessions };
+    }
+  }
+
+  /**
+   * Returns session start / end for exchange on the day of given time
+   * @param {String} exchange
+   * @param {DateTime} time
+   */
+  #session(exchange, time) {
+    const session = this.#sessions[exchange] || MARKET_SESSIONS.NSE;
+    const at = hhmm => {
+      const [hour, minute] = hhmm.split(":").map(Number);
+      return time.set({ hour, minute, second: 0, millisecond: 0 });
+    };
+    return { start: at(session.start), end: at(session.end) };
+  }
+
+  /**
+   * Returns bar start for time aligned to session start
+   * @param {String} exchange
+   * @param {Number} interval minutes
+   * @param {DateTime} time
+   * @returns {DateTime|null} null when outside session
+   */
+  #bucket(exchange, interval, time) {
+    const { start, end } = this.#session(exchange, time);
+    if (time < start || time >= end) {
+      return null;
+    }
+    const elapsed = Math.floor(time.diff(start, "minutes").minutes / interval) * interval;
+    return start.plus({ minutes: elapsed });
+  }
+
+  #getState(key) {
+    let state = this.#state.get(key);
+    if (!state) {
+      state = { lastVolume: null, bars: new Map() };
+      this.#state.set(key, state);
+    }
+    return state;
+  }
+
+  #emit(bar, meta) {
+    if (this.#onCandleCallback) {
+      this.#onCandleCallback(CandleAggregator.#toCandle(bar), meta);
+    }
+  }
+
+  static #toCandle(bar) {
+    return {
+      time: bar.start.toFormat(timeFormat),
+      open: bar.open,
+      high: bar.high,
+      low: bar.low,
+      close: bar.close,
+      volume: bar.volume,
+      tvolume: bar.tvolume,
+      oi: bar.oi,
+      coi: bar.oi - bar.startOi,
+      vwap: bar.volume ? bar.turnover / bar.volume : bar.close
+    };
+  }
+
+  /**
+   * Adds tick to all interval bars of instrument, emits bars that are complete
+   * @param {import("./TradeSmart_QuoteCache.js").Quote} quote merged quote from TradeSmartWS.onQuote
+   * @param {DateTime|Date|Number} [time] tick time, defaults to now. Number is epoch milliseconds
+   */
+  update(quote, time) {
+    if (!quote || !quote.lp) {
+      return;
+    }
+    const ts = CandleAggregator.#toDateTime(time);
+    const key = `${quote.e}|${quote.tk}`;
+    const state = this.#getState(key);
+
+    let dvol = 0;
+    if (typeof quote.v === "number") {
+      dvol = state.lastVolume === null ? 0 : Math.max(quote.v - state.lastVolume, 0);
+      state.lastVolume = quote.v;
+    }
+
+    this.#intervals.forEach(interval => {
+      const start = this.#bucket(quote.e, interval, ts);
+      if (!start) {
+        return;
+      }
+      const meta = { exchange: quote.e, token: quote.tk, interval };
+      let bar = state.bars.get(interval);
+
+      if (bar && bar.start < start) {
+        this.#emit(bar, meta);
+        bar = null;
+      }
+
+      if (!bar) {
+        const oi = quote.oi ?? 0;
+        bar = {
+          start,
+          end: start.plus({ minutes: interval }),
+          open: quote.lp,
+          high: quote.lp,
+          low: quote.lp,
+          close: quote.lp,
+          volume: 0,
+          tvolume: quote.v ?? 0,
+          turnover: 0,
+          oi,
+          startOi: oi
+        };
+        state.bars.set(interval, bar);
+      }
+
+      bar.high = Math.max(bar.high, quote.lp);
+      bar.low = Math.min(bar.low, quote.lp);
+      bar.close = quote.lp;
+      bar.volume += dvol;
+      bar.turnover += dvol * quote.lp;
+      bar.tvolume = quote.v ?? bar.tvolume;
+      bar.oi = quote.oi ?? bar.oi;
+    });
+  }
+
+  /**
+   * Emits and removes bars whose interval has ended, for instruments that stopped ticking
+   * @param {DateTime|Date|Number} [time] defaults to now
+   */
+  flush(time) {
+    const ts = CandleAggregator.#toDateTime(time);
+    this.#state.forEach((state, key) => {
+      const [exchange, token] = key.split("|");
+      state.bars.forEach((bar, interval) => {
+        if (bar.end <= ts) {
+          state.bars.delete(interval);
+          this.#emit(bar, { exchange, token, interval });
+        }
+      });
+    });
+  }
+
+  /**
+   * Starts timer which flushes completed bars every second
+   */
+  start() {
+    if (!this.#flushTimer) {
+      this.#flushTimer = setInterval(() => this.flush(), 1000);
+    }
+  }
+
+  stop() {
+    if (this.#flushTimer) {
+      clearInterval(this.#flushTimer);
+      this.#flushTimer = null;
+    }
+  }
+
+  /**
+   * Feeds tick and depth quotes of TradeSmartWS into aggregator and starts flush timer
+   * @param {import("./TradeSmart_WS.js").TradeSmartWS} ws
+   */
+  attach(ws) {
+    this.detach();
+    this.#ws = ws;
+    ws.on("tick", this.#onTick);
+    ws.on("depth", this.#onTick);
+    this.start();
+  }
+
+  /**
+   * Stops listening to attached socket
+   */
+  detach() {
+    if (this.#ws) {
+      this.#ws.off("tick", this.#onTick);
+      this.#ws.off("depth", this.#onTick);
+      this.#ws = null;
+    }
+  }
+
+  /**
+   * Callback receives completed bars
+   * @param {(candle: Candle, meta: CandleMeta) => void} callback
+   */
+  onCandle(callback) {
+    this.#onCandleCallback = callback;
+  }
+
+  /**
+   * Returns current partial bar
+   * @param {String} exchange
+   * @param {String} token
+   * @param {Number} interval minutes
+   * @returns {Candle|null}
+   */
+  getCurrent(exchange, token, interval) {
+    const bar = this.#state.get(`${exchange}|${token}`)?.bars.get(interval);
+    return bar ? CandleAggregator.#toCandle(bar) : null;
+  }
+
+  /**
+   * Seeds current partial bars from 1 minute history so indicators don't start cold
+   * @param {import("./TradeSmart_API.js").TradeSmartAPI} api
+   * @param {Object} params
+   * @param {String} params.exchange Exchange
+   * @param {String} params.token Token
+   * @param {DateTime|Date|Number} [time] defaults to now
+   */
+  async seed(api, params, time) {
+    const { exchange, token } = params || {};
+    if (!exchange || !token) {
+      throw new ValidationError("exchange, token required");
+    }
+    const ts = CandleAggregator.#toDateTime(time);
+    const starts = this.#intervals.map(interval => this.#bucket(exchange, interval, ts)).filter(Boolean);
+    if (!starts.length) {
+      return;
+    }
+    const from = DateTime.min(...starts);
+
+    const candles = await api.getCandleData({
+      exchange,
+      token,
+      starttime: from,
+      endtime: ts,
+      interval: "1"
+    });
+
+    const minuteBars = (candles || [])
+      .map(c => ({ ...c, start: DateTime.fromFormat(c.time, timeFormat, { zone: timeZone }) }))
+      .filter(c => c.start.isValid && c.start >= from && c.start <= ts)
+      .sort((a, b) => a.start.toMillis() - b.start.toMillis());
+
+    const state = this.#getState(`${exchange}|${token}`);
+    this.#intervals.forEach(interval => {
+      const start = this.#bucket(exchange, interval, ts);
+      const bars = minuteBars.filter(c => start && c.start >= start);
+      if (!bars.length) {
+        return;
+      }
+      const last = bars[bars.length - 1];
+      const volume = bars.reduce((sum, c) => sum + (c.volume || 0), 0);
+      state.bars.set(interval, {
+        start,
+        end: start.plus({ minutes: interval }),
+        open: bars[0].open,
+        high: Math.max(...bars.map(c => c.high)),
+        low: Math.min(...bars.map(c => c.low)),
+        close: last.close,
+        volume,
+        tvolume: last.tvolume || 0,
+        turnover: bars.reduce((sum, c) => sum + (c.volume || 0) * (c.vwap || c.close), 0),
+        oi: last.oi || 0,
+        startOi: (bars[0].oi || 0) - (bars[0].coi || 0)
+      });
+    });
+  }
+
+  /**
+   * @param {DateTime|Date|Number} [time]
+   * @returns {DateTime}
+   */
+  static #toDateTime(time) {
+    if (!time) {
+      return DateTime.now().setZone(timeZone);
+    }
+    if (DateTime.isDateTime(time)) {
+      return time.setZone(timeZone);
+    }
+    if (time instanceof Date) {
+      return DateTime.fromJSDate(time).setZone(timeZone);
+    }
+    return DateTime.fromMillis(time).setZone(timeZone);
+  }
+}
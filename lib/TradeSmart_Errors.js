@@ -0,0 +1,131 @@
+const secretKeys = new Set([
+  "pwd",
+  "appkey",
+  "apikey",
+  "factor2",
+  "totpkey",
+  "susertoken",
+  "jKey",
+]);
+
+/**
+ * Returns copy of payload with secret fields replaced by "***"
+ * @param {*} payload
+ * @returns {*}
+ */
+export function redact(payload) {
+  if (Array.isArray(payload)) {
+    return payload.map(redact);
+  }
+  if (!payload || typeof payload !== "object") {
+    return payload;
+  }
+  const redacted = {};
+  Object.keys(payload).forEach((key) => {
+    redacted[key] = secretKeys.has(key) ? "***" : redact(payload[key]);
+  });
+  return redacted;
+}
+
+/**
+ * Returns cause safe to keep on error. Errors of axios and other http clients carry the
+ * encoded request body with jKey, hashed pwd and headers, only name, code and message are kept.
+ * @param {*} cause
+ * @returns {*}
+ */
+function safeCause(cause) {
+  if (!cause || typeof cause !== "object" || (!cause.config && !cause.request && !cause.response)) {
+    return cause;
+  }
+  const safe = new Error(cause.message);
+  safe.name = cause.name || "Error";
+  if (cause.code) {
+    safe.code = cause.code;
+  }
+  return safe;
+}
+
+/**
+ * @typedef {Object} ErrorDetails
+ * @property {String} [route] API route e.g. /PlaceOrder
+ * @property {Object} [payload] Request payload, secrets are redacted
+ * @property {Number} [status] HTTP status
+ * @property {String} [emsg] Broker error message
+ * @property {Boolean} [retryable] True when request can be safely retried
+ * @property {*} [cause] Underlying error, http client errors are reduced to name, code and message
+ */
+
+export class TradeSmartError extends Error {
+  /**
+   * @param {String} message
+   * @param {ErrorDetails} [details]
+   */
+  constructor(message, details = {}) {
+    super(message, details.cause ? { cause: safeCause(details.cause) } : undefined);
+    this.name = this.constructor.name;
+    this.route = details.route;
+    this.payload = redact(details.payload);
+    this.status = details.status;
+    this.emsg = details.emsg;
+    this.retryable = details.retryable ?? false;
+  }
+
+  /**
+   * Returns error as is when it is already a TradeSmartError, otherwise wraps it
+   * @param {*} error
+   * @param {ErrorDetails} [details]
+   * @returns {TradeSmartError}
+   */
+  static from(error, details = {}) {
+    if (error instanceof TradeSmartError) {
+      return error;
+    }
+    return new TradeSmartError(error?.message || String(error), {
+      ...details,
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Login failed or session expired / invalid
+ */
+export class AuthError extends TradeSmartError {}
+
+/**
+ * Broker rejected place / modify / cancel / exit order request
+ */
+export class OrderRejectedError extends TradeSmartError {}
+
+/**
+ * Request did not reach broker or no response was received
+ */
+export class NetworkError extends TradeSmartError {
+  constructor(message, details = {}) {
+    super(message, { retryable: true, ...details });
+  }
+}
+
+/**
+ * Request timed out, order requests may or may not have reached the broker
+ */
+export class TimeoutError extends NetworkError {}
+
+/**
+ * Invalid or missing input, request was not sent
+ */
+export class ValidationError extends TradeSmartError {}
+
+/**
+ * Broker rate limit reached
+ */
+export class RateLimitError extends TradeSmartError {
+  constructor(message, details = {}) {
+    super(message, { retryable: true, ...details });
+  }
+}
+
+/**
+ * Order blocked locally by risk limits or kill switch, request was not sent
+ */
+export class RiskLimitError extends TradeSmartError {}
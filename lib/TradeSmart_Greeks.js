@@ -0,0 +1,319 @@
+import { DateTime } from "luxon";
+import { ValidationError } from "./TradeSmart_Errors.js";
+import { parseExpiry } from "./TradeSmart_InstrumentStore.js";
+
+const timeZone = "Asia/Kolkata";
+const yearMillis = 365 * 24 * 60 * 60 * 1000;
+const derivativeExchanges = ["NFO", "BFO", "CDS", "MCX"];
+
+/**
+ * @typedef {Object} Greeks
+ * @property {Number} price Theoretical option price
+ * @property {Number} delta Change in price per 1 point move of underlying
+ * @property {Number} gamma Change in delta per 1 point move of underlying
+ * @property {Number} theta Change in price per calendar day
+ * @property {Number} vega Change in price per 1% change in volatility
+ * @property {Number} rho Change in price per 1% change in interest rate
+ */
+
+/**
+ * @typedef {Object} OptionGreeks
+ * @property {Number|null} iv Implied volatility as decimal e.g. 0.15, null when it cannot be solved
+ * @property {Number} T Time to expiry in years
+ * @property {Number} delta
+ * @property {Number} gamma
+ * @property {Number} theta
+ * @property {Number} vega
+ * @property {Number} rho
+ */
+
+/**
+ * @typedef {Object} GreeksOptions
+ * @property {Number} underlyingPrice Spot or futures price
+ * @property {"spot"|"futures"} [underlyingType="spot"] Black-Scholes for spot, Black-76 for futures
+ * @property {Number} [rate=0.065] Risk free rate as decimal
+ * @property {Number} [dividendYield=0] Dividend yield as decimal, spot only
+ * @property {DateTime} [now] Valuation time, defaults to now
+ */
+
+const normPdf = (x) => Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+
+/**
+ * Standard normal cumulative distribution, Abramowitz and Stegun 7.1.26
+ * @param {Number} x
+ */
+const normCdf = (x) => {
+  const t = 1 / (1 + (0.3275911 * Math.abs(x)) / Math.SQRT2);
+  const erf =
+    1 -
+    t *
+      (0.254829592 +
+        t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) *
+      Math.exp(-(x * x) / 2);
+  return x >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+};
+
+/**
+ * Years from now to expiry close at 15:30 IST, 0 once expired
+ * @param {String|DateTime} expiry "dd-MMM-yyyy" as in instrument master or DateTime
+ * @param {DateTime} [now]
+ * @returns {Number}
+ */
+export function timeToExpiry(expiry, now = DateTime.now()) {
+  const date = DateTime.isDateTime(expiry) ? expiry.setZone(timeZone) : parseExpiry(expiry);
+  if (!date) {
+    throw new ValidationError(`Invalid expiry ${expiry}`);
+  }
+  const close = date.set({ hour: 15, minute: 30, second: 0, millisecond: 0 });
+  return Math.max(close.toMillis() - now.toMillis(), 0) / yearMillis;
+}
+
+/**
+ * Black-Scholes-Merton price and Greeks for options on spot
+ * @param {Object} params
+ * @param {"CE"|"PE"} params.type
+ * @param {Number} params.S Spot price
+ * @param {Number} params.K Strike price
+ * @param {Number} params.T Time to expiry in years
+ * @param {Number} params.sigma Volatility as decimal
+ * @param {Number} [params.r=0.065] Risk free rate
+ * @param {Number} [params.q=0] Dividend yield
+ * @returns {Greeks}
+ */
+export function blackScholes({ type, S, K, T, sigma, r = 0.065, q = 0 }) {
+  const call = type === "CE";
+  if (T <= 0 || sigma <= 0) {
+    const intrinsic = Math.max(call ? S - K : K - S, 0);
+    const itm = intrinsic > 0;
+    return { price: intrinsic, delta: itm ? (call ? 1 : -1) : 0, gamma: 0, theta: 0, vega: 0, rho: 0 };
+  }
+
+  const sqrtT = Math.sqrt(T);
+  const d1 = (Math.log(S / K) + (r - q + (sigma * sigma) / 2) * T) / (sigma * sqrtT);
+  const d2 = d1 - sigma * sqrtT;
+  const dfr = Math.exp(-r * T);
+  const dfq = Math.exp(-q * T);
+
+  const price = call
+    ? S * dfq * normCdf(d1) - K * dfr * normCdf(d2)
+    : K * dfr * normCdf(-d2) - S * dfq * normCdf(-d1);
+  const delta = call ? dfq * normCdf(d1) : -dfq * normCdf(-d1);
+  const gamma = (dfq * normPdf(d1)) / (S * sigma * sqrtT);
+  const vega = S * dfq * normPdf(d1) * sqrtT;
+  const theta = call
+    ? (-S * dfq * normPdf(d1) * sigma) / (2 * sqrtT) - r * K * dfr * normCdf(d2) + q * S * dfq * normCdf(d1)
+    : (-S * dfq * normPdf(d1) * sigma) / (2 * sqrtT) + r * K * dfr * normCdf(-d2) - q * S * dfq * normCdf(-d1);
+  const rho = call ? K * T * dfr * normCdf(d2) : -K * T * dfr * normCdf(-d2);
+
+  return { price, delta, gamma, theta: theta / 365, vega: vega / 100, rho: rho / 100 };
+}
+
+/**
+ * Black-76 price and Greeks for options on futures
+ * @param {Object} params
+ * @param {"CE"|"PE"} params.type
+ * @param {Number} params.F Futures price
+ * @param {Number} params.K Strike price
+ * @param {Number} params.T Time to expiry in years
+ * @param {Number} params.sigma Volatility as decimal
+ * @param {Number} [params.r=0.065] Risk free rate
+ * @returns {Greeks}
+ */
+export function black76({ type, F, K, T, sigma, r = 0.065 }) {
+  const call = type === "CE";
+  const df = Math.exp(-r * T);
+  if (T <= 0 || sigma <= 0) {
+    const intrinsic = Math.max(call ? F - K : K - F, 0);
+    const itm = intrinsic > 0;
+    return { price: intrinsic * df, delta: itm ? (call ? df : -df) : 0, gamma: 0, theta: 0, vega: 0, rho: 0 };
+  }
+
+  const sqrtT = Math.sqrt(T);
+  const d1 = (Math.log(F / K) + (sigma * sigma * T) / 2) / (sigma * sqrtT);
+  const d2 = d1 - sigma * sqrtT;
+
+  const price = call ? df * (F * normCdf(d1) - K * normCdf(d2)) : df * (K * normCdf(-d2) - F * normCdf(-d1));
+  const delta = call ? df * normCdf(d1) : -df * normCdf(-d1);
+  const gamma = (df * normPdf(d1)) / (F * sigma * sqrtT);
+  const vega = F * df * normPdf(d1) * sqrtT;
+  const theta = (-F * df * normPdf(d1) * sigma) / (2 * sqrtT) + r * price;
+  const rho = -T * price;
+
+  return { price, delta, gamma, theta: theta / 365, vega: vega / 100, rho: rho / 100 };
+}
+
+/**
+ * Prices option with model chosen by underlying type
+ * @param {"CE"|"PE"} type
+ * @param {Number} strike
+ * @param {Number} T
+ * @param {Number} sigma
+ * @param {GreeksOptions} options
+ * @returns {Greeks}
+ */
+function price(type, strike, T, sigma, options) {
+  const { underlyingPrice, underlyingType = "spot", rate = 0.065, dividendYield = 0 } = options;
+  return underlyingType === "futures"
+    ? black76({ type, F: underlyingPrice, K: strike, T, sigma, r: rate })
+    : blackScholes({ type, S: underlyingPrice, K: strike, T, sigma, r: rate, q: dividendYield });
+}
+
+/**
+ * Solves implied volatility from option price, Newton-Raphson with bisection fallback
+ * @param {Object} params
+ * @param {Number} params.price Option market price
+ * @param {"CE"|"PE"} params.type
+ * @param {Number} params.strike
+ * @param {Number} params.T Time to expiry in years
+ * @param {GreeksOptions} options
+ * @returns {Number|null} volatility as decimal, null when price is outside arbitrage bounds
+ */
+export function impliedVolatility({ price: marketPrice, type, strike, T }, options) {
+  if (!(marketPrice > 0) || !(T > 0)) {
+    return null;
+  }
+  const lowPrice = price(type, strike, T, 1e-4, options).price;
+  const highPrice = price(type, strike, T, 5, options).price;
+  if (marketPrice < lowPrice || marketPrice > highPrice) {
+    return null;
+  }
+
+  let sigma = 0.2;
+  for (let i = 0; i < 50; i++) {
+    const { price: p, vega } = price(type, strike, T, sigma, options);
+    const diff = p - marketPrice;
+    if (Math.abs(diff) < 1e-6) {
+      return sigma;
+    }
+    const next = sigma - diff / (vega * 100);
+    if (!Number.isFinite(next) || next <= 0 || next > 5 || vega < 1e-8) {
+      break;
+    }
+    sigma = next;
+  }
+
+  let low = 1e-4;
+  let high = 5;
+  for (let i = 0; i < 100; i++) {
+    sigma = (low + high) / 2;
+    const p = price(type, strike, T, sigma, options).price;
+    if (Math.abs(p - marketPrice) < 1e-6) {
+      break;
+    }
+    if (p > marketPrice) {
+      high = sigma;
+    } else {
+      low = sigma;
+    }
+  }
+  return sigma;
+}
+
+/**
+ * Implied volatility and Greeks of option instrument from its market price
+ * @param {import("./TradeSmart_Instruments.js").Instrument|import("./TradeSmart_InstrumentStore.js").StoredInstrument} instrument
+ * @param {Number} optionPrice Option LTP
+ * @param {GreeksOptions} options
+ * @returns {OptionGreeks}
+ */
+export function optionGreeks(instrument, optionPrice, options) {
+  const type = instrument?.OptionType;
+  const strike = Number(instrument?.StrikePrice);
+  if (!["CE", "PE"].includes(type) || !strike || !instrument.Expiry) {
+    throw new ValidationError("instrument with OptionType CE / PE, StrikePrice and Expiry required");
+  }
+  if (!(options?.underlyingPrice > 0)) {
+    throw new ValidationError("underlyingPrice required");
+  }
+
+  const T = timeToExpiry(instrument.ExpiryDate || instrument.Expiry, options.now);
+  const iv = impliedVolatility({ price: optionPrice, type, strike, T }, options);
+  const greeks = price(type, strike, T, iv ?? 0, options);
+  return {
+    iv,
+    T,
+    delta: greeks.delta,
+    gamma: greeks.gamma,
+    theta: greeks.theta,
+    vega: greeks.vega,
+    rho: greeks.rho,
+  };
+}
+
+/**
+ * Returns copy of quote with IV and Greeks of instrument
+ * @param {import("./TradeSmart_QuoteCache.js").Quote} quote
+ * @param {import("./TradeSmart_Instruments.js").Instrument} instrument
+ * @param {GreeksOptions} options
+ */
+export function enrichQuote(quote, instrument, options) {
+  if (!quote?.lp) {
+    return { ...quote };
+  }
+  return { ...quote, ...optionGreeks(instrument, quote.lp, options) };
+}
+
+/**
+ * Returns copy of option chain table with IV and Greeks on each CE / PE
+ * @param {import("./TradeSmart_OptionChain.js").OptionChainRow[]} rows
+ * @param {String|DateTime} expiry
+ * @param {GreeksOptions} options
+ */
+export function enrichOptionChain(rows, expiry, options) {
+  return rows.map((row) => {
+    const enriched = { ...row };
+    ["CE", "PE"].forEach((type) => {
+      const quote = row[type];
+      if (quote?.ltp) {
+        const instrument = { OptionType: type, StrikePrice: row.strike, Expiry: expiry };
+        enriched[type] = { ...quote, ...optionGreeks(instrument, quote.ltp, options) };
+      }
+    });
+    return enriched;
+  });
+}
+
+/**
+ * Net position Greeks, option positions are looked up in InstrumentStore by trading symbol.
+ * Futures add delta of 1 per unit, cash segment and other instruments are ignored.
+ * @param {Object[]} positions Position book rows (exch, tsym, netqty, lp)
+ * @param {Object} params
+ * @param {import("./TradeSmart_InstrumentStore.js").InstrumentStore} params.store
+ * @param {Object<String, Number>} params.underlyingPrices Underlying price by Symbol e.g. { NIFTY: 24500 }
+ * @param {"spot"|"futures"} [params.underlyingType="spot"]
+ * @param {Number} [params.rate=0.065]
+ * @param {DateTime} [params.now]
+ * @returns {{delta: Number, gamma: Number, theta: Number, vega: Number, rho: Number, positions: Object[]}}
+ */
+export function netGreeks(positions, params) {
+  const net = { delta: 0, gamma: 0, theta: 0, vega: 0, rho: 0, positions: [] };
+  (positions || []).forEach((position) => {
+    const qty = Number(position.netqty);
+    const instrument =
+      qty && derivativeExchanges.includes(position.exch)
+        ? params.store.byTradingSymbol(position.exch, position.tsym)
+        : null;
+    if (!instrument) {
+      return;
+    }
+
+    let greeks;
+    if (["CE", "PE"].includes(instrument.OptionType)) {
+      const underlyingPrice = params.underlyingPrices[instrument.Symbol];
+      if (!underlyingPrice) {
+        return;
+      }
+      greeks = optionGreeks(instrument, Number(position.lp), { ...params, underlyingPrice });
+    } else if (instrument.Instrument?.startsWith("FUT")) {
+      greeks = { iv: null, delta: 1, gamma: 0, theta: 0, vega: 0, rho: 0 };
+    } else {
+      return;
+    }
+
+    ["delta", "gamma", "theta", "vega", "rho"].forEach((key) => {
+      net[key] += greeks[key] * qty;
+    });
+    net.positions.push({ exch: position.exch, tsym: position.tsym, netqty: qty, ...greeks });
+  });
+  return net;
+}
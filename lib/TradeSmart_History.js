@@ -0,0 +1,360 @@
+import fs from "fs";
+import path from "path";
+import { DateTime } from "luxon";
+import { ValidationError } from "./TradeSmart_Errors.js";
+
+const timeZone = "Asia/Kolkata";
+const timeFormat = "dd-MM-yyyy HH:mm:ss";
+
+/**
+ * Cache file names, EXCH_TOKEN_INTERVAL.json and temporary files of interrupted writes
+ */
+const cacheFilePattern = /^[A-Z]+_[^_]+_[^_]+\.json(\.\d+\.tmp)?$/;
+
+/**
+ * @typedef {Object} HistoryBar
+ * @property {DateTime} time Bar start time in IST
+ * @property {Number} open
+ * @property {Number} high
+ * @property {Number} low
+ * @property {Number} close
+ * @property {Number} volume
+ * @property {Number} oi
+ * @property {Number} coi
+ * @property {Number} vwap
+ */
+
+/**
+ * @typedef {Object} HistoryRequest
+ * @property {String} exchange Exchange
+ * @property {String} token Token
+ * @property {String|DateTime|Date|Number} from Start time, strings are ISO or "yyyy-MM-dd HH:mm:ss" in `zone`
+ * @property {String|DateTime|Date|Number} to End time, same formats as from
+ * @property {Number} [interval=1] Bar size in minutes as supported by TPSeries
+ * @property {String} [zone="Asia/Kolkata"] Time zone of string times
+ */
+
+/**
+ * Converts time input to DateTime
+ * @param {String|DateTime|Date|Number} time
+ * @param {String} zone
+ * @returns {DateTime}
+ */
+function toDateTime(time, zone) {
+  let dt;
+  if (DateTime.isDateTime(time)) {
+    dt = time;
+  } else if (time instanceof Date) {
+    dt = DateTime.fromJSDate(time);
+  } else if (typeof time === "number") {
+    dt = DateTime.fromMillis(time);
+  } else {
+    dt = DateTime.fromFormat(String(time), "yyyy-MM-dd HH:mm:ss", { zone });
+    if (!dt.isValid) {
+      dt = DateTime.fromISO(String(time), { zone });
+    }
+  }
+  if (!dt.isValid) {
+    throw new ValidationError(`Invalid time ${time}`);
+  }
+  return dt.setZone(timeZone);
+}
+
+/**
+ * Merges overlapping [start, end] millisecond ranges
+ * @param {Number[][]} ranges
+ * @returns {Number[][]}
+ */
+function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  sorted.forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  });
+  return merged;
+}
+
+/**
+ * Returns parts of [start, end] not covered by ranges
+ * @param {Number} start
+ * @param {Number} end
+ * @param {Number[][]} ranges merged ranges
+ * @returns {Number[][]}
+ */
+function missingRanges(start, end, ranges) {
+  const gaps = [];
+  let cursor = start;
+  ranges.forEach(([s, e]) => {
+    if (e < cursor || s > end) {
+      return;
+    }
+    if (s > cursor) {
+      gaps.push([cursor, s]);
+    }
+    cursor = Math.max(cursor, e);
+  });
+  if (cursor < end) {
+    gaps.push([cursor, end]);
+  }
+  return gaps;
+}
+
+/**
+ * Aggregates sorted bars into one bar
+ * @param {HistoryBar[]} bars
+ * @param {DateTime} time
+ * @returns {HistoryBar}
+ */
+function aggregate(bars, time) {
+  const volume = bars.reduce((sum, b) => sum + (b.volume || 0), 0);
+  const last = bars[bars.length - 1];
+  return {
+    time,
+    open: bars[0].open,
+    high: Math.max(...bars.map((b) => b.high)),
+    low: Math.min(...bars.map((b) => b.low)),
+    close: last.close,
+    volume,
+    oi: last.oi,
+    coi: bars.reduce((sum, b) => sum + (b.coi || 0), 0),
+    vwap: volume
+      ? bars.reduce((sum, b) => sum + (b.volume || 0) * (b.vwap || b.close), 0) / volume
+      : last.close,
+  };
+}
+
+/**
+ * Resamples bars into higher timeframe aligned to session start in IST
+ * @param {HistoryBar[]} bars sorted bars
+ * @param {Number|"D"} timeframe Minutes or "D" for daily bars
+ * @param {Object} [options]
+ * @param {String} [options.sessionStart="09:15"] "HH:mm" IST of first bar of the day
+ * @returns {HistoryBar[]}
+ */
+export function resampleBars(bars, timeframe, options = {}) {
+  if (timeframe !== "D" && !(Number.isInteger(timeframe) && timeframe > 0)) {
+    throw new ValidationError('timeframe must be whole minutes or "D"');
+  }
+  const [hour, minute] = (options.sessionStart || "09:15").split(":").map(Number);
+
+  const buckets = new Map();
+  bars.forEach((bar) => {
+    const time = bar.time.setZone(timeZone);
+    let start;
+    if (timeframe === "D") {
+      start = time.startOf("day");
+    } else {
+      const session = time.set({ hour, minute, second: 0, millisecond: 0 });
+      const elapsed = Math.floor(time.diff(session, "minutes").minutes / timeframe) * timeframe;
+      start = session.plus({ minutes: elapsed });
+    }
+    const key = start.toMillis();
+    if (!buckets.has(key)) {
+      buckets.set(key, { start, bars: [] });
+    }
+    buckets.get(key).bars.push(bar);
+  });
+
+  return [...buckets.values()]
+    .sort((a, b) => a.start.toMillis() - b.start.toMillis())
+    .map((b) => aggregate(b.bars, b.start));
+}
+
+/**
+ * Historical bars from TPSeries fetched in chunks with limited concurrency and cached on disk.
+ * Repeat requests only fetch ranges missing from the cache.
+ */
+export class HistoryService {
+  /**
+   * @type {import("./TradeSmart_API.js").TradeSmartAPI}
+   */
+  #api;
+  #cacheDir = "./history";
+  #concurrency = 3;
+  #chunkDays = 30;
+
+  /**
+   * @param {import("./TradeSmart_API.js").TradeSmartAPI} api
+   * @param {Object} [options]
+   * @param {String|null} [options.cacheDir="./history"] Cache folder, null disables cache
+   * @param {Number} [options.concurrency=3] Parallel TPSeries requests
+   * @param {Number} [options.chunkDays=30] Days per TPSeries request
+   */
+  constructor(api, options = {}) {
+    this.#api = api;
+    this.#cacheDir = options.cacheDir === undefined ? this.#cacheDir : options.cacheDir;
+    this.#concurrency = options.concurrency || this.#concurrency;
+    this.#chunkDays = options.chunkDays || this.#chunkDays;
+  }
+
+  #cacheFile(exchange, token, interval) {
+    return path.join(this.#cacheDir, `${exchange}_${token}_${interval}.json`);
+  }
+
+  /**
+   * @returns {Promise<{ranges: Number[][], bars: Object[]}>}
+   */
+  async #readCache(exchange, token, interval) {
+    if (!this.#cacheDir) {
+      return { ranges: [], bars: [] };
+    }
+    try {
+      const data = await fs.promises.readFile(this.#cacheFile(exchange, token, interval), "utf-8");
+      return JSON.parse(data);
+    } catch (error) {
+      return { ranges: [], bars: [] };
+    }
+  }
+
+  async #writeCache(exchange, token, interval, cache) {
+    if (!this.#cacheDir) {
+      return;
+    }
+    await fs.promises.mkdir(this.#cacheDir, { recursive: true });
+    const filePath = this.#cacheFile(exchange, token, interval);
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(cache));
+    await fs.promises.rename(tmpPath, filePath);
+  }
+
+  /**
+   * Runs tasks with limited concurrency
+   * @template T
+   * @param {(() => Promise<T>)[]} tasks
+   * @returns {Promise<T[]>}
+   */
+  async #runLimited(tasks) {
+    const results = new Array(tasks.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < tasks.length) {
+        const index = next++;
+        results[index] = await tasks[index]();
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.#concurrency, tasks.length) }, worker));
+    return results;
+  }
+
+  /**
+   * Returns bars for range sorted by time without duplicates
+   * @param {HistoryRequest} params
+   * @returns {Promise<HistoryBar[]>}
+   */
+  async getBars(params) {
+    const { exchange, token, from, to, interval = 1, zone = timeZone } = params || {};
+    if (!exchange || !token || !from || !to) {
+      throw new ValidationError("exchange, token, from, to required", { payload: params });
+    }
+    const start = toDateTime(from, zone).toMillis();
+    const end = toDateTime(to, zone).toMillis();
+    if (start > end) {
+      throw new ValidationError("from must be before to", { payload: params });
+    }
+
+    const cache = await this.#readCache(exchange, token, interval);
+    const gaps = missingRanges(start, end, cache.ranges);
+
+    const chunkMillis = this.#chunkDays * 24 * 60 * 60 * 1000;
+    const chunks = gaps.flatMap(([s, e]) => {
+      const parts = [];
+      for (let cursor = s; cursor < e; cursor += chunkMillis) {
+        parts.push([cursor, Math.min(cursor + chunkMillis, e)]);
+      }
+      return parts;
+    });
+
+    const fetched = await this.#runLimited(
+      chunks.map(([s, e]) => () =>
+        this.#api.getCandleData({
+          exchange,
+          token,
+          starttime: DateTime.fromMillis(s),
+          endtime: DateTime.fromMillis(e),
+          interval: String(interval),
+        })
+      )
+    );
+
+    const byTime = new Map(cache.bars.map((b) => [b.time, b]));
+    fetched.flat().forEach((c) => {
+      const time = DateTime.fromFormat(c.time, timeFormat, { zone: timeZone });
+      if (time.isValid) {
+        byTime.set(time.toMillis(), { ...c, time: time.toMillis() });
+      }
+    });
+
+    if (chunks.length) {
+      // bars of the running interval are incomplete, keep them out of the covered ranges
+      const completeUntil = Date.now() - Number(interval) * 60 * 1000;
+      const covered = chunks
+        .map(([s, e]) => [s, Math.min(e, completeUntil)])
+        .filter(([s, e]) => s < e);
+      cache.ranges = mergeRanges([...cache.ranges, ...covered]);
+      cache.bars = [...byTime.values()]
+        .filter((b) => cache.ranges.some(([s, e]) => b.time >= s && b.time <= e))
+        .sort((a, b) => a.time - b.time);
+      await this.#writeCache(exchange, token, interval, cache);
+    }
+
+    return [...byTime.values()]
+      .filter((b) => b.time >= start && b.time <= end)
+      .sort((a, b) => a.time - b.time)
+      .map((b) => ({
+        time: DateTime.fromMillis(b.time, { zone: timeZone }),
+        open: b.open,
+        high: b.high,
+        low: b.low,
+        close: b.close,
+        volume: b.volume,
+        oi: b.oi,
+        coi: b.coi,
+        vwap: b.vwap,
+      }));
+  }
+
+  /**
+   * Returns 1 minute bars resampled to timeframe
+   * @param {HistoryRequest} params
+   * @param {Number|"D"} timeframe Minutes or "D" for daily bars
+   * @param {Object} [options] same as resampleBars
+   * @returns {Promise<HistoryBar[]>}
+   */
+  async getResampled(params, timeframe, options) {
+    const bars = await this.getBars({ ...params, interval: 1 });
+    return resampleBars(bars, timeframe, options);
+  }
+
+  /**
+   * Removes cached bars of instrument, or all cache files when called without arguments.
+   * Only files written by the cache are removed, other files in cache folder are kept.
+   * @param {String} [exchange]
+   * @param {String} [token]
+   * @param {Number} [interval=1]
+   */
+  async clearCache(exchange, token, interval = 1) {
+    if (!this.#cacheDir) {
+      return;
+    }
+    if (!exchange) {
+      let files = [];
+      try {
+        files = await fs.promises.readdir(this.#cacheDir);
+      } catch {
+        return;
+      }
+      await Promise.all(
+        files
+          .filter((file) => cacheFilePattern.test(file))
+          .map((file) => fs.promises.rm(path.join(this.#cacheDir, file), { force: true }))
+      );
+      return;
+    }
+    await fs.promises.rm(this.#cacheFile(exchange, token, interval), { force: true });
+  }
+}
@@ -0,0 +1,264 @@
+import fs from "fs";
+import path from "path";
+import { DateTime } from "luxon";
+import { TradeSmartError, ValidationError } from "./TradeSmart_Errors.js";
+
+/**
+ * @typedef {Object} StoredInstrument
+ * @property {string} Exchange - The exchange name (e.g., NSE, BSE).
+ * @property {string} Token - The unique token identifier for the instrument.
+ * @property {number} LotSize - The lot size of the instrument.
+ * @property {string} Symbol - The symbol representing the instrument.
+ * @property {string} TradingSymbol - The trading symbol of the instrument.
+ * @property {string} Instrument - The type of instrument (e.g., FUTIDX, OPTIDX).
+ * @property {string} Expiry - The expiry date as in master e.g. 28-AUG-2025.
+ * @property {DateTime|null} ExpiryDate - Expiry parsed as IST date, null when instrument has no expiry.
+ * @property {string} OptionType - The option type (e.g., CE for Call, PE for Put).
+ * @property {number} StrikePrice - The strike price of the option.
+ * @property {number} TickSize - The tick size for price increments.
+ */
+
+/**
+ * @typedef {Object} ChainRow
+ * @property {number} strike Strike price
+ * @property {StoredInstrument|null} CE Call contract
+ * @property {StoredInstrument|null} PE Put contract
+ */
+
+/**
+ * @typedef {Object} ExchangeIndex
+ * @property {StoredInstrument[]} rows
+ * @property {Map<String, StoredInstrument>} byToken
+ * @property {Map<String, StoredInstrument>} byTradingSymbol
+ * @property {Map<String, StoredInstrument[]>} bySeries Symbol|Instrument|Expiry -> instruments sorted by strike
+ */
+
+/**
+ * Parses expiry of instrument master e.g. "28-AUG-2025" into IST date
+ * @param {String} expiry
+ * @returns {DateTime|null}
+ */
+export function parseExpiry(expiry) {
+  if (!expiry) {
+    return null;
+  }
+  const date = DateTime.fromFormat(expiry, "dd-MMM-yyyy", {
+    zone: "Asia/Kolkata",
+    locale: "en",
+  });
+  return date.isValid ? date : null;
+}
+
+/**
+ * In-memory instrument master. Each exchange is read once and indexed by token,
+ * trading symbol and Symbol + Instrument + Expiry.
+ */
+export class InstrumentStore {
+  #folderPath = "./instruments";
+
+  /**
+   * @type {Map<String, ExchangeIndex>}
+   */
+  #exchanges = new Map();
+
+  /**
+   * @param {Object} [options]
+   * @param {String} [options.folderPath="./instruments"] Folder containing {EXCH}_symbols.json
+   */
+  constructor(options = {}) {
+    this.#folderPath = options.folderPath || this.#folderPath;
+  }
+
+  /**
+   * Loads exchange from disk once, later calls are no-op unless forced
+   * @param {String} exchange
+   * @param {Boolean} [force=false] Reload even if already loaded
+   * @returns {InstrumentStore}
+   */
+  load(exchange, force = false) {
+    if (this.#exchanges.has(exchange) && !force) {
+      return this;
+    }
+    const filepath = path.join(this.#folderPath, `${exchange}_symbols.json`);
+    let rows;
+    try {
+      rows = JSON.parse(fs.readFileSync(filepath, "utf-8"));
+    } catch (error) {
+      throw TradeSmartError.from(error, { route: filepath });
+    }
+    return this.loadRows(exchange, rows);
+  }
+
+  /**
+   * Indexes rows of exchange, replaces previously loaded data
+   * @param {String} exchange
+   * @param {Object[]} rows raw rows of instrument master
+   * @returns {InstrumentStore}
+   */
+  loadRows(exchange, rows = []) {
+    const index = {
+      rows: [],
+      byToken: new Map(),
+      byTradingSymbol: new Map(),
+      bySeries: new Map(),
+    };
+
+    rows.forEach((row) => {
+      /**
+       * @type {StoredInstrument}
+       */
+      const instrument = {
+        ...row,
+        LotSize: Number(row.LotSize) || 0,
+        TickSize: Number(row.TickSize) || 0,
+        StrikePrice: Number(row.StrikePrice) || 0,
+        ExpiryDate: parseExpiry(row.Expiry),
+      };
+      index.rows.push(instrument);
+      index.byToken.set(String(instrument.Token), instrument);
+      index.byTradingSymbol.set(instrument.TradingSymbol, instrument);
+
+      const key = InstrumentStore.#seriesKey(
+        instrument.Symbol,
+        instrument.Instrument,
+        instrument.Expiry
+      );
+      const series = index.bySeries.get(key) || [];
+      series.push(instrument);
+      index.bySeries.set(key, series);
+    });
+
+    index.bySeries.forEach((series) =>
+      series.sort((a, b) => a.StrikePrice - b.StrikePrice)
+    );
+    this.#exchanges.set(exchange, index);
+    return this;
+  }
+
+  static #seriesKey(symbol, instrument, expiry) {
+    return `${symbol}|${instrument}|${expiry || ""}`;
+  }
+
+  /**
+   * @param {String} exchange
+   * @returns {ExchangeIndex}
+   */
+  #index(exchange) {
+    return this.load(exchange).#exchanges.get(exchange);
+  }
+
+  /**
+   * @param {DateTime|String} expiry
+   * @returns {String}
+   */
+  static #expiryString(expiry) {
+    return DateTime.isDateTime(expiry)
+      ? expiry.setLocale("en").toFormat("dd-MMM-yyyy").toUpperCase()
+      : expiry;
+  }
+
+  /**
+   * Returns all instruments of exchange
+   * @param {String} exchange
+   * @returns {StoredInstrument[]}
+   */
+  all(exchange) {
+    return this.#index(exchange).rows;
+  }
+
+  /**
+   * @param {String} exchange
+   * @param {String|Number} token
+   * @returns {StoredInstrument|null}
+   */
+  byToken(exchange, token) {
+    return this.#index(exchange).byToken.get(String(token)) || null;
+  }
+
+  /**
+   * @param {String} exchange
+   * @param {String} tradingSymbol
+   * @returns {StoredInstrument|null}
+   */
+  byTradingSymbol(exchange, tradingSymbol) {
+    return this.#index(exchange).byTradingSymbol.get(tradingSymbol) || null;
+  }
+
+  /**
+   * Returns instruments of a series sorted by strike
+   * @param {Object} params
+   * @param {String} params.Exchange
+   * @param {String} params.Symbol
+   * @param {String} params.Instrument
+   * @param {DateTime|String} [params.Expiry]
+   * @returns {StoredInstrument[]}
+   */
+  series(params) {
+    const { Exchange, Symbol, Instrument, Expiry } = params || {};
+    if (!Exchange || !Symbol || !Instrument) {
+      throw new ValidationError("Exchange, Symbol, Instrument required");
+    }
+    const key = InstrumentStore.#seriesKey(
+      Symbol,
+      Instrument,
+      InstrumentStore.#expiryString(Expiry)
+    );
+    return this.#index(Exchange).bySeries.get(key) || [];
+  }
+
+  /**
+   * Returns sorted unique expiries of symbol
+   * @param {String} exchange
+   * @param {String} symbol
+   * @param {String} instrument e.g. OPTIDX, FUTSTK
+   * @returns {DateTime[]}
+   */
+  expiries(exchange, symbol, instrument) {
+    const expiries = new Map();
+    this.#index(exchange).bySeries.forEach((series, key) => {
+      const [s, i] = key.split("|");
+      if (s === symbol && i === instrument && series[0].ExpiryDate) {
+        expiries.set(series[0].Expiry, series[0].ExpiryDate);
+      }
+    });
+    return [...expiries.values()].sort((a, b) => a.toMillis() - b.toMillis());
+  }
+
+  /**
+   * Returns option chain contracts by strike
+   * @param {String} symbol e.g. NIFTY
+   * @param {DateTime|String} expiry e.g. 28-AUG-2025
+   * @param {Object} [options]
+   * @param {String} [options.exchange="NFO"]
+   * @param {String} [options.instrument] OPTIDX / OPTSTK / OPTFUT..., detected when not passed
+   * @returns {ChainRow[]}
+   */
+  chain(symbol, expiry, options = {}) {
+    const exchange = options.exchange || "NFO";
+    const instruments = options.instrument
+      ? [options.instrument]
+      : ["OPTIDX", "OPTSTK", "OPTFUT", "OPTCUR", "OPTCOM"];
+
+    const rows = new Map();
+    instruments.forEach((instrument) => {
+      this.series({
+        Exchange: exchange,
+        Symbol: symbol,
+        Instrument: instrument,
+        Expiry: expiry,
+      }).forEach((contract) => {
+        if (!["CE", "PE"].includes(contract.OptionType)) {
+          return;
+        }
+        const row = rows.get(contract.StrikePrice) || {
+          strike: contract.StrikePrice,
+          CE: null,
+          PE: null,
+        };
+        row[contract.OptionType] = contract;
+        rows.set(contract.StrikePrice, row);
+      });
+    });
+    return [...rows.values()].sort((a, b) => a.strike - b.strike);
+  }
+}
@@ -1,11 +1,33 @@
-import { rejects } from "assert";
 import axios from "axios";
 import fs from "fs";
 import path from "path";
+import readline from "readline";
+import { Readable } from "stream";
+import { createInflateRaw } from "zlib";
 import AdmZip from "adm-zip";
-import { DateTime, Zone } from "luxon";
+import { DateTime } from "luxon";
+import { NetworkError, TradeSmartError, ValidationError } from "./TradeSmart_Errors.js";
 
 const folderPath = "./instruments";
+const timeZone = "Asia/Kolkata";
+const manifestFile = "manifest.json";
+
+/**
+ * Exchanges downloaded by default
+ */
+export const INSTRUMENT_EXCHANGES = ["NSE", "NFO", "CDS", "MCX", "BSE", "BFO"];
+
+/**
+ * Time in IST after which broker publishes the day's instrument master, by exchange
+ */
+const defaultRefreshTimes = {
+  NSE: "08:30",
+  NFO: "08:30",
+  BSE: "08:30",
+  BFO: "08:30",
+  CDS: "08:30",
+  MCX: "08:30",
+};
 
 /**
  * @typedef {Object} Instrument
@@ -21,137 +43,295 @@ const folderPath = "./instruments";
  * @property {number} TickSize - The tick size for price increments.
  */
 
-export async function DownloadInstruments() {
-  const routes = [
-    "https://v2api.tradesmartonline.in/NSE_symbols.txt.zip",
-    "https://v2api.tradesmartonline.in/NFO_symbols.txt.zip",
-    "https://v2api.tradesmartonline.in/CDS_symbols.txt.zip",
-    "https://v2api.tradesmartonline.in/MCX_symbols.txt.zip",
-    "https://v2api.tradesmartonline.in/BSE_symbols.txt.zip",
-  ];
-
-  // Ensure the output folder exists
-  if (!fs.existsSync(folderPath)) {
-    try {
-      fs.mkdirSync(folderPath, { recursive: true });
-    } catch (err) {
-      throw new Error("Error creating folder:", err);
+/**
+ * @typedef {Object} DownloadOptions
+ * @property {String} [folderPath="./instruments"] Folder where json files and manifest are stored
+ * @property {String[]} [exchanges] Exchanges to download, defaults to INSTRUMENT_EXCHANGES
+ * @property {String} [baseURL="https://v2api.tradesmartonline.in"] Host serving {EXCH}_symbols.txt.zip
+ * @property {Object<String, String>} [refreshTimes] "HH:mm" IST after which a new master is expected, by exchange
+ */
+
+/**
+ * @typedef {Object} DownloadResult
+ * @property {String} exchange
+ * @property {Boolean} ok True when master was downloaded and saved
+ * @property {Number} [rows] Number of instruments saved
+ * @property {String} [file] Saved json file path
+ * @property {TradeSmartError} [error] Failure reason
+ */
+
+/**
+ * @typedef {Object} ManifestEntry
+ * @property {String} downloadedAt ISO time of download
+ * @property {Number} rows Number of instruments
+ * @property {String} file json file name
+ */
+
+/**
+ * Splits csv line into fields, supports quoted fields with commas and escaped quotes
+ * @param {String} line
+ * @returns {String[]}
+ */
+export function parseCSVLine(line) {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      fields.push(field);
+      field = "";
+    } else {
+      field += char;
     }
   }
+  fields.push(field);
+  return fields.map((f) => f.trim());
+}
+
+/**
+ * Writes file through temp file and rename so readers never see partial content
+ * @param {String} filePath
+ * @param {String} content
+ */
+async function writeFileAtomic(filePath, content) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmpPath, content);
+  await fs.promises.rename(tmpPath, filePath);
+}
 
+/**
+ * Reads download manifest of folder
+ * @param {String} [folder="./instruments"]
+ * @returns {Object<String, ManifestEntry>}
+ */
+export function getInstrumentManifest(folder = folderPath) {
   try {
-    await Promise.all(
-      routes.map(async (url, index, array) => {
-        try {
-          const resp = await axios({
-            method: "get",
-            url,
-            responseType: "stream",
-          });
-
-          const fileName = path.basename(url);
-          const outputFileName = fileName.replace(".txt.zip", "");
-
-          const zipFilePath = path.join(folderPath, fileName);
-          const writer = fs.createWriteStream(zipFilePath);
-
-          resp.data?.pipe(writer);
-
-          await new Promise((resolve, reject) => {
-            writer.on("finish", () => resolve());
-            writer.on("error", reject);
-          });
-
-          const zip = new AdmZip(zipFilePath);
-          const zipEntires = zip.getEntries();
-
-          const txtEntry = zipEntires.find((entry) =>
-            entry.name.endsWith(".txt")
-          );
-
-          if (!txtEntry) {
-            throw new Error("No txt File found in the zip archive");
-          }
-
-          // Extract the content of the txt file
-          const txtContent = zip.readAsText(txtEntry);
-
-          // Convert CSV to JSON
-          const rows = txtContent
-            .trim()
-            .split("\n")
-            .map((line) => line.trim().split(","));
-
-          const header = rows[0];
-          const jsonData = rows.slice(1).map((row) => {
-            let obj = {};
-            header.forEach((key, index) => {
-              if (key && key.trim()) {
-                obj[key] = row[index] || "";
-              }
-            });
-            return obj;
-          });
-
-          const jsonFilePath = path.join(folderPath, `${outputFileName}.json`);
-          fs.writeFileSync(jsonFilePath, JSON.stringify(jsonData));
-
-          fs.unlinkSync(zipFilePath);
-        } catch (error) {
-          throw error;
-        }
-      })
-    );
+    return JSON.parse(fs.readFileSync(path.join(folder, manifestFile), "utf-8"));
   } catch (error) {
-    throw error;
+    return {};
   }
 }
 
-export function getFileData(exchange) {
+/**
+ * Streams txt entry of zip through csv parser into json file
+ * @param {String} zipFilePath
+ * @param {String} jsonFilePath
+ * @returns {Promise<Number>} rows written
+ */
+async function convertZipToJson(zipFilePath, jsonFilePath) {
+  const zip = new AdmZip(zipFilePath);
+  const txtEntry = zip.getEntries().find((entry) => entry.name.endsWith(".txt"));
+  if (!txtEntry) {
+    throw new TradeSmartError("No txt File found in the zip archive", { route: zipFilePath });
+  }
+
+  // deflated entries are inflated as a stream instead of reading whole text in memory
+  const compressed = txtEntry.getCompressedData();
+  const input =
+    txtEntry.header.method === 8
+      ? Readable.from([compressed]).pipe(createInflateRaw())
+      : Readable.from([compressed]);
+
+  const tmpPath = `${jsonFilePath}.${process.pid}.tmp`;
+  const writer = fs.createWriteStream(tmpPath);
+  const write = (chunk) =>
+    writer.write(chunk) ? null : new Promise((resolve) => writer.once("drain", resolve));
+
+  let header = null;
+  let rows = 0;
   try {
-    let filename = `${exchange}_symbols.json`;
-    const filepath = path.join(folderPath, filename);
-    if (!path.resolve(filepath)) {
-      throw new Error("instruments file path not found");
+    await write("[");
+    for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+      if (!line.trim()) {
+        continue;
+      }
+      const fields = parseCSVLine(line);
+      if (!header) {
+        header = fields;
+        continue;
+      }
+      const obj = {};
+      header.forEach((key, index) => {
+        if (key) {
+          obj[key] = fields[index] || "";
+        }
+      });
+      await write(`${rows ? "," : ""}${JSON.stringify(obj)}`);
+      rows++;
     }
-    return JSON.parse(fs.readFileSync(filepath, "utf-8"));
+    await write("]");
+    await new Promise((resolve, reject) => {
+      writer.on("error", reject);
+      writer.end(resolve);
+    });
+    await fs.promises.rename(tmpPath, jsonFilePath);
   } catch (error) {
+    writer.destroy();
+    await fs.promises.rm(tmpPath, { force: true });
     throw error;
   }
+  return rows;
 }
 
-function isFileOldOrNotExists(filePath) {
+/**
+ * Downloads one exchange master
+ * @param {String} exchange
+ * @param {String} folder
+ * @param {String} baseURL
+ * @returns {Promise<{rows: Number, file: String}>}
+ */
+async function downloadExchange(exchange, folder, baseURL) {
+  const url = `${baseURL}/${exchange}_symbols.txt.zip`;
+  const zipFilePath = path.join(folder, `${exchange}_symbols.${process.pid}.zip`);
+  const jsonFilePath = path.join(folder, `${exchange}_symbols.json`);
+
   try {
-    if (!fs.existsSync(folderPath)) {
-      fs.mkdirSync(folderPath);
-    }
-    const stats = fs.statSync(filePath);
-    const modifiedTime = stats.mtime;
-    const filetime = DateTime.fromJSDate(modifiedTime);
-    const targetTime = DateTime.local().set({
-      hour: 8,
-      minute: 30,
-      second: 0,
-      millisecond: 0,
+    const resp = await axios({
+      method: "get",
+      url,
+      responseType: "stream",
+    }).catch((err) => {
+      throw new NetworkError(`Instrument download failed : ${err.message}`, {
+        route: url,
+        status: err.response?.status,
+        cause: err,
+      });
     });
-    return filetime < targetTime || stats.size === 0;
+
+    const writer = fs.createWriteStream(zipFilePath);
+    resp.data?.pipe(writer);
+    await new Promise((resolve, reject) => {
+      writer.on("finish", () => resolve());
+      writer.on("error", reject);
+      resp.data?.on("error", reject);
+    });
+
+    const rows = await convertZipToJson(zipFilePath, jsonFilePath);
+    return { rows, file: jsonFilePath };
   } catch (error) {
-    return true;
+    throw TradeSmartError.from(error, { route: url });
+  } finally {
+    await fs.promises.rm(zipFilePath, { force: true });
   }
 }
 
-export async function CheckInstruments() {
+/**
+ * Downloads instrument masters as json. Each exchange is downloaded independently,
+ * files are replaced atomically and a manifest records download time and row counts.
+ * @param {DownloadOptions} [options]
+ * @returns {Promise<DownloadResult[]>} result per exchange
+ * @throws {TradeSmartError} Throws only when every exchange failed
+ */
+export async function DownloadInstruments(options = {}) {
+  const folder = options.folderPath || folderPath;
+  const exchanges = options.exchanges || INSTRUMENT_EXCHANGES;
+  const baseURL = options.baseURL || "https://v2api.tradesmartonline.in";
+
   try {
-    const filePath = "./instruments/NSE_symbols.json";
-    const shouldDownloadFile = isFileOldOrNotExists(filePath);
-    if (shouldDownloadFile) {
-      await DownloadInstruments();
-    }
+    await fs.promises.mkdir(folder, { recursive: true });
+  } catch (err) {
+    throw new TradeSmartError(`Error creating folder : ${err.message}`, { cause: err });
+  }
+
+  const settled = await Promise.allSettled(
+    exchanges.map((exchange) => downloadExchange(exchange, folder, baseURL))
+  );
+
+  /**
+   * @type {DownloadResult[]}
+   */
+  const results = settled.map((result, index) =>
+    result.status === "fulfilled"
+      ? { exchange: exchanges[index], ok: true, ...result.value }
+      : { exchange: exchanges[index], ok: false, error: result.reason }
+  );
+
+  const manifest = getInstrumentManifest(folder);
+  const downloadedAt = DateTime.now().setZone(timeZone).toISO();
+  results
+    .filter((r) => r.ok)
+    .forEach((r) => {
+      manifest[r.exchange] = { downloadedAt, rows: r.rows, file: path.basename(r.file) };
+    });
+  await writeFileAtomic(path.join(folder, manifestFile), JSON.stringify(manifest, null, 2));
+
+  if (results.length && results.every((r) => !r.ok)) {
+    throw new TradeSmartError(
+      `Instrument download failed for ${exchanges.join(", ")} : ${results[0].error?.message}`,
+      { cause: results[0].error }
+    );
+  }
+  return results;
+}
+
+/**
+ * Reads json master of exchange
+ * @param {String} exchange
+ * @param {String} [folder="./instruments"]
+ * @returns {Instrument[]}
+ */
+export function getFileData(exchange, folder = folderPath) {
+  try {
+    let filename = `${exchange}_symbols.json`;
+    const filepath = path.join(folder, filename);
+    return JSON.parse(fs.readFileSync(filepath, "utf-8"));
   } catch (error) {
-    throw error;
+    throw TradeSmartError.from(error, { route: exchange });
   }
 }
 
+/**
+ * Returns true when master of exchange is missing, empty or downloaded before the latest refresh time in IST
+ * @param {String} exchange
+ * @param {DownloadOptions} [options]
+ * @param {DateTime} [now]
+ * @returns {Boolean}
+ */
+export function isInstrumentStale(exchange, options = {}, now = DateTime.now()) {
+  const folder = options.folderPath || folderPath;
+  const entry = getInstrumentManifest(folder)[exchange];
+  if (!entry?.rows || !fs.existsSync(path.join(folder, entry.file))) {
+    return true;
+  }
+
+  const refreshTime = { ...defaultRefreshTimes, ...options.refreshTimes }[exchange] || "08:30";
+  const [hour, minute] = refreshTime.split(":").map(Number);
+  const istNow = now.setZone(timeZone);
+  let cutoff = istNow.set({ hour, minute, second: 0, millisecond: 0 });
+  if (cutoff > istNow) {
+    cutoff = cutoff.minus({ days: 1 });
+  }
+  return DateTime.fromISO(entry.downloadedAt) < cutoff;
+}
+
+/**
+ * Downloads instrument masters of exchanges that are stale as per isInstrumentStale
+ * @param {DownloadOptions} [options]
+ * @returns {Promise<DownloadResult[]>} results of exchanges that were downloaded
+ */
+export async function CheckInstruments(options = {}) {
+  const exchanges = (options.exchanges || INSTRUMENT_EXCHANGES).filter((exchange) =>
+    isInstrumentStale(exchange, options)
+  );
+  if (!exchanges.length) {
+    return [];
+  }
+  return DownloadInstruments({ ...options, exchanges });
+}
+
 /**
  * Finds an instrument based on the provided parameters.
  *
@@ -162,18 +342,20 @@ export async function CheckInstruments() {
  * @param {string} [params.Expiry] - The expiry date of the instrument in ISO format (optional).
  * @param {string} [params.OptionType] - The option type (e.g., CE for Call, PE for Put) (optional).
  * @param {string} [params.StrikePrice] - The strike price of the option (optional).
- * @param {string} [fd] - File data if passsed for faster search.
+ * @param {Instrument[]} [fd] - File data if passsed for faster search.
+ * @param {Object} [options]
+ * @param {String} [options.folderPath="./instruments"] Folder masters were downloaded to, used when fd is not passed
  * @returns {Instrument|Instrument[] | null} - The matching instrument or null if not found.
  */
-export function FindInstruments(params, fd) {
+export function FindInstruments(params, fd, options = {}) {
   if (!params.Exchange || !params.Symbol) {
-    throw new Error("Exchange not found or Symbol is missing");
+    throw new ValidationError("Exchange not found or Symbol is missing");
   }
 
-  const filedata = fd || getFileData(params.Exchange) || null;
+  const filedata = fd || getFileData(params.Exchange, options.folderPath) || null;
 
   if (!filedata) {
-    throw new Error("file data not found");
+    throw new TradeSmartError("file data not found");
   }
 
   /**
@@ -211,10 +393,12 @@ export function FindInstruments(params, fd) {
  * @param {string} params.Symbol - The symbol representing the instrument.
  * @param {string} params.Instrument - The type of instrument (e.g., FUT, OPT).
  * @param {Instrument[]} [fd] - An optional array of Instrument objects to filter. If not provided, it fetches data from `getFileData`.
+ * @param {Object} [options]
+ * @param {String} [options.folderPath="./instruments"] Folder masters were downloaded to, used when fd is not passed
  * @returns {string[]} - A sorted array of unique expiry dates.
  */
-export function GetExpiryDates(params, fd) {
-  const filedata = fd || getFileData(params.Exchange);
+export function GetExpiryDates(params, fd, options = {}) {
+  const filedata = fd || getFileData(params.Exchange, options.folderPath);
 
   const filteredData = filedata.filter((scrip) => {
     return Object.keys(params).every((paramKey) => {
@@ -248,9 +432,11 @@ export function GetExpiryDates(params, fd) {
  * @param {number} params.Price - The underlying price to find the ATM strike.
  * @param {number} params.MaxStrikes - The maximum number of strikes to include in ITM/OTM lists.
  * @param {Instrument[]} [fd] - An optional array of ShoonyaInstrument objects. If not provided, data is fetched using `getFileData`.
- * @returns {OptionStrikes|null} - An object containing the ATM strike and nearby strikes, or `null` if an error occurs.
+ * @param {Object} [options]
+ * @param {String} [options.folderPath="./instruments"] Folder masters were downloaded to, used when fd is not passed
+ * @returns {OptionStrikes|null} - An object containing the ATM strike and nearby strikes, or `null` if parameters are invalid or file data cannot be read.
  */
-export function GetOptionStrike(params, fd) {
+export function GetOptionStrike(params, fd, options = {}) {
   try {
     const { Exchange, Symbol, Instrument, Expiry, Price, MaxStrikes } = params;
 
@@ -262,10 +448,10 @@ export function GetOptionStrike(params, fd) {
       !Price ||
       !MaxStrikes
     ) {
-      throw new Error("Invalid or missing parameters.");
+      throw new ValidationError("Invalid or missing parameters.");
     }
 
-    const fileData = fd || getFileData(params.Exchange); // Load data if not provided
+    const fileData = fd || getFileData(params.Exchange, options.folderPath); // Load data if not provided
 
     // Filter instruments based on parameters
     const filteredInstruments = fileData.filter(
@@ -305,8 +491,7 @@ export function GetOptionStrike(params, fd) {
       .map((s) => s.strike);
 
     return { atm, upstrikes, dnstrikes };
-  } catch (error) {
-    console.error("Error in GetOptionStrike:", error.message);
+  } catch {
     return null;
   }
 }
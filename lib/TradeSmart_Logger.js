@@ -0,0 +1,69 @@
+import { redact } from "./TradeSmart_Errors.js";
+
+/**
+ * Any logger with debug / info / warn / error methods e.g. pino, winston or console.
+ * Each method is called with a single entry object { message, ...fields },
+ * use messageKey: "message" with pino to show it as message.
+ * @typedef {Object} Logger
+ * @property {(entry: Object) => void} [debug]
+ * @property {(entry: Object) => void} [info]
+ * @property {(entry: Object) => void} [warn]
+ * @property {(entry: Object) => void} [error]
+ */
+
+/**
+ * Logger used inside the library, fields are redacted before they reach the supplied logger
+ * @typedef {Object} LibraryLogger
+ * @property {(message: String, fields?: Object) => void} debug
+ * @property {(message: String, fields?: Object) => void} info
+ * @property {(message: String, fields?: Object) => void} warn
+ * @property {(message: String, fields?: Object) => void} error
+ */
+
+const levels = ["debug", "info", "warn", "error"];
+
+/**
+ * Writes entries to console, used by setDebug
+ * @type {Logger}
+ */
+export const consoleLogger = Object.freeze({
+  debug: (entry) => console.debug(entry),
+  info: (entry) => console.info(entry),
+  warn: (entry) => console.warn(entry),
+  error: (entry) => console.error(entry),
+});
+
+/**
+ * Wraps logger so every entry is redacted, levels missing on logger are dropped.
+ * Without logger nothing is written.
+ * @param {Logger|null} [logger]
+ * @returns {LibraryLogger}
+ */
+export function createLogger(logger) {
+  const wrapped = {};
+  levels.forEach((level) => {
+    wrapped[level] = (message, fields = {}) => {
+      if (typeof logger?.[level] !== "function") {
+        return;
+      }
+      try {
+        logger[level]({ message, ...redact(fields) });
+      } catch {
+        // a failing logger must not break trading
+      }
+    };
+  });
+  return Object.freeze(wrapped);
+}
+
+/**
+ * Fields of error for log entry, payload is already redacted by TradeSmartError
+ * @param {*} error
+ * @returns {{error: String, reason: String}}
+ */
+export function errorFields(error) {
+  return {
+    error: error?.name || "Error",
+    reason: error?.message || String(error),
+  };
+}
@@ -0,0 +1,373 @@
+import http from "http";
+import AdmZip from "adm-zip";
+import { WebSocketServer, WebSocket } from "ws";
+
+/**
+ * @typedef {Object} MockRequest
+ * @property {String} route Route e.g. /PlaceOrder
+ * @property {Object} jData Parsed request payload
+ * @property {String} jKey Session token sent with request
+ */
+
+/**
+ * @typedef {Object} MockError
+ * @property {Number} [status] HTTP status to respond with
+ * @property {Object} [body] Response body
+ * @property {Number} [delay] Delay response in milliseconds
+ * @property {Boolean} [drop] Destroy connection without response
+ * @property {Number} [times=1] Number of requests the error applies to
+ */
+
+/**
+ * Local mock of Noren REST (jData / jKey form protocol) and NorenWSTP websocket for offline tests.
+ * REST is served under /NorenWClientTP, websocket under /NorenWSTP/ and instrument zips at /{EXCH}_symbols.txt.zip.
+ * Not part of the main entry point, import it from "@suyotech-dev/tradesmartapi-js/testing".
+ */
+export class MockNorenServer {
+  /**
+   * @type {http.Server}
+   */
+  #server = null;
+
+  /**
+   * @type {WebSocketServer}
+   */
+  #wss = null;
+  #port = 0;
+  #orderSeq = 0;
+  #tokenSeq = 0;
+
+  /**
+   * @type {Set<String>}
+   */
+  #validTokens = new Set();
+
+  /**
+   * Responses by route, function receives request
+   * @type {Map<String, Object|((req: MockRequest) => Object)>}
+   */
+  #responses = new Map();
+
+  /**
+   * One time responses by route, used before #responses
+   * @type {Map<String, Array>}
+   */
+  #queued = new Map();
+
+  /**
+   * @type {Map<String, MockError>}
+   */
+  #errors = new Map();
+
+  /**
+   * Quotes served on touchline / depth subscription by "EXCH|TOKEN"
+   * @type {Map<String, Object>}
+   */
+  #quotes = new Map();
+
+  /**
+   * Websocket messages and pings are not answered while frozen
+   */
+  #frozen = false;
+
+  /**
+   * Instrument rows by exchange served as zip
+   * @type {Map<String, Object[]>}
+   */
+  #instruments = new Map();
+
+  /**
+   * Received REST requests
+   * @type {MockRequest[]}
+   */
+  requests = [];
+
+  /**
+   * Received websocket messages
+   * @type {Object[]}
+   */
+  messages = [];
+
+  constructor() {
+    this.reset();
+  }
+
+  get baseURL() {
+    return `http://127.0.0.1:${this.#port}/NorenWClientTP`;
+  }
+
+  get wsURL() {
+    return `ws://127.0.0.1:${this.#port}/NorenWSTP/`;
+  }
+
+  get instrumentsURL() {
+    return `http://127.0.0.1:${this.#port}`;
+  }
+
+  /**
+   * Starts server on a free port
+   * @param {Number} [port=0]
+   */
+  async start(port = 0) {
+    this.#server = http.createServer((req, res) => this.#handle(req, res));
+    this.#wss = new WebSocketServer({ server: this.#server, path: "/NorenWSTP/", autoPong: false });
+    this.#wss.on("connection", (socket) => this.#onConnection(socket));
+
+    await new Promise((resolve) => this.#server.listen(port, "127.0.0.1", resolve));
+    this.#port = this.#server.address().port;
+  }
+
+  async stop() {
+    this.#wss?.clients.forEach((c) => c.terminate());
+    await new Promise((resolve) => (this.#wss ? this.#wss.close(() => resolve()) : resolve()));
+    await new Promise((resolve) => (this.#server ? this.#server.close(() => resolve()) : resolve()));
+    this.#server = null;
+    this.#wss = null;
+  }
+
+  /**
+   * Clears scripted responses, errors and logs, restores default handlers
+   */
+  reset() {
+    this.requests = [];
+    this.messages = [];
+    this.#responses.clear();
+    this.#queued.clear();
+    this.#errors.clear();
+    this.#quotes.clear();
+    this.#validTokens.clear();
+    this.#frozen = false;
+
+    this.#responses.set("/QuickAuth", (req) => {
+      const susertoken = this.createSession();
+      return {
+        stat: "Ok",
+        susertoken,
+        uname: req.jData.uid,
+        actid: req.jData.uid,
+        request_time: "09:00:00 01-01-2025",
+      };
+    });
+    ["/PlaceOrder", "/ModifyOrder", "/CancelOrder", "/ExitSNOOrder"].forEach((route) => {
+      this.#responses.set(route, (req) => {
+        const norenordno = req.jData.norenordno || String(25010100000000 + ++this.#orderSeq);
+        return route === "/PlaceOrder"
+          ? { stat: "Ok", norenordno, request_time: "09:15:00 01-01-2025" }
+          : { stat: "Ok", result: norenordno, request_time: "09:15:00 01-01-2025" };
+      });
+    });
+    this.#responses.set("/Limits", { stat: "Ok", cash: "100000.00", marginused: "0.00" });
+  }
+
+  /**
+   * Sets response for route, used for every request until changed
+   * @param {String} route
+   * @param {Object|((req: MockRequest) => Object)} response
+   */
+  setResponse(route, response) {
+    this.#responses.set(route, response);
+  }
+
+  /**
+   * Queues one time response for route
+   * @param {String} route
+   * @param {Object|((req: MockRequest) => Object)} response
+   */
+  queueResponse(route, response) {
+    const queue = this.#queued.get(route) || [];
+    queue.push(response);
+    this.#queued.set(route, queue);
+  }
+
+  /**
+   * Injects error for next requests of route
+   * @param {String} route
+   * @param {MockError} error
+   */
+  injectError(route, error) {
+    this.#errors.set(route, { times: 1, ...error });
+  }
+
+  /**
+   * Issues valid session token without login, for clients created with setSessionDetails
+   * @returns {String}
+   */
+  createSession() {
+    const susertoken = `mocktoken${++this.#tokenSeq}`;
+    this.#validTokens.add(susertoken);
+    return susertoken;
+  }
+
+  /**
+   * Invalidates all issued tokens, next requests get "Session Expired"
+   */
+  expireSessions() {
+    this.#validTokens.clear();
+  }
+
+  /**
+   * Sets instrument rows served as {EXCH}_symbols.txt.zip
+   * @param {String} exchange
+   * @param {Object[]} rows
+   */
+  setInstruments(exchange, rows) {
+    this.#instruments.set(exchange, rows);
+  }
+
+  /**
+   * Sets quote sent as tk / dk acknowledgement on subscription
+   * @param {Object} quote must contain e and tk
+   */
+  setQuote(quote) {
+    this.#quotes.set(`${quote.e}|${quote.tk}`, quote);
+  }
+
+  /**
+   * Sends message to all authenticated websocket clients
+   * @param {Object} message e.g. { t: "tf", e: "NSE", tk: "22", lp: "101.5" }
+   */
+  broadcast(message) {
+    this.#wss?.clients.forEach((c) => {
+      if (c.readyState === WebSocket.OPEN && c.authenticated) {
+        c.send(JSON.stringify(message));
+      }
+    });
+  }
+
+  /**
+   * Stops answering websocket messages and pings, simulates a half open connection
+   * @param {Boolean} [frozen=true]
+   */
+  freeze(frozen = true) {
+    this.#frozen = frozen;
+  }
+
+  /**
+   * Closes all websocket connections
+   */
+  dropConnections() {
+    this.#wss?.clients.forEach((c) => c.terminate());
+  }
+
+  /**
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  async #handle(req, res) {
+    let body = "";
+    for await (const chunk of req) {
+      body += chunk;
+    }
+
+    const zipMatch = req.url.match(/^\/(\w+)_symbols\.txt\.zip$/);
+    if (zipMatch) {
+      return this.#sendZip(zipMatch[1], res);
+    }
+
+    const route = req.url.replace(/^\/NorenWClientTP\/*/, "/");
+    const request = { route, ...MockNorenServer.parseBody(body) };
+    this.requests.push(request);
+
+    const error = this.#errors.get(route);
+    if (error) {
+      if (--error.times <= 0) {
+        this.#errors.delete(route);
+      }
+      if (error.delay) {
+        await new Promise((resolve) => setTimeout(resolve, error.delay));
+      }
+      if (error.drop) {
+        return req.socket.destroy();
+      }
+      if (error.status || error.body) {
+        return this.#send(res, error.status || 200, error.body || { stat: "Not_Ok", emsg: "Mock Error" });
+      }
+    }
+
+    if (route !== "/QuickAuth" && !this.#validTokens.has(request.jKey)) {
+      return this.#send(res, 200, { stat: "Not_Ok", emsg: "Session Expired :  Invalid Session Key" });
+    }
+
+    const queue = this.#queued.get(route);
+    let response = queue?.length ? queue.shift() : this.#responses.get(route);
+    if (typeof response === "function") {
+      response = response(request);
+    }
+    this.#send(res, 200, response ?? { stat: "Not_Ok", emsg: "Error Occurred : 5 \"no data\"" });
+  }
+
+  #send(res, status, body) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  }
+
+  #sendZip(exchange, res) {
+    const rows = this.#instruments.get(exchange);
+    if (!rows) {
+      res.writeHead(404);
+      return res.end();
+    }
+    const header = Object.keys(rows[0] || {});
+    const csv = [header.join(","), ...rows.map((r) => header.map((h) => r[h] ?? "").join(","))].join("\n");
+    const zip = new AdmZip();
+    zip.addFile(`${exchange}_symbols.txt`, Buffer.from(csv));
+    res.writeHead(200, { "Content-Type": "application/zip" });
+    res.end(zip.toBuffer());
+  }
+
+  /**
+   * Parses "jData={...}&jKey=..." request body
+   * @param {String} body
+   * @returns {{jData: Object, jKey: String}}
+   */
+  static parseBody(body = "") {
+    const keyIndex = body.lastIndexOf("&jKey=");
+    const jData = keyIndex === -1 ? body.slice(6) : body.slice(6, keyIndex);
+    const jKey = keyIndex === -1 ? "" : body.slice(keyIndex + 6);
+    try {
+      return { jData: JSON.parse(jData || "{}"), jKey };
+    } catch (error) {
+      return { jData: {}, jKey };
+    }
+  }
+
+  /**
+   * @param {WebSocket & {authenticated?: Boolean}} socket
+   */
+  #onConnection(socket) {
+    socket.on("ping", (data) => {
+      if (!this.#frozen) {
+        socket.pong(data);
+      }
+    });
+    socket.on("message", (raw) => {
+      const data = JSON.parse(String(raw));
+      this.messages.push(data);
+      if (this.#frozen) {
+        return;
+      }
+      const reply = (message) => socket.send(JSON.stringify(message));
+
+      if (data.t === "c") {
+        socket.authenticated = this.#validTokens.has(data.susertoken);
+        reply({ t: "ck", s: socket.authenticated ? "OK" : "NOT_OK", uid: data.uid });
+        return;
+      }
+      if (!socket.authenticated) {
+        return;
+      }
+      if (data.t === "t" || data.t === "d") {
+        String(data.k)
+          .split("#")
+          .forEach((key) => {
+            const quote = this.#quotes.get(key);
+            if (quote) {
+              reply({ ...quote, t: `${data.t}k` });
+            }
+          });
+      } else if (data.t === "o") {
+        reply({ t: "ok", actid: data.actid });
+      }
+    });
+  }
+}
@@ -0,0 +1,365 @@
+import { ValidationError } from "./TradeSmart_Errors.js";
+
+/**
+ * @typedef {Object} OptionQuote
+ * @property {String} token Token
+ * @property {String} tsym Trading Symbol
+ * @property {Number|null} ltp Last Traded Price
+ * @property {Number|null} bid Best Buy Price
+ * @property {Number|null} ask Best Sell Price
+ * @property {Number} volume Volume
+ * @property {Number} oi Open Interest
+ * @property {Number} oiChange Change in OI from previous day
+ */
+
+/**
+ * @typedef {Object} OptionChainRow
+ * @property {Number} strike Strike price
+ * @property {OptionQuote|null} CE Call quote
+ * @property {OptionQuote|null} PE Put quote
+ */
+
+/**
+ * @typedef {Object} OptionChainLevels
+ * @property {Number[]} support Strikes with highest put OI, highest first
+ * @property {Number[]} resistance Strikes with highest call OI, highest first
+ */
+
+/**
+ * Live option chain for one underlying and expiry.
+ * Resolves CE / PE contracts from InstrumentStore, subscribes a strike window around ATM
+ * through TradeSmartWS and moves the window as the underlying moves.
+ */
+export class OptionChain {
+  /**
+   * @type {import("./TradeSmart_WS.js").TradeSmartWS}
+   */
+  #ws;
+
+  /**
+   * @type {import("./TradeSmart_Instruments.js").Instrument}
+   */
+  #underlying;
+  #symbol = "";
+  #expiry;
+  #exchange = "NFO";
+  #strikes = 10;
+  #recenterSteps = 1;
+  #underlyingPrice = null;
+  #atm = null;
+  #onUpdateCallback;
+  #onErrorCallback;
+  #attached = false;
+  #underlyingSubscribed = false;
+  #windowing = Promise.resolve();
+  #onTick = (quote) =>
+    this.update(quote).catch((error) => {
+      try {
+        this.#onErrorCallback?.(error);
+      } catch {
+        // a failing callback must not break the feed
+      }
+    });
+
+  /**
+   * All contracts of expiry by strike
+   * @type {import("./TradeSmart_InstrumentStore.js").ChainRow[]}
+   */
+  #contracts = [];
+
+  /**
+   * Subscribed contracts by token
+   * @type {Map<String, {strike: Number, type: String, contract: import("./TradeSmart_InstrumentStore.js").StoredInstrument}>}
+   */
+  #subscribed = new Map();
+
+  /**
+   * Live quotes by strike
+   * @type {Map<Number, OptionChainRow>}
+   */
+  #rows = new Map();
+
+  /**
+   * Creates live option chain
+   * @param {Object} params
+   * @param {import("./TradeSmart_WS.js").TradeSmartWS} params.ws Socket used for subscriptions
+   * @param {import("./TradeSmart_InstrumentStore.js").InstrumentStore} params.store Instrument master
+   * @param {String} params.symbol Option symbol e.g. NIFTY
+   * @param {String|import("luxon").DateTime} params.expiry Expiry e.g. 28-AUG-2025
+   * @param {import("./TradeSmart_Instruments.js").Instrument} params.underlying Spot or future instrument whose price sets ATM
+   * @param {String} [params.exchange="NFO"] Option exchange
+   * @param {Number} [params.strikes=10] Strikes on each side of ATM
+   * @param {Number} [params.recenterSteps=1] Strikes ATM must move before the window is moved
+   */
+  constructor(params) {
+    const { ws, store, symbol, expiry, underlying } = params || {};
+    if (!ws || !store || !symbol || !expiry || !underlying) {
+      throw new ValidationError("ws, store, symbol, expiry, underlying required");
+    }
+    this.#ws = ws;
+    this.#symbol = symbol;
+    this.#expiry = expiry;
+    this.#underlying = underlying;
+    this.#exchange = params.exchange || this.#exchange;
+    this.#strikes = params.strikes ?? this.#strikes;
+    this.#recenterSteps = params.recenterSteps ?? this.#recenterSteps;
+    this.#contracts = store.chain(symbol, expiry, { exchange: this.#exchange });
+
+    if (!this.#contracts.length) {
+      throw new ValidationError(`No option contracts found for ${symbol} ${expiry}`);
+    }
+  }
+
+  /**
+   * Subscribes underlying, window is subscribed once its price is known
+   * @param {Number} [price] Underlying price to subscribe window right away
+   */
+  async start(price) {
+    if (!this.#underlyingSubscribed) {
+      await this.#ws.subscribe([this.#underlying]);
+      this.#underlyingSubscribed = true;
+    }
+    if (price) {
+      await this.#setUnderlyingPrice(price);
+    }
+  }
+
+  /**
+   * Stops listening to socket, releases underlying and contracts subscribed by this chain.
+   * Instruments also subscribed by others stay subscribed on the shared socket.
+   */
+  async stop() {
+    this.detach();
+    await this.#windowing.catch(() => {});
+    const contracts = [...this.#subscribed.values()].map((s) => s.contract);
+    this.#subscribed.clear();
+    this.#rows.clear();
+    this.#atm = null;
+    if (contracts.length) {
+      await this.#ws.unsubscribe(contracts);
+    }
+    if (this.#underlyingSubscribed) {
+      this.#underlyingSubscribed = false;
+      await this.#ws.unsubscribe([this.#underlying]);
+    }
+  }
+
+  /**
+   * Feeds tick and depth quotes of TradeSmartWS into chain
+   */
+  attach() {
+    if (!this.#attached) {
+      this.#ws.on("tick", this.#onTick);
+      this.#ws.on("depth", this.#onTick);
+      this.#attached = true;
+    }
+  }
+
+  /**
+   * Stops listening to socket
+   */
+  detach() {
+    if (this.#attached) {
+      this.#ws.off("tick", this.#onTick);
+      this.#ws.off("depth", this.#onTick);
+      this.#attached = false;
+    }
+  }
+
+  /**
+   * Callback receives chain table after every change
+   * @param {(rows: OptionChainRow[]) => void} callback
+   */
+  onUpdate(callback) {
+    this.#onUpdateCallback = callback;
+  }
+
+  /**
+   * Callback receives errors of updates fed by attached socket e.g. failed window subscribe
+   * @param {(error: Error) => void} callback
+   */
+  onError(callback) {
+    this.#onErrorCallback = callback;
+  }
+
+  /**
+   * Applies merged quote of underlying or a subscribed contract
+   * @param {import("./TradeSmart_QuoteCache.js").Quote} quote
+   */
+  async update(quote) {
+    if (!quote) {
+      return;
+    }
+    if (quote.e === this.#underlying.Exchange && String(quote.tk) === String(this.#underlying.Token)) {
+      if (quote.lp) {
+        await this.#setUnderlyingPrice(quote.lp);
+      }
+      return;
+    }
+
+    const subscribed = quote.e === this.#exchange && this.#subscribed.get(String(quote.tk));
+    if (!subscribed) {
+      return;
+    }
+    const row = this.#rows.get(subscribed.strike) || { strike: subscribed.strike, CE: null, PE: null };
+    row[subscribed.type] = {
+      token: String(quote.tk),
+      tsym: subscribed.contract.TradingSymbol,
+      ltp: quote.lp ?? null,
+      bid: quote.bp1 ?? null,
+      ask: quote.sp1 ?? null,
+      volume: quote.v ?? 0,
+      oi: quote.oi ?? 0,
+      oiChange: quote.poi !== undefined ? (quote.oi ?? 0) - quote.poi : 0,
+    };
+    this.#rows.set(subscribed.strike, row);
+
+    if (this.#onUpdateCallback) {
+      this.#onUpdateCallback(this.getTable());
+    }
+  }
+
+  #nearestIndex(price) {
+    let index = 0;
+    this.#contracts.forEach((row, i) => {
+      if (Math.abs(row.strike - price) < Math.abs(this.#contracts[index].strike - price)) {
+        index = i;
+      }
+    });
+    return index;
+  }
+
+  async #setUnderlyingPrice(price) {
+    this.#underlyingPrice = price;
+    // one window move at a time so every subscribe is paired with one unsubscribe
+    this.#windowing = this.#windowing.catch(() => {}).then(() => this.#moveWindow());
+    await this.#windowing;
+  }
+
+  async #moveWindow() {
+    const index = this.#nearestIndex(this.#underlyingPrice);
+    const atmIndex = this.#atm === null ? null : this.#contracts.findIndex((r) => r.strike === this.#atm);
+    if (atmIndex !== null && Math.abs(index - atmIndex) < this.#recenterSteps) {
+      return;
+    }
+    await this.#subscribeWindow(index);
+    this.#atm = this.#contracts[index].strike;
+  }
+
+  /**
+   * Subscribes contracts around ATM and unsubscribes contracts that left the window,
+   * contracts are tracked only once subscribe succeeded
+   * @param {Number} atmIndex
+   */
+  async #subscribeWindow(atmIndex) {
+    const window = this.#contracts.slice(
+      Math.max(atmIndex - this.#strikes, 0),
+      atmIndex + this.#strikes + 1
+    );
+    const wanted = new Map();
+    window.forEach((row) => {
+      ["CE", "PE"].forEach((type) => {
+        if (row[type]) {
+          wanted.set(String(row[type].Token), { strike: row.strike, type, contract: row[type] });
+        }
+      });
+    });
+
+    const removed = [...this.#subscribed.keys()].filter((token) => !wanted.has(token));
+    const added = [...wanted.keys()].filter((token) => !this.#subscribed.has(token));
+
+    if (added.length) {
+      await this.#ws.subscribe(added.map((token) => wanted.get(token).contract));
+    }
+    added.forEach((token) => this.#subscribed.set(token, wanted.get(token)));
+
+    const removedContracts = removed.map((token) => this.#subscribed.get(token).contract);
+    removed.forEach((token) => {
+      const { strike } = this.#subscribed.get(token);
+      this.#subscribed.delete(token);
+      this.#rows.delete(strike);
+    });
+    if (removedContracts.length) {
+      await this.#ws.unsubscribe(removedContracts);
+    }
+  }
+
+  /**
+   * Current ATM strike, null until underlying price is known
+   * @returns {Number|null}
+   */
+  getATM() {
+    return this.#atm;
+  }
+
+  /**
+   * @returns {Number|null}
+   */
+  getUnderlyingPrice() {
+    return this.#underlyingPrice;
+  }
+
+  /**
+   * Returns live table of subscribed window sorted by strike
+   * @returns {OptionChainRow[]}
+   */
+  getTable() {
+    const strikes = new Set([...this.#subscribed.values()].map((s) => s.strike));
+    return [...strikes]
+      .sort((a, b) => a - b)
+      .map((strike) => this.#rows.get(strike) || { strike, CE: null, PE: null });
+  }
+
+  /**
+   * Put Call Ratio of open interest in window, null when call OI is 0
+   * @returns {Number|null}
+   */
+  pcr() {
+    let ce = 0;
+    let pe = 0;
+    this.getTable().forEach((row) => {
+      ce += row.CE?.oi || 0;
+      pe += row.PE?.oi || 0;
+    });
+    return ce ? pe / ce : null;
+  }
+
+  /**
+   * Strike at which option writers pay the least at expiry, based on OI in window
+   * @returns {Number|null}
+   */
+  maxPain() {
+    const table = this.getTable();
+    let best = null;
+    let bestPain = Infinity;
+    table.forEach(({ strike: expiryPrice }) => {
+      const pain = table.reduce(
+        (sum, row) =>
+          sum +
+          (row.CE?.oi || 0) * Math.max(0, expiryPrice - row.strike) +
+          (row.PE?.oi || 0) * Math.max(0, row.strike - expiryPrice),
+        0
+      );
+      if (pain < bestPain) {
+        bestPain = pain;
+        best = expiryPrice;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Support from highest put OI strikes, resistance from highest call OI strikes
+   * @param {Number} [count=3] Levels to return on each side
+   * @returns {OptionChainLevels}
+   */
+  levels(count = 3) {
+    const top = (type) =>
+      this.getTable()
+        .filter((row) => row[type]?.oi)
+        .sort((a, b) => b[type].oi - a[type].oi)
+        .slice(0, count)
+        .map((row) => row.strike);
+    return { support: top("PE"), resistance: top("CE") };
+  }
+}
@@ -0,0 +1,387 @@
+import { OrderRejectedError, TradeSmartError, ValidationError } from "./TradeSmart_Errors.js";
+
+/**
+ * Order states tracked by OrderTracker
+ */
+export const OrderState = Object.freeze({
+  PENDING: "PENDING",
+  OPEN: "OPEN",
+  PARTIALLY_FILLED: "PARTIALLY_FILLED",
+  COMPLETE: "COMPLETE",
+  REJECTED: "REJECTED",
+  CANCELLED: "CANCELLED",
+});
+
+const terminalStates = [OrderState.COMPLETE, OrderState.REJECTED, OrderState.CANCELLED];
+
+/**
+ * @typedef {Object} TrackedOrder
+ * @property {String} norenordno Order number
+ * @property {String} state One of OrderState
+ * @property {String} [status] Last broker status
+ * @property {String} [exch] Exchange
+ * @property {String} [tsym] Trading Symbol
+ * @property {String} [trantype] B / S
+ * @property {Number} qty Order quantity
+ * @property {Number} filledQty Filled quantity
+ * @property {Number} avgPrice Average fill price
+ * @property {String} [rejectionReason] Broker rejection reason
+ * @property {Number} updatedAt Epoch milliseconds of last change
+ */
+
+/**
+ * Maps broker order status and fill to tracker state
+ * @param {String} status
+ * @param {Number} filledQty
+ * @param {Number} qty
+ * @returns {String|null}
+ */
+function toState(status, filledQty, qty) {
+  switch (String(status || "").toUpperCase()) {
+    case "COMPLETE":
+      return OrderState.COMPLETE;
+    case "REJECTED":
+      return OrderState.REJECTED;
+    case "CANCELED":
+    case "CANCELLED":
+      return OrderState.CANCELLED;
+    case "OPEN":
+    case "TRIGGER_PENDING":
+    case "REPLACED":
+      return filledQty > 0 && filledQty < qty ? OrderState.PARTIALLY_FILLED : OrderState.OPEN;
+    case "PENDING":
+      return OrderState.PENDING;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Tracks order lifecycle from TradeSmartWS order updates and periodic order book / trade book reconciliation.
+ * Fills missed while the socket was down are recovered on the next reconciliation.
+ */
+export class OrderTracker {
+  /**
+   * @type {import("./TradeSmart_API.js").TradeSmartAPI}
+   */
+  #api;
+  #reconcileInterval = 5000;
+  #reconcileTimer = null;
+  #reconciling = null;
+  #onUpdateCallbacks = new Set();
+
+  /**
+   * @type {import("./TradeSmart_WS.js").TradeSmartWS|null}
+   */
+  #ws = null;
+  #onOrder = (om) => this.handleOrderUpdate(om);
+  #onReconnected = () => this.reconcile().catch(() => {});
+
+  /**
+   * @type {Map<String, TrackedOrder>}
+   */
+  #orders = new Map();
+
+  /**
+   * Listeners by order number
+   * @type {Map<String, Set<(order: TrackedOrder) => void>>}
+   */
+  #listeners = new Map();
+
+  /**
+   * @param {import("./TradeSmart_API.js").TradeSmartAPI} api
+   * @param {Object} [options]
+   * @param {Number} [options.reconcileInterval=5000] Milliseconds between order book / trade book reconciliation
+   */
+  constructor(api, options = {}) {
+    this.#api = api;
+    this.#reconcileInterval = options.reconcileInterval ?? this.#reconcileInterval;
+  }
+
+  /**
+   * Feeds order updates of socket into tracker and subscribes order feed.
+   * Reconciles after every reconnect to recover fills missed while disconnected.
+   * @param {import("./TradeSmart_WS.js").TradeSmartWS} ws
+   */
+  async attach(ws) {
+    this.detach();
+    this.#ws = ws;
+    ws.on("order", this.#onOrder);
+    ws.on("reconnected", this.#onReconnected);
+    await ws.subscribeOrders();
+  }
+
+  /**
+   * Stops listening to attached socket
+   */
+  detach() {
+    if (this.#ws) {
+      this.#ws.off("order", this.#onOrder);
+      this.#ws.off("reconnected", this.#onReconnected);
+      this.#ws = null;
+    }
+  }
+
+  /**
+   * Starts periodic reconciliation
+   */
+  start() {
+    if (!this.#reconcileTimer && this.#reconcileInterval > 0) {
+      this.#reconcileTimer = setInterval(() => {
+        this.reconcile().catch(() => {});
+      }, this.#reconcileInterval);
+    }
+  }
+
+  stop() {
+    if (this.#reconcileTimer) {
+      clearInterval(this.#reconcileTimer);
+      this.#reconcileTimer = null;
+    }
+  }
+
+  /**
+   * Places order through api and tracks it
+   * @param {Object} params same as TradeSmartAPI.placeorder
+   * @returns {Promise<TrackedOrder>}
+   */
+  async placeOrder(params) {
+    const resp = await this.#api.placeorder(params);
+    const order = this.track(resp.norenordno, params);
+    return { ...order };
+  }
+
+  /**
+   * Starts tracking order placed elsewhere
+   * @param {String} norenordno
+   * @param {Object} [params] order params used until broker reports the order
+   * @returns {TrackedOrder}
+   */
+  track(norenordno, params = {}) {
+    if (!norenordno) {
+      throw new ValidationError("norenordno required");
+    }
+    let order = this.#orders.get(norenordno);
+    if (!order) {
+      order = {
+        norenordno,
+        state: OrderState.PENDING,
+        exch: params.exch,
+        tsym: params.tsym,
+        trantype: params.trantype,
+        qty: Number(params.qty) || 0,
+        filledQty: 0,
+        avgPrice: 0,
+        updatedAt: Date.now(),
+      };
+      this.#orders.set(norenordno, order);
+    }
+    return order;
+  }
+
+  /**
+   * Applies om message of order feed
+   * @param {Object} om
+   */
+  handleOrderUpdate(om) {
+    if (!om?.norenordno) {
+      return;
+    }
+    this.#apply(om.norenordno, {
+      status: om.status,
+      exch: om.exch,
+      tsym: om.tsym,
+      trantype: om.trantype,
+      qty: Number(om.qty),
+      filledQty: Number(om.fillshares),
+      avgPrice: Number(om.avgprc),
+      rejectionReason: om.rejreason,
+    });
+  }
+
+  /**
+   * Updates order state, terminal states and filled quantity never go backwards
+   * @param {String} norenordno
+   * @param {Object} update
+   */
+  #apply(norenordno, update) {
+    const order = this.track(norenordno);
+    const before = JSON.stringify(order);
+
+    ["exch", "tsym", "trantype", "status"].forEach((key) => {
+      if (update[key]) {
+        order[key] = update[key];
+      }
+    });
+    if (update.qty > 0) {
+      order.qty = update.qty;
+    }
+    if (update.filledQty > order.filledQty) {
+      order.filledQty = update.filledQty;
+      order.avgPrice = update.avgPrice || order.avgPrice;
+    }
+    if (update.rejectionReason) {
+      order.rejectionReason = update.rejectionReason;
+    }
+
+    const state = toState(update.status, order.filledQty, order.qty);
+    if (state && !terminalStates.includes(order.state)) {
+      order.state = state;
+    }
+
+    if (JSON.stringify(order) !== before) {
+      order.updatedAt = Date.now();
+      this.#emit(order);
+    }
+  }
+
+  #emit(order) {
+    const snapshot = { ...order };
+    this.#onUpdateCallbacks.forEach((callback) => callback(snapshot));
+    this.#listeners.get(order.norenordno)?.forEach((listener) => listener(snapshot));
+  }
+
+  /**
+   * Reconciles tracked orders with order book and trade book.
+   * Concurrent calls share the same request.
+   */
+  reconcile() {
+    if (!this.#reconciling) {
+      this.#reconciling = this.#reconcile().finally(() => {
+        this.#reconciling = null;
+      });
+    }
+    return this.#reconciling;
+  }
+
+  async #reconcile() {
+    const [orderBook, tradeBook] = await Promise.all([
+      this.#api.getOrderBook(),
+      this.#api.getTradeBook(),
+    ]);
+
+    const fills = new Map();
+    (tradeBook || []).forEach((trade) => {
+      const fill = fills.get(trade.norenordno) || { qty: 0, value: 0 };
+      fill.qty += Number(trade.flqty) || 0;
+      fill.value += (Number(trade.flqty) || 0) * (Number(trade.flprc) || 0);
+      fills.set(trade.norenordno, fill);
+    });
+
+    (orderBook || []).forEach((row) => {
+      if (!this.#orders.has(row.norenordno)) {
+        return;
+      }
+      const fill = fills.get(row.norenordno);
+      const filledQty = Math.max(Number(row.fillshares) || 0, fill?.qty || 0);
+      this.#apply(row.norenordno, {
+        status: row.status,
+        exch: row.exch,
+        tsym: row.tsym,
+        trantype: row.trantype,
+        qty: Number(row.qty),
+        filledQty,
+        avgPrice: Number(row.avgprc) || (fill?.qty ? fill.value / fill.qty : 0),
+        rejectionReason: row.rejreason,
+      });
+    });
+  }
+
+  /**
+   * Returns tracked order
+   * @param {String} norenordno
+   * @returns {TrackedOrder|null}
+   */
+  getOrder(norenordno) {
+    const order = this.#orders.get(norenordno);
+    return order ? { ...order } : null;
+  }
+
+  /**
+   * @returns {TrackedOrder[]}
+   */
+  getOrders() {
+    return [...this.#orders.values()].map((o) => ({ ...o }));
+  }
+
+  /**
+   * Callback receives every change of any tracked order
+   * @param {(order: TrackedOrder) => void} callback
+   * @returns {() => void} removes callback
+   */
+  onUpdate(callback) {
+    this.#onUpdateCallbacks.add(callback);
+    return () => this.#onUpdateCallbacks.delete(callback);
+  }
+
+  /**
+   * Listener receives every change of one order
+   * @param {String} norenordno
+   * @param {(order: TrackedOrder) => void} listener
+   * @returns {() => void} removes listener
+   */
+  onOrderUpdate(norenordno, listener) {
+    const listeners = this.#listeners.get(norenordno) || new Set();
+    listeners.add(listener);
+    this.#listeners.set(norenordno, listeners);
+    return () => {
+      listeners.delete(listener);
+      if (!listeners.size) {
+        this.#listeners.delete(norenordno);
+      }
+    };
+  }
+
+  /**
+   * Resolves when order is completely filled.
+   * Rejects with OrderRejectedError when rejected, TradeSmartError when cancelled or timed out.
+   * Timeout is not retryable, order may still be working and placing it again could double the position.
+   * @param {String} norenordno
+   * @param {Object} [options]
+   * @param {Number} [options.timeout] Milliseconds to wait, waits forever when not set
+   * @returns {Promise<TrackedOrder>}
+   */
+  waitForFill(norenordno, options = {}) {
+    const order = this.track(norenordno);
+
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      let off = () => {};
+      const settle = (current) => {
+        if (current.state === OrderState.COMPLETE) {
+          resolve(current);
+        } else if (current.state === OrderState.REJECTED) {
+          reject(
+            new OrderRejectedError(`Order ${norenordno} rejected : ${current.rejectionReason || ""}`, {
+              emsg: current.rejectionReason,
+              payload: current,
+            })
+          );
+        } else if (current.state === OrderState.CANCELLED) {
+          reject(new TradeSmartError(`Order ${norenordno} cancelled`, { payload: current }));
+        } else {
+          return false;
+        }
+        clearTimeout(timer);
+        off();
+        return true;
+      };
+
+      if (settle({ ...order })) {
+        return;
+      }
+      off = this.onOrderUpdate(norenordno, settle);
+      if (options.timeout) {
+        timer = setTimeout(() => {
+          off();
+          reject(
+            new TradeSmartError(`Timed out waiting for fill of order ${norenordno}`, {
+              payload: this.getOrder(norenordno),
+              retryable: false,
+            })
+          );
+        }, options.timeout);
+      }
+    });
+  }
+}
@@ -0,0 +1,595 @@
+import { DateTime } from "luxon";
+import { TradeSmartError, ValidationError } from "./TradeSmart_Errors.js";
+import { consoleLogger, createLogger } from "./TradeSmart_Logger.js";
+
+const timeZone = "Asia/Kolkata";
+
+/**
+ * @typedef {Object} PaperPrice
+ * @property {Number} last Last traded price
+ * @property {Number} [high] High since last update, used when simulating against candles
+ * @property {Number} [low] Low since last update, used when simulating against candles
+ */
+
+/**
+ * Paper trading client with the same surface as TradeSmartAPI.
+ * Orders are filled against prices from a TradeSmartWS feed or candles, funds and positions are virtual.
+ * Responses use the same string valued fields as the broker.
+ */
+export class PaperTradeSmartAPI {
+  #uid = "";
+  #actid = "";
+  #susertoken = "";
+  #funds = 1000000;
+  #slippage = 0;
+  #orderSeq = 0;
+  #tradeSeq = 0;
+  #onOrderCallback;
+
+  /**
+   * @type {import("./TradeSmart_Logger.js").LibraryLogger}
+   */
+  #log = createLogger();
+
+  /**
+   * @type {import("./TradeSmart_API.js").TradeSmartAPI|null}
+   */
+  #api = null;
+
+  /**
+   * @type {import("./TradeSmart_WS.js").TradeSmartWS|null}
+   */
+  #feed = null;
+  #onTick = (quote) => this.updateQuote(quote);
+
+  /**
+   * @type {import("./TradeSmart_Risk.js").RiskManager|null}
+   */
+  #risk = null;
+
+  /**
+   * Orders by norenordno
+   * @type {Map<String, Object>}
+   */
+  #orders = new Map();
+
+  /**
+   * @type {Object[]}
+   */
+  #trades = [];
+
+  /**
+   * Positions by "EXCH|TSYM|PRD"
+   * @type {Map<String, Object>}
+   */
+  #positions = new Map();
+
+  /**
+   * Last prices by "EXCH|TSYM"
+   * @type {Map<String, Number>}
+   */
+  #prices = new Map();
+
+  /**
+   * Creates new paper trading client, arguments match TradeSmartAPI
+   * @param {String} uid User ID
+   * @param {String} [pwd] Password, unused
+   * @param {String} [vc] Vendor Code, unused
+   * @param {String} [apikey] API Key, unused
+   * @param {String} [totpkey] TOTP Key, unused
+   * @param {Object} [options]
+   * @param {Number} [options.funds=1000000] Virtual funds
+   * @param {Number} [options.slippage=0] Slippage in price applied against market fills
+   * @param {import("./TradeSmart_WS.js").TradeSmartWS} [options.feed] Feed used for fill prices
+   * @param {import("./TradeSmart_API.js").TradeSmartAPI} [options.api] Live client used for getCandleData
+   * @param {import("./TradeSmart_Risk.js").RiskManager} [options.risk] Pre-trade checks applied by placeorder and modifyOrder
+   * @param {import("./TradeSmart_Logger.js").Logger} [options.logger] Receives simulated order updates, silent when not set
+   */
+  constructor(uid, pwd, vc, apikey, totpkey, options = {}) {
+    this.#uid = uid;
+    this.#actid = uid;
+    this.#funds = options.funds ?? this.#funds;
+    this.#slippage = options.slippage ?? this.#slippage;
+    this.#api = options.api || null;
+    this.#risk = options.risk || null;
+    this.#log = createLogger(options.logger);
+    if (options.feed) {
+      this.attachFeed(options.feed);
+    }
+  }
+
+  async login() {
+    this.#susertoken = `paper-${this.#uid}`;
+    return {
+      stat: "Ok",
+      uname: this.#uid,
+      actid: this.#actid,
+      susertoken: this.#susertoken,
+    };
+  }
+
+  /**
+   * Logs to console when true, replaces logger set earlier
+   * @deprecated use options.logger or setLogger
+   * @param {Boolean} value
+   */
+  setDebug(value) {
+    this.setLogger(value ? consoleLogger : null);
+  }
+
+  /**
+   * Replaces logger, null silences the client
+   * @param {import("./TradeSmart_Logger.js").Logger|null} logger
+   */
+  setLogger(logger) {
+    this.#log = createLogger(logger);
+  }
+
+  setSessionDetails(uid = "", susertoken = "") {
+    this.#uid = uid;
+    this.#actid = uid;
+    this.#susertoken = susertoken;
+  }
+
+  getSessionDetails() {
+    return {
+      uid: this.#uid,
+      susertoken: this.#susertoken,
+      actid: this.#actid,
+    };
+  }
+
+  /**
+   * Callback receives om style order updates
+   * @param {Function} callback
+   */
+  onOrder(callback) {
+    this.#onOrderCallback = callback;
+  }
+
+  /**
+   * Uses tick and depth quotes of TradeSmartWS as fill prices
+   * @param {import("./TradeSmart_WS.js").TradeSmartWS} ws
+   */
+  attachFeed(ws) {
+    this.detachFeed();
+    this.#feed = ws;
+    ws.on("tick", this.#onTick);
+    ws.on("depth", this.#onTick);
+  }
+
+  /**
+   * Stops using attached feed
+   */
+  detachFeed() {
+    if (this.#feed) {
+      this.#feed.off("tick", this.#onTick);
+      this.#feed.off("depth", this.#onTick);
+      this.#feed = null;
+    }
+  }
+
+  /**
+   * Updates price from merged quote and matches open orders
+   * @param {import("./TradeSmart_QuoteCache.js").Quote} quote
+   */
+  updateQuote(quote) {
+    if (!quote?.e || !quote?.ts || !quote?.lp) {
+      return;
+    }
+    this.updatePrice(quote.e, quote.ts, { last: quote.lp });
+  }
+
+  /**
+   * Updates price from candle and matches open orders against its range
+   * @param {String} exch Exchange
+   * @param {String} tsym Trading Symbol
+   * @param {import("./TradeSmart_Candles.js").Candle} candle
+   */
+  updateCandle(exch, tsym, candle) {
+    this.updatePrice(exch, tsym, {
+      last: candle.close,
+      high: candle.high,
+      low: candle.low,
+    });
+  }
+
+  /**
+   * Updates price and matches open orders of the instrument
+   * @param {String} exch Exchange
+   * @param {String} tsym Trading Symbol
+   * @param {PaperPrice} price
+   */
+  updatePrice(exch, tsym, price) {
+    this.#prices.set(`${exch}|${tsym}`, price.last);
+    this.#orders.forEach((order) => {
+      if (
+        order.exch === exch &&
+        order.tsym === tsym &&
+        ["OPEN", "TRIGGER_PENDING"].includes(order.status)
+      ) {
+        this.#match(order, price);
+      }
+    });
+  }
+
+  /**
+   * Fetches candles through live client
+   * @param {Object} params same as TradeSmartAPI.getCandleData
+   */
+  async getCandleData(params) {
+    if (!this.#api) {
+      throw new TradeSmartError("getCandleData requires options.api");
+    }
+    return this.#api.getCandleData(params);
+  }
+
+  #now() {
+    return DateTime.now().setZone(timeZone).toFormat("HH:mm:ss dd-MM-yyyy");
+  }
+
+  #emit(order, reporttype, fill = {}) {
+    this.#log.info(`paper order ${reporttype}`, {
+      norenordno: order.norenordno,
+      exch: order.exch,
+      tsym: order.tsym,
+      trantype: order.trantype,
+      qty: order.qty,
+      orderStatus: order.status,
+      ...fill,
+    });
+    if (this.#onOrderCallback) {
+      this.#onOrderCallback({
+        t: "om",
+        ...this.#format(order),
+        reporttype,
+        ...fill,
+      });
+    }
+  }
+
+  #format(order) {
+    const formatted = {};
+    Object.keys(order).forEach((key) => {
+      formatted[key] = String(order[key]);
+    });
+    return formatted;
+  }
+
+  #validate(params, required) {
+    const missing = required.filter((key) => !params?.[key]);
+    if (missing.length) {
+      throw new ValidationError(`${required.join(", ")} required`, {
+        payload: params,
+      });
+    }
+    if (params.prctyp?.startsWith("SL") && !params.trgprc) {
+      throw new ValidationError("trgprc required for SL-LMT / SL-MKT orders", {
+        payload: params,
+      });
+    }
+  }
+
+  /**
+   * Funds available for new exposure
+   */
+  #available() {
+    let used = 0;
+    let realised = 0;
+    this.#positions.forEach((p) => {
+      used += Math.abs(p.netqty) * p.netavgprc;
+      realised += p.rpnl;
+    });
+    return this.#funds + realised - used;
+  }
+
+  #position(order) {
+    const key = `${order.exch}|${order.tsym}|${order.prd}`;
+    let position = this.#positions.get(key);
+    if (!position) {
+      position = {
+        exch: order.exch,
+        tsym: order.tsym,
+        prd: order.prd,
+        netqty: 0,
+        netavgprc: 0,
+        daybuyqty: 0,
+        daysellqty: 0,
+        daybuyamt: 0,
+        daysellamt: 0,
+        rpnl: 0,
+      };
+      this.#positions.set(key, position);
+    }
+    return position;
+  }
+
+  /**
+   * Fills order if price conditions are met
+   * @param {Object} order
+   * @param {PaperPrice} price
+   */
+  #match(order, price) {
+    const buy = order.trantype === "B";
+    const high = price.high ?? price.last;
+    const low = price.low ?? price.last;
+
+    if (order.status === "TRIGGER_PENDING") {
+      const triggered = buy ? high >= order.trgprc : low <= order.trgprc;
+      if (!triggered) {
+        return;
+      }
+      order.status = "OPEN";
+      this.#emit(order, "Triggered");
+    }
+
+    let fillPrice = null;
+    if (order.prctyp === "MKT" || order.prctyp === "SL-MKT") {
+      fillPrice = price.last + (buy ? this.#slippage : -this.#slippage);
+    } else if (buy && low <= order.prc) {
+      fillPrice = Math.min(order.prc, price.last);
+    } else if (!buy && high >= order.prc) {
+      fillPrice = Math.max(order.prc, price.last);
+    }
+
+    if (fillPrice !== null) {
+      this.#fill(order, fillPrice);
+    }
+  }
+
+  #fill(order, fillPrice) {
+    const position = this.#position(order);
+    const qty = order.qty - order.fillshares;
+    const buy = order.trantype === "B";
+    const increases =
+      position.netqty === 0 || position.netqty > 0 === buy;
+
+    const closing = increases ? 0 : Math.min(qty, Math.abs(position.netqty));
+    const pnl = closing ? (fillPrice - position.netavgprc) * closing * Math.sign(position.netqty) : 0;
+
+    // quantity beyond closing reverses position and needs funds like a new position
+    const opening = qty - closing;
+    const released = closing * position.netavgprc + pnl;
+    if (opening && opening * fillPrice > this.#available() + released) {
+      order.status = "REJECTED";
+      order.rejreason = "Insufficient funds";
+      this.#emit(order, "Rejected");
+      return;
+    }
+
+    const signed = buy ? qty : -qty;
+    position.rpnl += pnl;
+    const netqty = position.netqty + signed;
+    if (increases) {
+      position.netavgprc =
+        (position.netavgprc * Math.abs(position.netqty) + fillPrice * qty) /
+        Math.abs(netqty);
+    } else if (netqty === 0) {
+      position.netavgprc = 0;
+    } else if (Math.sign(netqty) !== Math.sign(position.netqty)) {
+      position.netavgprc = fillPrice;
+    }
+    position.netqty = netqty;
+    if (buy) {
+      position.daybuyqty += qty;
+      position.daybuyamt += qty * fillPrice;
+    } else {
+      position.daysellqty += qty;
+      position.daysellamt += qty * fillPrice;
+    }
+
+    order.avgprc = fillPrice;
+    order.fillshares = order.qty;
+    order.status = "COMPLETE";
+
+    const trade = {
+      norenordno: order.norenordno,
+      flid: String(++this.#tradeSeq),
+      flqty: qty,
+      flprc: fillPrice,
+      fltm: this.#now(),
+      exch: order.exch,
+      tsym: order.tsym,
+      trantype: order.trantype,
+      prd: order.prd,
+      prctyp: order.prctyp,
+      qty: order.qty,
+      avgprc: fillPrice,
+      uid: this.#uid,
+      actid: this.#actid,
+    };
+    this.#trades.push(trade);
+    this.#emit(order, "Fill", this.#format({ flqty: qty, flprc: fillPrice, flid: trade.flid }));
+  }
+
+  /**
+   * Place Order, same params as TradeSmartAPI.placeorder
+   * @param {Object} params
+   * @returns {Promise<Object>} response with norenordno
+   */
+  async placeorder(params) {
+    this.#validate(params, [
+      "exch",
+      "tsym",
+      "prd",
+      "trantype",
+      "qty",
+      "prctyp",
+    ]);
+    if (this.#risk) {
+      params = await this.#risk.check(params, this);
+    }
+
+    const order = {
+      norenordno: `PAPER${String(++this.#orderSeq).padStart(8, "0")}`,
+      uid: this.#uid,
+      actid: this.#actid,
+      exch: params.exch,
+      tsym: params.tsym,
+      qty: Number(params.qty),
+      prc: Number(params.prc || 0),
+      trgprc: Number(params.trgprc || 0),
+      prd: params.prd,
+      trantype: params.trantype,
+      prctyp: params.prctyp,
+      ret: params.ret || "DAY",
+      remarks: params.remarks || "none",
+      status: params.prctyp.startsWith("SL") ? "TRIGGER_PENDING" : "OPEN",
+      fillshares: 0,
+      avgprc: 0,
+      rejreason: "",
+      norentm: this.#now(),
+    };
+    this.#orders.set(order.norenordno, order);
+    this.#emit(order, "NewAck");
+
+    const last = this.#prices.get(`${order.exch}|${order.tsym}`);
+    if (last) {
+      this.#match(order, { last });
+    }
+
+    return {
+      stat: "Ok",
+      norenordno: order.norenordno,
+      request_time: order.norentm,
+    };
+  }
+
+  #openOrder(norenordno) {
+    const order = this.#orders.get(norenordno);
+    if (!order || !["OPEN", "TRIGGER_PENDING"].includes(order.status)) {
+      throw new TradeSmartError(`Order ${norenordno} not found or not open`, {
+        emsg: "Order not open",
+        payload: { norenordno },
+      });
+    }
+    return order;
+  }
+
+  /**
+   * Modify Order, same params as TradeSmartAPI.modifyOrder
+   * @param {Object} params
+   */
+  async modifyOrder(params) {
+    this.#validate(params, ["norenordno", "exch", "tsym", "qty", "prctyp"]);
+    const order = this.#openOrder(params.norenordno);
+    if (this.#risk) {
+      params = await this.#risk.checkModify(params, order, this);
+    }
+
+    order.qty = Number(params.qty);
+    order.prc = Number(params.prc || 0);
+    order.trgprc = Number(params.trgprc || 0);
+    order.prctyp = params.prctyp;
+    order.ret = params.ret || order.ret;
+    order.status = order.prctyp.startsWith("SL") ? "TRIGGER_PENDING" : "OPEN";
+    this.#emit(order, "Replaced");
+
+    const last = this.#prices.get(`${order.exch}|${order.tsym}`);
+    if (last) {
+      this.#match(order, { last });
+    }
+    return { stat: "Ok", result: order.norenordno, request_time: this.#now() };
+  }
+
+  /**
+   * Cancel Order
+   * @param {String} norenordno
+   */
+  async cancelOrder(norenordno) {
+    if (!norenordno) {
+      throw new ValidationError("norenordno required");
+    }
+    const order = this.#openOrder(norenordno);
+    order.status = "CANCELED";
+    this.#emit(order, "Canceled");
+    return { stat: "Ok", result: norenordno, request_time: this.#now() };
+  }
+
+  /**
+   * Exit Order, cancels open order or squares off filled quantity at market
+   * @param {String} norenordno
+   * @param {String} prd
+   */
+  async exitOrder(norenordno, prd) {
+    if (!norenordno || !prd) {
+      throw new ValidationError("norenordno, prd required");
+    }
+    const order = this.#orders.get(norenordno);
+    if (!order) {
+      throw new TradeSmartError(`Order ${norenordno} not found`);
+    }
+    if (["OPEN", "TRIGGER_PENDING"].includes(order.status)) {
+      return this.cancelOrder(norenordno);
+    }
+    if (order.status === "COMPLETE") {
+      await this.placeorder({
+        exch: order.exch,
+        tsym: order.tsym,
+        qty: order.fillshares,
+        prd: order.prd,
+        trantype: order.trantype === "B" ? "S" : "B",
+        prctyp: "MKT",
+        remarks: `exit ${norenordno}`,
+      });
+    }
+    return { stat: "Ok", result: norenordno, request_time: this.#now() };
+  }
+
+  async getOrderBook() {
+    const orders = [...this.#orders.values()]
+      .reverse()
+      .map((o) => ({ stat: "Ok", ...this.#format(o) }));
+    return orders.length ? orders : null;
+  }
+
+  async getTradeBook() {
+    const trades = [...this.#trades]
+      .reverse()
+      .map((t) => ({ stat: "Ok", ...this.#format(t) }));
+    return trades.length ? trades : null;
+  }
+
+  async getPositionBook() {
+    const positions = [...this.#positions.values()].map((p) => {
+      const lp = this.#prices.get(`${p.exch}|${p.tsym}`) ?? p.netavgprc;
+      return {
+        stat: "Ok",
+        ...this.#format({
+          ...p,
+          uid: this.#uid,
+          actid: this.#actid,
+          lp,
+          urmtom: (lp - p.netavgprc) * p.netqty,
+          daybuyavgprc: p.daybuyqty ? p.daybuyamt / p.daybuyqty : 0,
+          daysellavgprc: p.daysellqty ? p.daysellamt / p.daysellqty : 0,
+        }),
+      };
+    });
+    return positions.length ? positions : null;
+  }
+
+  async getLimits() {
+    const available = this.#available();
+    return {
+      stat: "Ok",
+      actid: this.#actid,
+      ...this.#format({
+        cash: this.#funds,
+        payin: 0,
+        payout: 0,
+        marginused: this.#funds - available + this.#realised(),
+        rpnl: this.#realised(),
+        available,
+      }),
+    };
+  }
+
+  #realised() {
+    let realised = 0;
+    this.#positions.forEach((p) => {
+      realised += p.rpnl;
+    });
+    return realised;
+  }
+}
@@ -0,0 +1,361 @@
+import { TradeSmartError } from "./TradeSmart_Errors.js";
+
+/**
+ * @typedef {Object} LivePosition
+ * @property {String} exch Exchange
+ * @property {String} [token] Token, from position book or instrument store
+ * @property {String} tsym Trading Symbol
+ * @property {String} prd Product
+ * @property {Number} netqty Net quantity, negative for short
+ * @property {Number} netavgprc Average price of net quantity
+ * @property {Number} ltp Last traded price
+ * @property {Number} lotSize Lot size, 1 when unknown
+ * @property {Number} multiplier Price multiplier (mult * prcftr of position book)
+ * @property {Number} realised Realised P&L
+ * @property {Number} unrealised Unrealised P&L at ltp
+ * @property {Number} pnl realised + unrealised
+ */
+
+/**
+ * @typedef {Object} PortfolioSummary
+ * @property {LivePosition[]} positions
+ * @property {Number} realised
+ * @property {Number} unrealised
+ * @property {Number} pnl
+ */
+
+/**
+ * @typedef {Object} SquareOffResult
+ * @property {String} exch
+ * @property {String} tsym
+ * @property {String} prd
+ * @property {String} trantype
+ * @property {Number} qty
+ * @property {Boolean} ok
+ * @property {String} [norenordno] Order number, parent id when sliced
+ * @property {String} [error]
+ */
+
+/**
+ * Live positions and P&L from position book, TradeSmartWS ticks and order feed fills
+ */
+export class Portfolio {
+  /**
+   * @type {import("./TradeSmart_API.js").TradeSmartAPI}
+   */
+  #api;
+
+  /**
+   * @type {import("./TradeSmart_WS.js").TradeSmartWS|null}
+   */
+  #ws = null;
+
+  /**
+   * @type {import("./TradeSmart_InstrumentStore.js").InstrumentStore|null}
+   */
+  #store = null;
+
+  /**
+   * @type {import("./TradeSmart_Slicer.js").SliceExecutor|null}
+   */
+  #slicer = null;
+  #onUpdateCallback;
+  #onTick = (quote) => this.update(quote);
+  #onOrder = (om) => this.applyFill(om);
+
+  /**
+   * Positions by "EXCH|TSYM|PRD"
+   * @type {Map<String, LivePosition>}
+   */
+  #positions = new Map();
+
+  /**
+   * Applied fills by "norenordno|flid"
+   * @type {Set<String>}
+   */
+  #fills = new Set();
+
+  /**
+   * @param {import("./TradeSmart_API.js").TradeSmartAPI} api
+   * @param {Object} [options]
+   * @param {import("./TradeSmart_InstrumentStore.js").InstrumentStore} [options.store] Instrument store for token and lot size missing in position book
+   * @param {import("./TradeSmart_Slicer.js").SliceExecutor} [options.slicer] Square off orders above freeze quantity through slicer
+   */
+  constructor(api, options = {}) {
+    this.#api = api;
+    this.#store = options.store || null;
+    this.#slicer = options.slicer || null;
+  }
+
+  static #key(exch, tsym, prd) {
+    return `${exch}|${tsym}|${prd}`;
+  }
+
+  #instrument(exch, tsym) {
+    try {
+      return this.#store?.byTradingSymbol(exch, tsym) || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * @param {String} exch
+   * @param {String} tsym
+   * @param {String} prd
+   * @param {Object} [row] position book row
+   * @returns {LivePosition}
+   */
+  #create(exch, tsym, prd, row = {}) {
+    const instrument = this.#instrument(exch, tsym);
+    return {
+      exch,
+      token: row.token || instrument?.Token,
+      tsym,
+      prd,
+      netqty: 0,
+      netavgprc: 0,
+      ltp: 0,
+      lotSize: Number(row.ls) || Number(instrument?.LotSize) || 1,
+      multiplier: (Number(row.mult) || 1) * (Number(row.prcftr) || 1),
+      realised: 0,
+      unrealised: 0,
+      pnl: 0,
+    };
+  }
+
+  /**
+   * Loads position book, replaces current positions and subscribes their tokens
+   * @returns {Promise<PortfolioSummary>}
+   */
+  async load() {
+    const rows = (await this.#api.getPositionBook()) || [];
+    this.#positions.clear();
+    rows.forEach((row) => {
+      const position = this.#create(row.exch, row.tsym, row.prd, row);
+      position.netqty = Number(row.netqty) || 0;
+      position.netavgprc = Number(row.netavgprc) || 0;
+      position.ltp = Number(row.lp) || position.netavgprc;
+      position.realised = Number(row.rpnl) || 0;
+      this.#calculate(position);
+      this.#positions.set(Portfolio.#key(row.exch, row.tsym, row.prd), position);
+    });
+    this.#subscribe();
+    return this.getSummary();
+  }
+
+  /**
+   * Feeds ticks and order updates of socket into portfolio and subscribes position tokens
+   * @param {import("./TradeSmart_WS.js").TradeSmartWS} ws
+   */
+  async attach(ws) {
+    this.detach();
+    this.#ws = ws;
+    ws.on("tick", this.#onTick);
+    ws.on("depth", this.#onTick);
+    ws.on("order", this.#onOrder);
+    this.#subscribe();
+    await ws.subscribeOrders();
+  }
+
+  /**
+   * Stops listening to attached socket
+   */
+  detach() {
+    if (this.#ws) {
+      this.#ws.off("tick", this.#onTick);
+      this.#ws.off("depth", this.#onTick);
+      this.#ws.off("order", this.#onOrder);
+      this.#ws = null;
+    }
+  }
+
+  #subscribe() {
+    const instruments = new Map();
+    this.#positions.forEach((p) => {
+      if (p.token) {
+        instruments.set(`${p.exch}|${p.token}`, { Exchange: p.exch, Token: p.token });
+      }
+    });
+    if (this.#ws && instruments.size) {
+      this.#ws.subscribe([...instruments.values()]);
+    }
+  }
+
+  /**
+   * @param {LivePosition} position
+   */
+  #calculate(position) {
+    position.unrealised =
+      position.netqty && position.ltp
+        ? (position.ltp - position.netavgprc) * position.netqty * position.multiplier
+        : 0;
+    position.pnl = position.realised + position.unrealised;
+  }
+
+  /**
+   * Updates LTP of positions of quote instrument
+   * @param {import("./TradeSmart_QuoteCache.js").Quote} quote merged quote
+   */
+  update(quote) {
+    const ltp = Number(quote?.lp);
+    if (!ltp) {
+      return;
+    }
+    let changed = false;
+    this.#positions.forEach((position) => {
+      const matches = position.token
+        ? position.token === String(quote.tk) && position.exch === quote.e
+        : position.tsym === quote.ts && position.exch === quote.e;
+      if (matches && position.ltp !== ltp) {
+        position.ltp = ltp;
+        this.#calculate(position);
+        changed = true;
+      }
+    });
+    if (changed) {
+      this.#emit();
+    }
+  }
+
+  /**
+   * Applies fill of om message to position, other messages are ignored
+   * @param {Object} om
+   */
+  applyFill(om) {
+    const qty = Number(om?.flqty);
+    const price = Number(om?.flprc);
+    if (om?.reporttype !== "Fill" || !qty) {
+      return;
+    }
+    const fillKey = `${om.norenordno}|${om.flid ?? om.fillshares}`;
+    if (this.#fills.has(fillKey)) {
+      return;
+    }
+    this.#fills.add(fillKey);
+
+    const key = Portfolio.#key(om.exch, om.tsym, om.prd);
+    let position = this.#positions.get(key);
+    if (!position) {
+      position = this.#create(om.exch, om.tsym, om.prd, om);
+      this.#positions.set(key, position);
+      this.#subscribe();
+    }
+
+    const signed = om.trantype === "B" ? qty : -qty;
+    const netqty = position.netqty;
+    if (netqty === 0 || Math.sign(netqty) === Math.sign(signed)) {
+      position.netavgprc =
+        (position.netavgprc * Math.abs(netqty) + price * qty) / (Math.abs(netqty) + qty);
+    } else {
+      const closing = Math.min(qty, Math.abs(netqty));
+      position.realised +=
+        (price - position.netavgprc) * closing * Math.sign(netqty) * position.multiplier;
+      if (qty > Math.abs(netqty)) {
+        position.netavgprc = price;
+      } else if (qty === Math.abs(netqty)) {
+        position.netavgprc = 0;
+      }
+    }
+    position.netqty = netqty + signed;
+    position.ltp = position.ltp || price;
+    this.#calculate(position);
+    this.#emit();
+  }
+
+  #emit() {
+    if (this.#onUpdateCallback) {
+      this.#onUpdateCallback(this.getSummary());
+    }
+  }
+
+  /**
+   * Callback receives summary after every tick or fill changing P&L
+   * @param {(summary: PortfolioSummary) => void} callback
+   */
+  onUpdate(callback) {
+    this.#onUpdateCallback = callback;
+  }
+
+  /**
+   * @returns {LivePosition[]}
+   */
+  getPositions() {
+    return [...this.#positions.values()].map((p) => ({ ...p }));
+  }
+
+  /**
+   * @returns {PortfolioSummary}
+   */
+  getSummary() {
+    const positions = this.getPositions();
+    const realised = positions.reduce((sum, p) => sum + p.realised, 0);
+    const unrealised = positions.reduce((sum, p) => sum + p.unrealised, 0);
+    return { positions, realised, unrealised, pnl: realised + unrealised };
+  }
+
+  /**
+   * Squares off open positions matching filter at market, short positions are covered first
+   * @param {Object|((position: LivePosition) => Boolean)} [filter] fields to match e.g. { exch: "NFO", prd: "I" } or predicate
+   * @returns {Promise<SquareOffResult[]>}
+   */
+  async squareOff(filter = {}) {
+    const matches =
+      typeof filter === "function"
+        ? filter
+        : (position) => Object.entries(filter).every(([key, value]) => position[key] === value);
+    const open = this.getPositions()
+      .filter((p) => p.netqty !== 0 && matches(p))
+      .sort((a, b) => a.netqty - b.netqty);
+
+    const results = [];
+    for (const position of open) {
+      const qty = Math.abs(position.netqty);
+      const params = {
+        exch: position.exch,
+        tsym: position.tsym,
+        prd: position.prd,
+        trantype: position.netqty > 0 ? "S" : "B",
+        qty,
+        prctyp: "MKT",
+        prc: 0,
+        remarks: "square off",
+      };
+      const result = {
+        exch: params.exch,
+        tsym: params.tsym,
+        prd: params.prd,
+        trantype: params.trantype,
+        qty,
+        ok: true,
+      };
+      try {
+        if (qty % position.lotSize !== 0) {
+          throw new TradeSmartError(
+            `Net quantity ${qty} is not a multiple of lot size ${position.lotSize}`
+          );
+        }
+        if (this.#slicer) {
+          const parent = await this.#slicer.execute({ ...params, token: position.token });
+          result.norenordno = parent.id;
+        } else {
+          const resp = await this.#api.placeorder(params);
+          result.norenordno = resp.norenordno;
+        }
+      } catch (error) {
+        result.ok = false;
+        result.error = TradeSmartError.from(error).message;
+      }
+      results.push(result);
+    }
+    return results;
+  }
+
+  /**
+   * Squares off every open position
+   * @returns {Promise<SquareOffResult[]>}
+   */
+  squareOffAll() {
+    return this.squareOff();
+  }
+}
@@ -0,0 +1,110 @@
+const depthFields = [1, 2, 3, 4, 5].flatMap(i => [`bp${i}`, `bq${i}`, `bo${i}`, `sp${i}`, `sq${i}`, `so${i}`]);
+
+/**
+ * Fields of touchline / depth feed that are sent as strings but are numeric
+ */
+const numericFields = new Set([
+  "pp",
+  "ls",
+  "ti",
+  "lp",
+  "pc",
+  "c",
+  "o",
+  "h",
+  "l",
+  "ap",
+  "v",
+  "ltq",
+  "oi",
+  "poi",
+  "toi",
+  "tbq",
+  "tsq",
+  "uc",
+  "lc",
+  "52h",
+  "52l",
+  "ft",
+  ...depthFields
+]);
+
+/**
+ * @typedef {Object} Quote
+ * @property {String} e Exchange
+ * @property {String} tk Token
+ * @property {String} [ts] Trading Symbol
+ * @property {Number} [lp] Last Traded Price
+ * @property {Number} [pc] Percentage Change
+ * @property {Number} [v] Volume
+ * @property {Number} [oi] Open Interest
+ * @property {Number} [bp1] Best Buy Price
+ * @property {Number} [sp1] Best Sell Price
+ */
+
+export class QuoteCache {
+  /**
+   * @type {Map<String, Quote>}
+   */
+  #quotes = new Map();
+
+  /**
+   * Converts numeric string fields of feed message to numbers
+   * @param {Object} data feed message
+   * @returns {Object}
+   */
+  static parse(data = {}) {
+    const parsed = {};
+    Object.keys(data).forEach(key => {
+      if (numericFields.has(key)) {
+        const value = Number(data[key]);
+        if (!Number.isNaN(value)) {
+          parsed[key] = value;
+        }
+      } else {
+        parsed[key] = data[key];
+      }
+    });
+    return parsed;
+  }
+
+  /**
+   * Merges feed message into cached quote.
+   * Acknowledgements (tk / dk) carry full state, partial updates (tf / df) only changed fields.
+   * @param {Object} data feed message
+   * @returns {Quote} merged quote
+   */
+  update(data) {
+    const key = `${data.e}|${data.tk}`;
+    const parsed = QuoteCache.parse(data);
+    delete parsed.t;
+
+    const previous = this.#quotes.get(key) || {};
+    const quote = { ...previous, ...parsed };
+    this.#quotes.set(key, quote);
+    return quote;
+  }
+
+  /**
+   * Returns last merged quote for instrument
+   * @param {String} exch Exchange
+   * @param {String} token Token
+   * @returns {Quote|null}
+   */
+  get(exch, token) {
+    return this.#quotes.get(`${exch}|${token}`) || null;
+  }
+
+  /**
+   * Removes quote from cache
+   * @param {String} exch Exchange
+   * @param {String} token Token
+   */
+  delete(exch, token) {
+    this.#quotes.delete(`${exch}|${token}`);
+  }
+
+  clear() {
+    this.#quotes.clear();
+  }
+}
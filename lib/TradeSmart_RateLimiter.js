@@ -0,0 +1,230 @@
+import { TradeSmartError } from "./TradeSmart_Errors.js";
+
+/**
+ * @typedef {Object} RateLimit
+ * @property {Number} rate Max requests started per interval
+ * @property {Number} interval Window in milliseconds
+ */
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {Number} [retries=3] Max retries after first attempt
+ * @property {Number} [baseDelay=250] Delay before first retry in milliseconds, doubled on every retry
+ * @property {Number} [maxDelay=4000] Max delay between retries in milliseconds
+ */
+
+/**
+ * @typedef {Object} RouteStats
+ * @property {Number} count Completed requests
+ * @property {Number} errors Failed requests
+ * @property {Number} lastLatency Last request latency in milliseconds
+ * @property {Number} avgLatency Average request latency in milliseconds
+ * @property {Number} maxLatency Max request latency in milliseconds
+ * @property {Number} avgWait Average time spent in queue in milliseconds
+ */
+
+/**
+ * @typedef {Object} QueueStats
+ * @property {Number} depth Requests waiting in queue
+ * @property {Number} inFlight Requests sent and waiting for response
+ * @property {Object<String, RouteStats>} routes Stats by route
+ */
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Returns delay before retry with exponential backoff and full jitter
+ * @param {Number} attempt Retry number starting at 0
+ * @param {RetryPolicy} [policy]
+ * @returns {Number} milliseconds
+ */
+export function backoffDelay(attempt, policy = {}) {
+  const { baseDelay = 250, maxDelay = 4000 } = policy;
+  return Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt);
+}
+
+/**
+ * Calls fn and retries retryable TradeSmartErrors with exponential backoff and full jitter
+ * @template T
+ * @param {() => Promise<T>} fn
+ * @param {RetryPolicy} [policy]
+ * @returns {Promise<T>}
+ */
+export async function withRetry(fn, policy = {}) {
+  const { retries = 3 } = policy;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      const retryable = error instanceof TradeSmartError && error.retryable;
+      if (!retryable || attempt >= retries) {
+        throw error;
+      }
+      await sleep(backoffDelay(attempt, policy));
+    }
+  }
+}
+
+/**
+ * Priority request queue with sliding window rate limits per route.
+ * Lower priority value runs first, requests with same priority run in order.
+ */
+export class RequestQueue {
+  /**
+   * @type {Object<String, RateLimit>}
+   */
+  #limits = {};
+
+  /**
+   * Start times of requests within current window by route, "*" tracks all routes
+   * @type {Map<String, Number[]>}
+   */
+  #windows = new Map();
+  #queue = [];
+  #timer = null;
+  #inFlight = 0;
+
+  /**
+   * @type {Map<String, Object>}
+   */
+  #stats = new Map();
+
+  /**
+   * @param {Object<String, RateLimit>} [limits] Limits by route, "*" applies to all routes combined
+   */
+  constructor(limits = {}) {
+    this.#limits = { ...limits };
+  }
+
+  /**
+   * Queues request, resolves with result of fn once it is sent and completed
+   * @template T
+   * @param {String} route
+   * @param {() => Promise<T>} fn
+   * @param {Number} [priority=1]
+   * @returns {Promise<T>}
+   */
+  schedule(route, fn, priority = 1) {
+    return new Promise((resolve, reject) => {
+      const task = { route, fn, priority, resolve, reject, queuedAt: Date.now() };
+      const index = this.#queue.findIndex((t) => t.priority > priority);
+      if (index === -1) {
+        this.#queue.push(task);
+      } else {
+        this.#queue.splice(index, 0, task);
+      }
+      this.#drain();
+    });
+  }
+
+  /**
+   * Returns milliseconds until route has a free slot, 0 when it can run now
+   * @param {String} key
+   * @param {Number} now
+   */
+  #waitTime(key, now) {
+    const limit = this.#limits[key];
+    if (!limit) {
+      return 0;
+    }
+    const window = (this.#windows.get(key) || []).filter(
+      (t) => t > now - limit.interval
+    );
+    this.#windows.set(key, window);
+    if (window.length < limit.rate) {
+      return 0;
+    }
+    return window[0] + limit.interval - now;
+  }
+
+  #drain() {
+    if (this.#timer) {
+      clearTimeout(this.#timer);
+      this.#timer = null;
+    }
+
+    let nextWait = Infinity;
+    for (let i = 0; i < this.#queue.length; ) {
+      const task = this.#queue[i];
+      const now = Date.now();
+      const wait = Math.max(
+        this.#waitTime("*", now),
+        this.#waitTime(task.route, now)
+      );
+      if (wait > 0) {
+        nextWait = Math.min(nextWait, wait);
+        i++;
+        continue;
+      }
+      this.#queue.splice(i, 1);
+      this.#run(task, now);
+    }
+
+    if (nextWait !== Infinity) {
+      this.#timer = setTimeout(() => this.#drain(), nextWait);
+    }
+  }
+
+  #run(task, now) {
+    ["*", task.route].forEach((key) => {
+      if (this.#limits[key]) {
+        this.#windows.get(key).push(now);
+      }
+    });
+    this.#inFlight++;
+    const wait = now - task.queuedAt;
+
+    Promise.resolve()
+      .then(task.fn)
+      .then(
+        (result) => {
+          this.#record(task.route, wait, Date.now() - now, false);
+          task.resolve(result);
+        },
+        (error) => {
+          this.#record(task.route, wait, Date.now() - now, true);
+          task.reject(error);
+        }
+      )
+      .finally(() => {
+        this.#inFlight--;
+      });
+  }
+
+  #record(route, wait, latency, failed) {
+    const stats = this.#stats.get(route) || {
+      count: 0,
+      errors: 0,
+      lastLatency: 0,
+      totalLatency: 0,
+      maxLatency: 0,
+      totalWait: 0,
+    };
+    stats.count++;
+    stats.errors += failed ? 1 : 0;
+    stats.lastLatency = latency;
+    stats.totalLatency += latency;
+    stats.maxLatency = Math.max(stats.maxLatency, latency);
+    stats.totalWait += wait;
+    this.#stats.set(route, stats);
+  }
+
+  /**
+   * Returns queue depth and latency by route
+   * @returns {QueueStats}
+   */
+  getStats() {
+    const routes = {};
+    this.#stats.forEach((s, route) => {
+      routes[route] = {
+        count: s.count,
+        errors: s.errors,
+        lastLatency: s.lastLatency,
+        avgLatency: s.totalLatency / s.count,
+        maxLatency: s.maxLatency,
+        avgWait: s.totalWait / s.count,
+      };
+    });
+    return { depth: this.#queue.length, inFlight: this.#inFlight, routes };
+  }
+}
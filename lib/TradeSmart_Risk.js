@@ -0,0 +1,345 @@
+import { RiskLimitError, ValidationError } from "./TradeSmart_Errors.js";
+
+const priceTypes = ["MKT", "LMT", "SL-LMT", "SL-MKT"];
+
+/**
+ * Allowed product types by exchange, C - CNC, M - NRML, I - MIS, B - Bracket, H - Cover
+ * @type {Object<String, String[]>}
+ */
+const productTypes = {
+  NSE: ["C", "I", "B", "H"],
+  BSE: ["C", "I", "B", "H"],
+  NFO: ["M", "I", "B", "H"],
+  BFO: ["M", "I", "B", "H"],
+  CDS: ["M", "I", "B", "H"],
+  MCX: ["M", "I", "B", "H"],
+};
+
+/**
+ * @typedef {Object} RiskLimits
+ * @property {Number} [maxQty] Max quantity of a single order
+ * @property {Number} [maxNotional] Max quantity * price of a single order
+ * @property {Number} [maxOpenOrders] Max open / trigger pending orders of account, or of symbol for symbol limits
+ * @property {Number} [maxDailyLoss] Max loss of the day, rpnl + urmtom of position book. Account limit engages kill switch when reached,
+ * symbol limit counts positions of symbol only and blocks orders of that symbol which do not reduce the position
+ */
+
+/**
+ * Rounds price to nearest multiple of tick size
+ * @param {Number|String} price
+ * @param {Number} tickSize
+ * @returns {Number}
+ */
+export function roundToTick(price, tickSize) {
+  const value = Number(price);
+  if (!tickSize || !value) {
+    return value;
+  }
+  const decimals = (String(tickSize).split(".")[1] || "").length;
+  return Number((Math.round(value / tickSize) * tickSize).toFixed(decimals));
+}
+
+/**
+ * Validates order params against instrument metadata and returns copy with prices rounded to tick size.
+ * Throws ValidationError with reason when order would be rejected by the broker.
+ * @param {Object} params same as TradeSmartAPI.placeorder
+ * @param {import("./TradeSmart_Instruments.js").Instrument|null} [instrument]
+ * @returns {Object}
+ */
+export function validateOrder(params, instrument = null) {
+  const fail = (reason) => {
+    throw new ValidationError(reason, { payload: params });
+  };
+  const order = { ...params };
+  const qty = Number(order.qty);
+  const prc = Number(order.prc || 0);
+  const trgprc = Number(order.trgprc || 0);
+
+  if (!Number.isInteger(qty) || qty <= 0) {
+    fail(`Invalid qty ${order.qty}`);
+  }
+  if (!["B", "S"].includes(order.trantype)) {
+    fail(`Invalid trantype ${order.trantype}, expected B or S`);
+  }
+  if (!priceTypes.includes(order.prctyp)) {
+    fail(`Invalid prctyp ${order.prctyp}, expected one of ${priceTypes.join(", ")}`);
+  }
+  const products = productTypes[order.exch];
+  if (products && !products.includes(order.prd)) {
+    fail(`prd ${order.prd} not allowed on ${order.exch}, expected one of ${products.join(", ")}`);
+  }
+
+  if (["LMT", "SL-LMT"].includes(order.prctyp) && prc <= 0) {
+    fail(`prc required for ${order.prctyp} orders`);
+  }
+  if (["MKT", "SL-MKT"].includes(order.prctyp) && prc > 0) {
+    fail(`prc not allowed for ${order.prctyp} orders`);
+  }
+  if (order.prctyp.startsWith("SL")) {
+    if (trgprc <= 0) {
+      fail(`trgprc required for ${order.prctyp} orders`);
+    }
+    if (order.prctyp === "SL-LMT" && order.trantype === "B" && trgprc > prc) {
+      fail(`trgprc ${trgprc} must not be above prc ${prc} for buy stop loss`);
+    }
+    if (order.prctyp === "SL-LMT" && order.trantype === "S" && trgprc < prc) {
+      fail(`trgprc ${trgprc} must not be below prc ${prc} for sell stop loss`);
+    }
+  } else if (trgprc > 0) {
+    fail(`trgprc only allowed for SL-LMT / SL-MKT orders`);
+  }
+  if (order.prd === "B" && (!order.blprc || !order.bpprc)) {
+    fail("blprc and bpprc required for bracket orders");
+  }
+  if (order.prd === "H" && !order.blprc) {
+    fail("blprc required for cover orders");
+  }
+
+  if (instrument) {
+    if (instrument.LotSize > 1 && qty % instrument.LotSize !== 0) {
+      fail(`qty ${qty} is not a multiple of lot size ${instrument.LotSize} for ${order.tsym}`);
+    }
+    const tickSize = Number(instrument.TickSize);
+    ["prc", "trgprc", "blprc", "bpprc", "trailprc"].forEach((key) => {
+      if (order[key]) {
+        order[key] = String(roundToTick(order[key], tickSize));
+      }
+    });
+  }
+  return order;
+}
+
+/**
+ * Pre-trade checks applied before an order is sent.
+ * Validates order against instrument metadata and applies account and per symbol risk limits.
+ */
+export class RiskManager {
+  /**
+   * @type {import("./TradeSmart_InstrumentStore.js").InstrumentStore|null}
+   */
+  #store = null;
+
+  /**
+   * @type {RiskLimits}
+   */
+  #limits = {};
+
+  /**
+   * Limits by "EXCH:TSYM" or underlying Symbol e.g. "NFO:NIFTY28AUG25F" or "NIFTY"
+   * @type {Object<String, RiskLimits>}
+   */
+  #symbolLimits = {};
+  #killReason = null;
+
+  /**
+   * @type {((exch: String, tsym: String) => Number|Promise<Number>)|null}
+   */
+  #ltp = null;
+
+  /**
+   * @param {Object} [options]
+   * @param {import("./TradeSmart_InstrumentStore.js").InstrumentStore} [options.store] Instrument store used for lot and tick size
+   * @param {RiskLimits} [options.limits] Account limits
+   * @param {Object<String, RiskLimits>} [options.symbolLimits] Limits by "EXCH:TSYM" or underlying Symbol. maxQty / maxNotional override account limits, maxDailyLoss / maxOpenOrders apply to the symbol alongside account limits
+   * @param {(exch: String, tsym: String) => Number|Promise<Number>} [options.ltp] Last price of market orders for notional check, defaults to api.getQuotes
+   */
+  constructor(options = {}) {
+    this.#store = options.store || null;
+    this.#limits = { ...options.limits };
+    this.#symbolLimits = { ...options.symbolLimits };
+    this.#ltp = options.ltp || null;
+  }
+
+  /**
+   * Blocks all new orders except ones reducing an open position
+   * @param {String} [reason="Kill switch engaged"]
+   */
+  kill(reason = "Kill switch engaged") {
+    this.#killReason = reason;
+  }
+
+  /**
+   * Releases kill switch
+   */
+  resume() {
+    this.#killReason = null;
+  }
+
+  /**
+   * @returns {Boolean}
+   */
+  isKilled() {
+    return this.#killReason !== null;
+  }
+
+  /**
+   * @param {RiskLimits} limits
+   */
+  setLimits(limits) {
+    this.#limits = { ...this.#limits, ...limits };
+  }
+
+  /**
+   * @param {String} symbol "EXCH:TSYM" or underlying Symbol
+   * @param {RiskLimits} limits
+   */
+  setSymbolLimits(symbol, limits) {
+    this.#symbolLimits[symbol] = { ...this.#symbolLimits[symbol], ...limits };
+  }
+
+  #instrument(exch, tsym) {
+    if (!this.#store) {
+      return null;
+    }
+    try {
+      return this.#store.byTradingSymbol(exch, tsym);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Limit scopes of order, account first then underlying and "EXCH:TSYM" symbol limits
+   * @returns {{name: String|null, limits: RiskLimits, matches: (row: Object) => Boolean}[]}
+   */
+  #scopes(order, instrument) {
+    const scopes = [{ name: null, limits: this.#limits, matches: () => true }];
+    const underlying = instrument?.Symbol;
+    if (underlying && this.#symbolLimits[underlying]) {
+      scopes.push({
+        name: underlying,
+        limits: this.#symbolLimits[underlying],
+        matches: (row) => this.#instrument(row.exch, row.tsym)?.Symbol === underlying,
+      });
+    }
+    const key = `${order.exch}:${order.tsym}`;
+    if (this.#symbolLimits[key]) {
+      scopes.push({
+        name: key,
+        limits: this.#symbolLimits[key],
+        matches: (row) => row.exch === order.exch && row.tsym === order.tsym,
+      });
+    }
+    return scopes;
+  }
+
+  #reject(reason, params) {
+    throw new RiskLimitError(reason, { payload: params });
+  }
+
+  /**
+   * Price used for notional, limit / trigger price or last traded price
+   */
+  async #price(order, instrument, api) {
+    const price = Number(order.prc) || Number(order.trgprc);
+    if (price) {
+      return price;
+    }
+    if (this.#ltp) {
+      return Number(await this.#ltp(order.exch, order.tsym)) || 0;
+    }
+    if (!api?.getQuotes || !instrument) {
+      return 0;
+    }
+    const quote = await api.getQuotes(order.exch, instrument.Token);
+    return Number(quote?.lp) || 0;
+  }
+
+  /**
+   * Validates order and checks risk limits.
+   * Throws ValidationError for invalid order and RiskLimitError when a limit is breached.
+   * @param {Object} params same as TradeSmartAPI.placeorder
+   * @param {import("./TradeSmart_API.js").TradeSmartAPI} [api] client used for position book, order book and quotes
+   * @returns {Promise<Object>} order params with prices rounded to tick size
+   */
+  async check(params, api) {
+    return this.#checkOrder(params, api, true);
+  }
+
+  /**
+   * Validates modification and checks risk limits with new qty and prices against the order being modified.
+   * Open order limit is not applied, modification does not add an open order.
+   * @param {Object} params same as TradeSmartAPI.modifyOrder
+   * @param {Object} original order book entry of the order being modified
+   * @param {import("./TradeSmart_API.js").TradeSmartAPI} [api] client used for position book and quotes
+   * @returns {Promise<Object>} modify params with prices rounded to tick size
+   */
+  async checkModify(params, original, api) {
+    const { trantype, prd, blprc, bpprc } = original;
+    return this.#checkOrder(
+      { trantype, prd, blprc, bpprc, ...params, exch: original.exch, tsym: original.tsym },
+      api,
+      false
+    );
+  }
+
+  async #checkOrder(params, api, countOpenOrders) {
+    const instrument = this.#instrument(params.exch, params.tsym);
+    const order = validateOrder(params, instrument);
+    const qty = Number(order.qty);
+    const scopes = this.#scopes(order, instrument);
+    const limits = Object.assign({}, ...scopes.map((scope) => scope.limits));
+    const lossScopes = scopes.filter((scope) => scope.limits.maxDailyLoss);
+
+    if (this.isKilled() || lossScopes.length) {
+      const positions = (await api?.getPositionBook?.()) || [];
+      const position = positions.find((p) => p.exch === order.exch && p.tsym === order.tsym);
+      const netqty = Number(position?.netqty) || 0;
+      const reducing =
+        (order.trantype === "S" ? netqty : -netqty) >= qty && order.prd === position?.prd;
+
+      for (const scope of lossScopes) {
+        const { maxDailyLoss } = scope.limits;
+        const loss = -positions
+          .filter(scope.matches)
+          .reduce((sum, p) => sum + (Number(p.rpnl) || 0) + (Number(p.urmtom) || 0), 0);
+        if (loss < maxDailyLoss) {
+          continue;
+        }
+        if (!scope.name) {
+          if (!this.isKilled()) {
+            this.kill(`Max daily loss ${maxDailyLoss} reached, loss ${loss}`);
+          }
+        } else if (!reducing) {
+          this.#reject(`Max daily loss ${maxDailyLoss} reached for ${scope.name}, loss ${loss}`, order);
+        }
+      }
+      if (this.isKilled() && !reducing) {
+        this.#reject(this.#killReason, order);
+      }
+    }
+
+    if (limits.maxQty && qty > limits.maxQty) {
+      this.#reject(`qty ${qty} exceeds max qty ${limits.maxQty} for ${order.tsym}`, order);
+    }
+    if (limits.maxNotional) {
+      const price = await this.#price(order, instrument, api);
+      if (!price) {
+        this.#reject(`Price unavailable for notional check of ${order.tsym}`, order);
+      }
+      if (qty * price > limits.maxNotional) {
+        this.#reject(
+          `Notional ${qty * price} exceeds max notional ${limits.maxNotional} for ${order.tsym}`,
+          order
+        );
+      }
+    }
+    const orderScopes = countOpenOrders ? scopes.filter((scope) => scope.limits.maxOpenOrders) : [];
+    if (orderScopes.length) {
+      const orders = ((await api?.getOrderBook?.()) || []).filter((o) =>
+        ["OPEN", "TRIGGER_PENDING"].includes(o.status)
+      );
+      orderScopes.forEach((scope) => {
+        const { maxOpenOrders } = scope.limits;
+        const open = orders.filter(scope.matches).length;
+        if (open >= maxOpenOrders) {
+          this.#reject(
+            `Open orders ${open} reached max open orders ${maxOpenOrders}${scope.name ? ` for ${scope.name}` : ""}`,
+            order
+          );
+        }
+      });
+    }
+    return order;
+  }
+}
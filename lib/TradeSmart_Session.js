@@ -0,0 +1,85 @@
+import fs from "fs";
+import path from "path";
+import { DateTime } from "luxon";
+
+/**
+ * @typedef {Object} SessionDetails
+ * @property {String} uid User ID
+ * @property {String} actid Account ID
+ * @property {String} susertoken Session token
+ * @property {String} [loginTime] ISO time of login
+ */
+
+/**
+ * @typedef {Object} SessionStore
+ * @property {(uid: String) => Promise<SessionDetails|null>} load Returns stored session or null
+ * @property {(session: SessionDetails) => Promise<void>} save Stores session
+ * @property {(uid: String) => Promise<void>} clear Removes stored session
+ */
+
+/**
+ * Returns true when session was created on the current trading day in IST.
+ * Broker sessions are invalidated overnight so a token from an earlier day is never reused.
+ * @param {SessionDetails} session
+ * @returns {Boolean}
+ */
+export function isSessionFresh(session) {
+  if (!session?.susertoken || !session?.loginTime) {
+    return false;
+  }
+  const loginTime = DateTime.fromISO(session.loginTime).setZone("Asia/Kolkata");
+  const now = DateTime.now().setZone("Asia/Kolkata");
+  return loginTime.isValid && loginTime.hasSame(now, "day");
+}
+
+/**
+ * Stores sessions as json files, one file per user
+ * @implements {SessionStore}
+ */
+export class FileSessionStore {
+  #folderPath = "./sessions";
+
+  /**
+   * @param {String} [folderPath="./sessions"] Folder where session files are stored
+   */
+  constructor(folderPath) {
+    if (folderPath) {
+      this.#folderPath = folderPath;
+    }
+  }
+
+  #filePath(uid) {
+    return path.join(this.#folderPath, `${uid}_session.json`);
+  }
+
+  /**
+   * @param {String} uid
+   * @returns {Promise<SessionDetails|null>}
+   */
+  async load(uid) {
+    try {
+      const data = await fs.promises.readFile(this.#filePath(uid), "utf-8");
+      return JSON.parse(data);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * @param {SessionDetails} session
+   */
+  async save(session) {
+    await fs.promises.mkdir(this.#folderPath, { recursive: true });
+    const filePath = this.#filePath(session.uid);
+    const tmpPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(session), { mode: 0o600 });
+    await fs.promises.rename(tmpPath, filePath);
+  }
+
+  /**
+   * @param {String} uid
+   */
+  async clear(uid) {
+    await fs.promises.rm(this.#filePath(uid), { force: true });
+  }
+}
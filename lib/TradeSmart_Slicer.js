@@ -0,0 +1,380 @@
+import { OrderState, OrderTracker } from "./TradeSmart_OrderTracker.js";
+import { TradeSmartError, ValidationError } from "./TradeSmart_Errors.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const terminalStates = [OrderState.COMPLETE, OrderState.REJECTED, OrderState.CANCELLED];
+
+/**
+ * @typedef {Object} SliceOptions
+ * @property {Number} [freezeQty] Exchange freeze quantity, slices stay below it. Looked up from instrument FreezeQty or security info frzqty when not set
+ * @property {Number} [sliceQty] Max quantity of a slice e.g. disclosed quantity of iceberg, rounded down to lot size
+ * @property {Number} [pace] Milliseconds between slices
+ * @property {Boolean} [iceberg] Release next slice only after previous one is filled
+ * @property {Number} [sliceTimeout] Milliseconds an iceberg slice may rest unfilled, then open slices are cancelled and parent is stopped. 0 waits forever
+ */
+
+/**
+ * @typedef {Object} ParentOrderSummary
+ * @property {String} id Parent order id
+ * @property {String} exch
+ * @property {String} tsym
+ * @property {String} trantype
+ * @property {Number} qty Total quantity
+ * @property {String} state One of OrderState
+ * @property {Number} filledQty Filled quantity of all slices
+ * @property {Number} avgPrice Average fill price of all slices
+ * @property {Number[]} plan Planned slice quantities
+ * @property {import("./TradeSmart_OrderTracker.js").TrackedOrder[]} slices Placed child orders
+ * @property {String} [rejectionReason]
+ */
+
+/**
+ * Splits quantity into lot aligned slices, each at most maxSlice
+ * @param {Number} qty
+ * @param {Number} lotSize
+ * @param {Number} maxSlice
+ * @returns {Number[]}
+ */
+export function planSlices(qty, lotSize, maxSlice) {
+  if (qty % lotSize !== 0) {
+    throw new ValidationError(`qty ${qty} is not a multiple of lot size ${lotSize}`);
+  }
+  const size = Math.floor(maxSlice / lotSize) * lotSize;
+  if (size < lotSize) {
+    throw new ValidationError(`Slice limit ${maxSlice} is below lot size ${lotSize}`);
+  }
+  const slices = [];
+  for (let remaining = qty; remaining > 0; remaining -= size) {
+    slices.push(Math.min(size, remaining));
+  }
+  return slices;
+}
+
+/**
+ * Parent of sliced child orders, created by SliceExecutor
+ */
+export class ParentOrder {
+  #id;
+  #api;
+
+  /**
+   * @type {OrderTracker}
+   */
+  #tracker;
+  #params;
+  #plan;
+  #options;
+  #children = [];
+  #unsubscribers = [];
+  #onUpdateCallbacks = new Set();
+  #placing = true;
+  #stopped = false;
+  #rejectionReason;
+  #last = "";
+  #resolveDone;
+
+  /**
+   * Resolves with summary once all slices are placed and every child order is completed, cancelled or rejected
+   * @type {Promise<ParentOrderSummary>}
+   */
+  done;
+
+  /**
+   * @param {String} id
+   * @param {import("./TradeSmart_API.js").TradeSmartAPI} api
+   * @param {OrderTracker} tracker
+   * @param {Object} params same as TradeSmartAPI.placeorder
+   * @param {Number[]} plan slice quantities
+   * @param {SliceOptions} options
+   */
+  constructor(id, api, tracker, params, plan, options) {
+    this.#id = id;
+    this.#api = api;
+    this.#tracker = tracker;
+    this.#params = params;
+    this.#plan = plan;
+    this.#options = options;
+    this.done = new Promise((resolve) => {
+      this.#resolveDone = resolve;
+    });
+  }
+
+  get id() {
+    return this.#id;
+  }
+
+  /**
+   * Places slices, called once by SliceExecutor. Never rejects, failures stop the parent with rejection reason.
+   */
+  async run() {
+    try {
+      await this.#placeSlices();
+    } catch (error) {
+      this.#stopped = true;
+      this.#rejectionReason = this.#rejectionReason || TradeSmartError.from(error).message;
+    }
+    this.#placing = false;
+    this.#refresh();
+  }
+
+  async #placeSlices() {
+    for (let i = 0; i < this.#plan.length && !this.#stopped; i++) {
+      if (i > 0 && this.#options.pace) {
+        await sleep(this.#options.pace);
+        if (this.#stopped) {
+          break;
+        }
+      }
+
+      let norenordno;
+      try {
+        const resp = await this.#api.placeorder({ ...this.#params, qty: this.#plan[i] });
+        norenordno = resp.norenordno;
+      } catch (error) {
+        this.#stopped = true;
+        this.#rejectionReason = TradeSmartError.from(error).message;
+        break;
+      }
+      this.#tracker.track(norenordno, { ...this.#params, qty: this.#plan[i] });
+      this.#children.push(norenordno);
+      this.#unsubscribers.push(
+        this.#tracker.onOrderUpdate(norenordno, () => this.#refresh())
+      );
+      this.#refresh();
+
+      if (this.#options.iceberg) {
+        try {
+          await this.#tracker.waitForFill(norenordno, { timeout: this.#options.sliceTimeout || undefined });
+        } catch {
+          if (!terminalStates.includes(this.#tracker.getOrder(norenordno).state)) {
+            this.#rejectionReason = `Slice ${norenordno} not filled in ${this.#options.sliceTimeout}ms`;
+            await this.cancelAll();
+          }
+          break;
+        }
+      } else if (this.#tracker.getOrder(norenordno).state === OrderState.REJECTED) {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Stops releasing slices and cancels open child orders
+   * @returns {Promise<PromiseSettledResult<Object>[]>} cancel result of each open child
+   */
+  async cancelAll() {
+    this.#stopped = true;
+    const open = this.#children.filter(
+      (norenordno) => !terminalStates.includes(this.#tracker.getOrder(norenordno)?.state)
+    );
+    const results = await Promise.allSettled(
+      open.map((norenordno) => this.#api.cancelOrder(norenordno))
+    );
+    if (results.some((result) => result.status === "fulfilled")) {
+      await this.#tracker.reconcile().catch(() => {});
+    }
+    this.#refresh();
+    return results;
+  }
+
+  /**
+   * @returns {ParentOrderSummary}
+   */
+  getSummary() {
+    const slices = this.#children.map((norenordno) => this.#tracker.getOrder(norenordno));
+    const filledQty = slices.reduce((sum, o) => sum + o.filledQty, 0);
+    const value = slices.reduce((sum, o) => sum + o.filledQty * o.avgPrice, 0);
+    const rejected = slices.find((o) => o.state === OrderState.REJECTED);
+    const active =
+      this.#placing || slices.some((o) => !terminalStates.includes(o.state));
+
+    let state;
+    if (active) {
+      if (filledQty > 0) {
+        state = OrderState.PARTIALLY_FILLED;
+      } else {
+        state = slices.length ? OrderState.OPEN : OrderState.PENDING;
+      }
+    } else if (filledQty === Number(this.#params.qty)) {
+      state = OrderState.COMPLETE;
+    } else if (rejected || this.#rejectionReason) {
+      state = OrderState.REJECTED;
+    } else {
+      state = OrderState.CANCELLED;
+    }
+
+    return {
+      id: this.#id,
+      exch: this.#params.exch,
+      tsym: this.#params.tsym,
+      trantype: this.#params.trantype,
+      qty: Number(this.#params.qty),
+      state,
+      filledQty,
+      avgPrice: filledQty ? value / filledQty : 0,
+      plan: [...this.#plan],
+      slices,
+      rejectionReason: this.#rejectionReason || rejected?.rejectionReason,
+    };
+  }
+
+  /**
+   * Callback receives summary on every change of parent or its slices
+   * @param {(summary: ParentOrderSummary) => void} callback
+   * @returns {() => void} removes callback
+   */
+  onUpdate(callback) {
+    this.#onUpdateCallbacks.add(callback);
+    return () => this.#onUpdateCallbacks.delete(callback);
+  }
+
+  #refresh() {
+    const summary = this.getSummary();
+    const key = JSON.stringify(summary);
+    if (key === this.#last) {
+      return;
+    }
+    this.#last = key;
+    this.#onUpdateCallbacks.forEach((callback) => {
+      try {
+        callback(summary);
+      } catch {
+        // a failing listener must not stop slices or leave done pending
+      }
+    });
+    if (terminalStates.includes(summary.state)) {
+      this.#unsubscribers.forEach((off) => off());
+      this.#resolveDone(summary);
+    }
+  }
+}
+
+/**
+ * Places orders above exchange freeze quantity as lot aligned child orders
+ */
+export class SliceExecutor {
+  /**
+   * @type {import("./TradeSmart_API.js").TradeSmartAPI}
+   */
+  #api;
+
+  /**
+   * @type {OrderTracker}
+   */
+  #tracker;
+  #ownTracker = false;
+
+  /**
+   * @type {import("./TradeSmart_InstrumentStore.js").InstrumentStore|null}
+   */
+  #store = null;
+
+  /**
+   * @type {SliceOptions}
+   */
+  #defaults = { pace: 250, iceberg: false, sliceTimeout: 300000 };
+  #parentSeq = 0;
+
+  /**
+   * @type {Map<String, ParentOrder>}
+   */
+  #parents = new Map();
+
+  /**
+   * @param {import("./TradeSmart_API.js").TradeSmartAPI} api
+   * @param {Object} [options]
+   * @param {OrderTracker} [options.tracker] Tracker fed by order updates, defaults to own tracker reconciling with order book while orders are active
+   * @param {Number} [options.reconcileInterval=2000] Reconcile interval of own tracker
+   * @param {import("./TradeSmart_InstrumentStore.js").InstrumentStore} [options.store] Instrument store for lot size and freeze quantity
+   * @param {Number} [options.pace=250] Default milliseconds between slices
+   * @param {Boolean} [options.iceberg=false] Default iceberg mode
+   * @param {Number} [options.sliceTimeout=300000] Default milliseconds an iceberg slice may rest unfilled, 0 waits forever
+   */
+  constructor(api, options = {}) {
+    this.#api = api;
+    this.#store = options.store || null;
+    this.#ownTracker = !options.tracker;
+    this.#tracker =
+      options.tracker ||
+      new OrderTracker(api, { reconcileInterval: options.reconcileInterval ?? 2000 });
+    this.#defaults = {
+      pace: options.pace ?? this.#defaults.pace,
+      iceberg: options.iceberg ?? this.#defaults.iceberg,
+      sliceTimeout: options.sliceTimeout ?? this.#defaults.sliceTimeout,
+    };
+  }
+
+  /**
+   * Lot size and freeze quantity from instrument, falling back to security info
+   */
+  async #limits(params, options) {
+    let instrument = null;
+    try {
+      instrument = this.#store?.byTradingSymbol(params.exch, params.tsym) || null;
+    } catch {
+      instrument = null;
+    }
+    let lotSize = Number(instrument?.LotSize) || 0;
+    let freezeQty = Number(options.freezeQty ?? instrument?.FreezeQty) || 0;
+
+    const token = instrument?.Token || params.token;
+    if ((!lotSize || !freezeQty) && token && this.#api.getSecurityInfo) {
+      const info = await this.#api.getSecurityInfo(params.exch, token);
+      lotSize = lotSize || Number(info?.ls) || 0;
+      freezeQty = freezeQty || Number(info?.frzqty) || 0;
+    }
+    return { lotSize: lotSize || 1, freezeQty };
+  }
+
+  /**
+   * Splits order into child orders below freeze quantity and starts placing them
+   * @param {Object} params same as TradeSmartAPI.placeorder, token is used for security info when instrument is not in store
+   * @param {SliceOptions} [options]
+   * @returns {Promise<ParentOrder>} parent order, await parent.done for final summary
+   */
+  async execute(params, options = {}) {
+    if (!params?.exch || !params?.tsym || !params?.qty) {
+      throw new ValidationError("exch, tsym, qty required", { payload: params });
+    }
+    const sliceOptions = { ...this.#defaults, ...options };
+    const { lotSize, freezeQty } = await this.#limits(params, sliceOptions);
+    const maxSlice = Math.min(
+      freezeQty ? freezeQty - 1 : Infinity,
+      sliceOptions.sliceQty || Infinity
+    );
+    const plan = planSlices(
+      Number(params.qty),
+      lotSize,
+      Number.isFinite(maxSlice) ? maxSlice : Number(params.qty)
+    );
+
+    const { token, ...orderParams } = params;
+    const parent = new ParentOrder(
+      `SLICE${String(++this.#parentSeq).padStart(8, "0")}`,
+      this.#api,
+      this.#tracker,
+      orderParams,
+      plan,
+      sliceOptions
+    );
+    this.#parents.set(parent.id, parent);
+    if (this.#ownTracker) {
+      this.#tracker.start();
+    }
+    parent.done.then(() => {
+      this.#parents.delete(parent.id);
+      if (this.#ownTracker && !this.#parents.size) {
+        this.#tracker.stop();
+      }
+    });
+    parent.run();
+    return parent;
+  }
+
+  /**
+   * @returns {ParentOrder[]} parent orders not yet done
+   */
+  getActive() {
+    return [...this.#parents.values()];
+  }
+}
@@ -0,0 +1,600 @@
+import fs from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
+import { DateTime } from "luxon";
+import { TradeSmartError, ValidationError } from "./TradeSmart_Errors.js";
+
+const timeZone = "Asia/Kolkata";
+
+export const TriggerStatus = Object.freeze({
+  ACTIVE: "ACTIVE",
+  FIRING: "FIRING",
+  FIRED: "FIRED",
+  FAILED: "FAILED",
+  EXPIRED: "EXPIRED",
+  CANCELLED: "CANCELLED",
+});
+
+/**
+ * @typedef {Object} TriggerCondition
+ * @property {String} type above / below / percent / time / trail
+ * @property {Number} [price] LTP at or above / below which above / below triggers fire
+ * @property {Number} [percent] Move from reference for percent, negative for fall. Trail distance in percent for trail
+ * @property {Number} [reference] Reference price of percent, defaults to first LTP seen
+ * @property {String} [at] "HH:mm" IST time, next occurrence is used, or ISO date-time of time triggers
+ * @property {String} [fireAt] ISO date-time time trigger is due, set when trigger is added
+ * @property {String} [side="long"] long / short position protected by trail
+ * @property {Number} [distance] Trail distance in price
+ * @property {Number} [peak] Best price seen by trail
+ */
+
+/**
+ * @typedef {Object} TriggerAction
+ * @property {String} type place / exit
+ * @property {Object} [order] Order params of place action, same as TradeSmartAPI.placeorder
+ * @property {String} [prd] Product of position closed by exit action, any product when not set
+ */
+
+/**
+ * @typedef {Object} Trigger
+ * @property {String} id
+ * @property {String} exch Exchange
+ * @property {String} [token] Token evaluated against ticks, required except for time triggers
+ * @property {String} [tsym] Trading Symbol used by exit action
+ * @property {TriggerCondition} condition
+ * @property {TriggerAction} action
+ * @property {String} [ocoGroup] Triggers of same group are cancelled once one fires
+ * @property {String} [expiresAt] ISO time after which trigger expires
+ * @property {String} status One of TriggerStatus
+ * @property {String} createdAt ISO time
+ * @property {String} [firedAt] ISO time
+ * @property {Object} [result] Action response
+ * @property {String} [error] Failure or cancel reason
+ */
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {String} time ISO time
+ * @property {String} id Trigger id
+ * @property {String} event created / fired / failed / expired / cancelled
+ * @property {Number} [ltp] LTP when event happened
+ * @property {*} [detail] Action response or reason
+ */
+
+/**
+ * Client side conditional orders driven by TradeSmartWS ticks.
+ * Triggers are persisted to {folderPath}/triggers.json and every event is appended to {folderPath}/audit.jsonl
+ */
+export class TriggerEngine {
+  /**
+   * @type {import("./TradeSmart_API.js").TradeSmartAPI}
+   */
+  #api;
+
+  /**
+   * @type {import("./TradeSmart_WS.js").TradeSmartWS|null}
+   */
+  #ws = null;
+  #folderPath = "./triggers";
+  #timeTolerance = 60000;
+  #timer = null;
+  #onUpdateCallback;
+  #onTick = (quote) => this.update(quote).catch(() => {});
+
+  /**
+   * @type {Map<String, Trigger>}
+   */
+  #triggers = new Map();
+
+  /**
+   * Pending save, writes are serialized
+   * @type {Promise<void>}
+   */
+  #saving = Promise.resolve();
+  #dirty = false;
+
+  /**
+   * @param {import("./TradeSmart_API.js").TradeSmartAPI} api
+   * @param {Object} [options]
+   * @param {String|null} [options.folderPath="./triggers"] Folder of triggers.json and audit.jsonl, null disables persistence
+   * @param {Number} [options.timeTolerance=60000] Time triggers found due later than this are expired instead of fired
+   */
+  constructor(api, options = {}) {
+    this.#api = api;
+    this.#folderPath = options.folderPath === undefined ? this.#folderPath : options.folderPath;
+    this.#timeTolerance = options.timeTolerance ?? this.#timeTolerance;
+  }
+
+  /**
+   * Due time of "HH:mm", next occurrence after from, or of ISO date-time
+   * @param {String} at
+   * @param {DateTime} from
+   * @returns {DateTime}
+   */
+  static #fireAt(at, from) {
+    if (!/^\d{2}:\d{2}$/.test(at || "")) {
+      return DateTime.fromISO(at || "", { zone: timeZone });
+    }
+    const [hour, minute] = at.split(":").map(Number);
+    const today = from.setZone(timeZone).set({ hour, minute, second: 0, millisecond: 0 });
+    return today > from ? today : today.plus({ days: 1 });
+  }
+
+  get #triggersFile() {
+    return path.join(this.#folderPath, "triggers.json");
+  }
+
+  get #auditFile() {
+    return path.join(this.#folderPath, "audit.jsonl");
+  }
+
+  /**
+   * Loads persisted triggers, active ones are subscribed when socket is attached
+   * @returns {Promise<Trigger[]>}
+   */
+  async load() {
+    if (!this.#folderPath) {
+      return [];
+    }
+    let triggers = [];
+    try {
+      triggers = JSON.parse(await fs.promises.readFile(this.#triggersFile, "utf-8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw TradeSmartError.from(error, { route: this.#triggersFile });
+      }
+    }
+    let interrupted = false;
+    triggers.forEach((trigger) => {
+      if (trigger.condition?.type === "time" && !trigger.condition.fireAt) {
+        trigger.condition.fireAt = TriggerEngine.#fireAt(
+          trigger.condition.at,
+          DateTime.fromISO(trigger.createdAt, { zone: timeZone })
+        ).toISO();
+      }
+      // action may or may not have reached the broker, never fire it again
+      if (trigger.status === TriggerStatus.FIRING) {
+        trigger.status = TriggerStatus.FAILED;
+        trigger.error = "Interrupted while firing, check order book";
+        interrupted = true;
+      }
+      this.#triggers.set(trigger.id, trigger);
+    });
+    if (interrupted) {
+      await this.#save();
+    }
+    this.#subscribe(triggers);
+    return this.list();
+  }
+
+  /**
+   * Feeds tick and depth quotes of socket into engine, subscribes active triggers and starts time check timer
+   * @param {import("./TradeSmart_WS.js").TradeSmartWS} ws
+   */
+  attach(ws) {
+    this.detach();
+    this.#ws = ws;
+    ws.on("tick", this.#onTick);
+    ws.on("depth", this.#onTick);
+    this.#subscribe(this.list({ status: TriggerStatus.ACTIVE }));
+    this.start();
+  }
+
+  /**
+   * Stops listening to attached socket, subscriptions are kept
+   */
+  detach() {
+    if (this.#ws) {
+      this.#ws.off("tick", this.#onTick);
+      this.#ws.off("depth", this.#onTick);
+      this.#ws = null;
+    }
+  }
+
+  /**
+   * Starts timer evaluating time triggers and expiry every second
+   */
+  start() {
+    if (!this.#timer) {
+      this.#timer = setInterval(() => this.check().catch(() => {}), 1000);
+    }
+  }
+
+  stop() {
+    if (this.#timer) {
+      clearInterval(this.#timer);
+      this.#timer = null;
+    }
+  }
+
+  #subscribe(triggers) {
+    const instruments = new Map();
+    triggers
+      .filter((t) => t.status === TriggerStatus.ACTIVE && t.token)
+      .forEach((t) => instruments.set(`${t.exch}|${t.token}`, { Exchange: t.exch, Token: t.token }));
+    if (this.#ws && instruments.size) {
+      this.#ws.subscribe([...instruments.values()]);
+    }
+  }
+
+  /**
+   * Adds trigger
+   * @param {Object} definition Trigger without id, status and times
+   * @returns {Promise<Trigger>}
+   */
+  async add(definition) {
+    const { exch, token, condition, action } = definition || {};
+    if (!exch || !condition?.type || !action?.type) {
+      throw new ValidationError("exch, condition, action required", { payload: definition });
+    }
+    if (!["above", "below", "percent", "time", "trail"].includes(condition.type)) {
+      throw new ValidationError(`Invalid condition ${condition.type}`, { payload: definition });
+    }
+    if (condition.type !== "time" && !token) {
+      throw new ValidationError(`token required for ${condition.type} condition`, { payload: definition });
+    }
+    if (["above", "below"].includes(condition.type) && !(Number(condition.price) > 0)) {
+      throw new ValidationError(`price required for ${condition.type} condition`, { payload: definition });
+    }
+    if (condition.type === "percent" && !Number(condition.percent)) {
+      throw new ValidationError("percent required for percent condition", { payload: definition });
+    }
+    const createdAt = DateTime.now().setZone(timeZone);
+    const fireAt = condition.type === "time" ? TriggerEngine.#fireAt(condition.at, createdAt) : null;
+    if (fireAt && !fireAt.isValid) {
+      throw new ValidationError("at \"HH:mm\" or ISO date-time required for time condition", { payload: definition });
+    }
+    if (condition.type === "trail" && !(Number(condition.distance) > 0 || Number(condition.percent) > 0)) {
+      throw new ValidationError("distance or percent required for trail condition", { payload: definition });
+    }
+    if (action.type === "place" && !action.order) {
+      throw new ValidationError("order required for place action", { payload: definition });
+    }
+    if (action.type === "exit" && !definition.tsym) {
+      throw new ValidationError("tsym required for exit action", { payload: definition });
+    }
+    if (!["place", "exit"].includes(action.type)) {
+      throw new ValidationError(`Invalid action ${action.type}`, { payload: definition });
+    }
+
+    /**
+     * @type {Trigger}
+     */
+    const trigger = {
+      ...definition,
+      id: definition.id || randomUUID(),
+      token: token ? String(token) : undefined,
+      condition: fireAt ? { ...condition, fireAt: fireAt.toISO() } : { ...condition },
+      status: TriggerStatus.ACTIVE,
+      createdAt: createdAt.toISO(),
+    };
+    this.#triggers.set(trigger.id, trigger);
+    this.#subscribe([trigger]);
+    await this.#audit(trigger, "created");
+    await this.#save();
+    return { ...trigger };
+  }
+
+  /**
+   * Adds target and stop loss triggers, whichever fires first cancels the other
+   * @param {Object} target Trigger definition
+   * @param {Object} stop Trigger definition
+   * @returns {Promise<Trigger[]>}
+   */
+  async addOCO(target, stop) {
+    const ocoGroup = randomUUID();
+    return [await this.add({ ...target, ocoGroup }), await this.add({ ...stop, ocoGroup })];
+  }
+
+  /**
+   * Cancels active trigger
+   * @param {String} id
+   * @param {String} [reason="Cancelled"]
+   * @returns {Promise<Boolean>} false when trigger is not active
+   */
+  async cancel(id, reason = "Cancelled") {
+    const trigger = this.#triggers.get(id);
+    if (trigger?.status !== TriggerStatus.ACTIVE) {
+      return false;
+    }
+    await this.#close(trigger, TriggerStatus.CANCELLED, "cancelled", { error: reason });
+    await this.#save();
+    return true;
+  }
+
+  /**
+   * @param {String} id
+   * @returns {Trigger|null}
+   */
+  get(id) {
+    const trigger = this.#triggers.get(id);
+    return trigger ? { ...trigger } : null;
+  }
+
+  /**
+   * @param {Object} [filter]
+   * @param {String} [filter.status]
+   * @returns {Trigger[]}
+   */
+  list(filter = {}) {
+    return [...this.#triggers.values()]
+      .filter((t) => !filter.status || t.status === filter.status)
+      .map((t) => ({ ...t }));
+  }
+
+  /**
+   * Callback receives trigger on every fire, failure, expiry and cancel
+   * @param {(trigger: Trigger, entry: AuditEntry) => void} callback
+   */
+  onUpdate(callback) {
+    this.#onUpdateCallback = callback;
+  }
+
+  /**
+   * Evaluates price triggers of quote instrument
+   * @param {import("./TradeSmart_QuoteCache.js").Quote} quote merged quote
+   * @param {DateTime} [time] defaults to now
+   */
+  async update(quote, time) {
+    const ltp = Number(quote?.lp);
+    if (!ltp) {
+      return;
+    }
+    const now = TriggerEngine.#toDateTime(time);
+    const due = [];
+    this.#triggers.forEach((trigger) => {
+      if (
+        trigger.status === TriggerStatus.ACTIVE &&
+        trigger.exch === quote.e &&
+        trigger.token === String(quote.tk) &&
+        !this.#expire(trigger, now, due) &&
+        this.#evaluate(trigger.condition, ltp, now)
+      ) {
+        due.push(this.#claim(trigger, ltp, now));
+      }
+    });
+    await this.#run(due);
+  }
+
+  /**
+   * Evaluates time triggers and expiry
+   * @param {DateTime} [time] defaults to now
+   */
+  async check(time) {
+    const now = TriggerEngine.#toDateTime(time);
+    const due = [];
+    this.#triggers.forEach((trigger) => {
+      if (trigger.status !== TriggerStatus.ACTIVE || this.#expire(trigger, now, due)) {
+        return;
+      }
+      if (trigger.condition.type === "time" && this.#evaluate(trigger.condition, 0, now)) {
+        due.push(this.#claim(trigger, undefined, now));
+      }
+    });
+    await this.#run(due);
+  }
+
+  async #run(due) {
+    for (const task of due) {
+      await task();
+    }
+    if (due.length || this.#dirty) {
+      await this.#save();
+    }
+  }
+
+  #expire(trigger, now, due) {
+    if (trigger.expiresAt && DateTime.fromISO(trigger.expiresAt) <= now) {
+      trigger.status = TriggerStatus.EXPIRED;
+      due.push(() => this.#close(trigger, TriggerStatus.EXPIRED, "expired", {}, now));
+      return true;
+    }
+    const { type, fireAt } = trigger.condition;
+    if (type === "time" && now.toMillis() - DateTime.fromISO(fireAt).toMillis() > this.#timeTolerance) {
+      trigger.status = TriggerStatus.EXPIRED;
+      due.push(() => this.#close(trigger, TriggerStatus.EXPIRED, "expired", { error: `Missed time ${fireAt}` }, now));
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Marks trigger FIRING and cancels rest of its OCO group before anything is awaited,
+   * so a tick arriving while the action runs cannot fire another leg
+   * @param {Trigger} trigger
+   * @param {Number} [ltp]
+   * @param {DateTime} now
+   * @returns {() => Promise<void>} task firing trigger
+   */
+  #claim(trigger, ltp, now) {
+    trigger.status = TriggerStatus.FIRING;
+    const siblings = trigger.ocoGroup
+      ? [...this.#triggers.values()].filter(
+          (other) => other.ocoGroup === trigger.ocoGroup && other.status === TriggerStatus.ACTIVE
+        )
+      : [];
+    siblings.forEach((other) => {
+      other.status = TriggerStatus.CANCELLED;
+      other.error = `OCO ${trigger.id} fired`;
+    });
+    return () => this.#fire(trigger, siblings, ltp, now);
+  }
+
+  /**
+   * @param {TriggerCondition} condition mutated for percent reference and trail peak
+   * @param {Number} ltp
+   * @param {DateTime} now
+   * @returns {Boolean}
+   */
+  #evaluate(condition, ltp, now) {
+    switch (condition.type) {
+      case "above":
+        return ltp >= Number(condition.price);
+      case "below":
+        return ltp <= Number(condition.price);
+      case "percent": {
+        if (!condition.reference) {
+          condition.reference = ltp;
+          this.#dirty = true;
+          return false;
+        }
+        const target = condition.reference * (1 + Number(condition.percent) / 100);
+        return condition.percent > 0 ? ltp >= target : ltp <= target;
+      }
+      case "time":
+        return now >= DateTime.fromISO(condition.fireAt);
+      case "trail": {
+        const long = condition.side !== "short";
+        if (!condition.peak || (long ? ltp > condition.peak : ltp < condition.peak)) {
+          condition.peak = ltp;
+          this.#dirty = true;
+          return false;
+        }
+        const distance = Number(condition.distance) || (condition.peak * Number(condition.percent)) / 100;
+        return long ? ltp <= condition.peak - distance : ltp >= condition.peak + distance;
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Persists FIRING state, runs action and records cancellation of other triggers of OCO group
+   * @param {Trigger} trigger
+   * @param {Trigger[]} siblings OCO triggers cancelled by claim
+   * @param {Number} [ltp]
+   * @param {DateTime} now
+   */
+  async #fire(trigger, siblings, ltp, now) {
+    try {
+      await this.#save();
+    } catch (error) {
+      // nothing was sent, keep OCO legs working
+      siblings.forEach((other) => {
+        other.status = TriggerStatus.ACTIVE;
+        delete other.error;
+      });
+      const reason = `Not fired, state not saved : ${TradeSmartError.from(error).message}`;
+      await this.#close(trigger, TriggerStatus.FAILED, "failed", { error: reason }, now, ltp);
+      return;
+    }
+    try {
+      const result =
+        trigger.action.type === "exit"
+          ? await this.#exit(trigger)
+          : await this.#api.placeorder(trigger.action.order);
+      await this.#close(trigger, TriggerStatus.FIRED, "fired", { result, firedAt: now.toISO() }, now, ltp);
+    } catch (error) {
+      const reason = TradeSmartError.from(error).message;
+      await this.#close(trigger, TriggerStatus.FAILED, "failed", { error: reason, firedAt: now.toISO() }, now, ltp);
+    }
+
+    for (const other of siblings) {
+      await this.#close(other, TriggerStatus.CANCELLED, "cancelled", { error: other.error }, now, ltp);
+    }
+  }
+
+  /**
+   * Squares off open position of trigger instrument at market
+   * @param {Trigger} trigger
+   * @returns {Promise<Object[]>} placeorder responses
+   */
+  async #exit(trigger) {
+    const positions = (await this.#api.getPositionBook()) || [];
+    const open = positions.filter(
+      (p) =>
+        p.exch === trigger.exch &&
+        p.tsym === trigger.tsym &&
+        Number(p.netqty) !== 0 &&
+        (!trigger.action.prd || p.prd === trigger.action.prd)
+    );
+    if (!open.length) {
+      throw new TradeSmartError(`No open position in ${trigger.tsym}`);
+    }
+    const results = [];
+    for (const position of open) {
+      const netqty = Number(position.netqty);
+      results.push(
+        await this.#api.placeorder({
+          exch: position.exch,
+          tsym: position.tsym,
+          prd: position.prd,
+          trantype: netqty > 0 ? "S" : "B",
+          qty: Math.abs(netqty),
+          prctyp: "MKT",
+          prc: 0,
+          remarks: `trigger ${trigger.id}`,
+        })
+      );
+    }
+    return results;
+  }
+
+  async #close(trigger, status, event, fields = {}, now, ltp) {
+    Object.assign(trigger, fields, { status });
+    const detail = fields.result ?? fields.error;
+    const entry = await this.#audit(trigger, event, { ltp, detail }, now);
+    if (this.#onUpdateCallback) {
+      this.#onUpdateCallback({ ...trigger }, entry);
+    }
+  }
+
+  /**
+   * Appends audit entry
+   * @returns {Promise<AuditEntry>}
+   */
+  async #audit(trigger, event, fields = {}, now) {
+    const entry = {
+      time: (now || DateTime.now().setZone(timeZone)).toISO(),
+      id: trigger.id,
+      event,
+      ...fields,
+    };
+    if (this.#folderPath) {
+      await fs.promises.mkdir(this.#folderPath, { recursive: true });
+      await fs.promises.appendFile(this.#auditFile, `${JSON.stringify(entry)}\n`);
+    }
+    return entry;
+  }
+
+  /**
+   * Reads audit trail
+   * @returns {Promise<AuditEntry[]>}
+   */
+  async getAudit() {
+    if (!this.#folderPath) {
+      return [];
+    }
+    try {
+      const data = await fs.promises.readFile(this.#auditFile, "utf-8");
+      return data.split("\n").filter(Boolean).map((line) => JSON.parse(line));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Writes triggers atomically, concurrent saves are chained
+   */
+  #save() {
+    this.#dirty = false;
+    if (!this.#folderPath) {
+      return this.#saving;
+    }
+    this.#saving = this.#saving.catch(() => {}).then(async () => {
+      await fs.promises.mkdir(this.#folderPath, { recursive: true });
+      const tmpPath = `${this.#triggersFile}.tmp`;
+      await fs.promises.writeFile(tmpPath, JSON.stringify([...this.#triggers.values()], null, 2));
+      await fs.promises.rename(tmpPath, this.#triggersFile);
+    });
+    return this.#saving;
+  }
+
+  /**
+   * @param {DateTime} [time]
+   * @returns {DateTime}
+   */
+  static #toDateTime(time) {
+    return (time || DateTime.now()).setZone(timeZone);
+  }
+}
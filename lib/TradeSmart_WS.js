@@ -1,122 +1,427 @@
+import { EventEmitter } from "events";
 import { WebSocket } from "ws";
+import { QuoteCache } from "./TradeSmart_QuoteCache.js";
+import { isMarketOpen } from "./TradeSmart_Candles.js";
+import { backoffDelay } from "./TradeSmart_RateLimiter.js";
+import { createLogger, errorFields } from "./TradeSmart_Logger.js";
+import { AuthError, NetworkError, TimeoutError, TradeSmartError, ValidationError } from "./TradeSmart_Errors.js";
 
-export class TradeSmartWS {
+/**
+ * @typedef {Object} SessionToken
+ * @property {String} [uid] UserID, unchanged when not set
+ * @property {String} susertoken usertoken
+ */
+
+/**
+ * Returns token used for next reconnect. rejectedToken is set when last login failed with that token.
+ * @typedef {(details: {rejectedToken: String|null}) => Promise<SessionToken|String>|SessionToken|String} TokenProvider
+ */
+
+/**
+ * Websocket client of TradeSmart market data and order updates.
+ *
+ * Events
+ * - open : socket opened, login sent
+ * - authenticated (ck) : login acknowledged, subscriptions resent
+ * - tick (quote, data) : touchline tick, merged quote and raw message
+ * - depth (quote, data) : market depth tick, merged quote and raw message
+ * - order (om) : order update
+ * - reconnecting ({attempt, delay}) : reconnect scheduled
+ * - reconnected (ck) : login acknowledged after reconnect
+ * - stale ({key, feed, lastTick}) : no tick for subscription within staleTimeout during market hours, subscription is resent
+ * - close ({code, reason}) : socket closed
+ * - error (TradeSmartError) : socket, login or token refresh failure
+ */
+export class TradeSmartWS extends EventEmitter {
   /**
    * @type {WebSocket}
    */
   #socket = null;
-  #reconnectInterval = 10000;
-  #reconnectAttempts = 200;
+
+  /**
+   * @type {import("./TradeSmart_RateLimiter.js").RetryPolicy}
+   */
+  #reconnectPolicy = { retries: 200, baseDelay: 1000, maxDelay: 30000 };
   #currentReconnectAttempts = 0;
   #heartBeatInterval = null;
+  #reconnectTimer = null;
   #heartBeatDuration = 3000;
-  #debug = false;
+  #connectTimeout = 10000;
+  #connectTimer = null;
+  #livenessTimeout = 15000;
+  #staleTimeout = 60000;
+  #lastMessageAt = 0;
+
+  /**
+   * @type {(exchange: String) => Boolean}
+   */
+  #isMarketOpen = (exchange) => isMarketOpen(exchange);
+
+  /**
+   * Last tick time by "EXCH|TOKEN", clock starts on subscribe
+   * @type {Map<String, Number>}
+   */
+  #lastTicks = new Map();
+
+  /**
+   * @type {import("./TradeSmart_Logger.js").LibraryLogger}
+   */
+  #log = createLogger();
   #uid = "";
   #actid = "";
   #susertoken = "";
-  #socketConnecting = false;
+  #loggedIn = false;
+  #authenticatedBefore = false;
   #disconnectedManually = false;
   #webSocketURL = "wss://v2api.tradesmartonline.in/NorenWSTP/";
-  #onDataCallback;
-  #onOrderCallback;
+
+  /**
+   * @type {TokenProvider|null}
+   */
+  #tokenProvider = null;
+
+  /**
+   * Token refused by last login, handed to token provider
+   * @type {String|null}
+   */
+  #rejectedToken = null;
+
+  /**
+   * Connect in progress, resolved on login acknowledgement
+   * @type {{promise: Promise<void>, resolve: Function, reject: Function}|null}
+   */
+  #pendingConnect = null;
+
+  /**
+   * Listeners registered by onData / onOrder / onQuote, replaced on every call
+   * @type {Object<String, {events: String[], listener: Function}>}
+   */
+  #callbacks = {};
+  #quoteCache = new QuoteCache();
+  #subscriptionBatchSize = 50;
+
+  /**
+   * Active subscriptions by feed type with number of subscribe calls holding each key,
+   * resent after every (re)connect. t -> touchline, d -> market depth
+   * @type {{t: Map<String, Number>, d: Map<String, Number>}}
+   */
+  #subscriptions = { t: new Map(), d: new Map() };
+  #orderFeed = false;
 
   /**
    *
    * @param {String} uid UserID
    * @param {String} susertoken usertoken
+   * @param {Object} [options]
+   * @param {String} [options.url] Websocket url, defaults to TradeSmart NorenWSTP
+   * @param {TokenProvider} [options.tokenProvider] Called before every reconnect for a fresh token
+   * @param {import("./TradeSmart_RateLimiter.js").RetryPolicy} [options.reconnect] Reconnect attempts and exponential backoff with jitter, defaults to { retries: 200, baseDelay: 1000, maxDelay: 30000 }
+   * @param {Number} [options.connectTimeout=10000] Milliseconds to wait for login acknowledgement before the attempt is dropped
+   * @param {Number} [options.heartbeatInterval=3000] Milliseconds between heartbeat / ping and liveness checks
+   * @param {Number} [options.livenessTimeout=15000] Socket is dropped and reconnected when nothing, not even a pong, is received for this long
+   * @param {Number} [options.staleTimeout=60000] Subscription without ticks for this long during market hours emits stale and is resent, 0 disables
+   * @param {(exchange: String) => Boolean} [options.isMarketOpen] Market hours check for staleness, defaults to session timings on weekdays
+   * @param {import("./TradeSmart_Logger.js").Logger} [options.logger] Receives connection, reconnect and stale feed events with secrets redacted, silent when not set
    */
-  constructor(uid, susertoken) {
+  constructor(uid, susertoken, options = {}) {
+    super();
     this.#uid = uid;
     this.#actid = uid;
     this.#susertoken = susertoken;
+    this.#webSocketURL = options.url || this.#webSocketURL;
+    this.#tokenProvider = options.tokenProvider || null;
+    this.#reconnectPolicy = { ...this.#reconnectPolicy, ...options.reconnect };
+    this.#connectTimeout = options.connectTimeout ?? this.#connectTimeout;
+    this.#heartBeatDuration = options.heartbeatInterval ?? this.#heartBeatDuration;
+    this.#livenessTimeout = options.livenessTimeout ?? this.#livenessTimeout;
+    this.#staleTimeout = options.staleTimeout ?? this.#staleTimeout;
+    this.#isMarketOpen = options.isMarketOpen || this.#isMarketOpen;
+    this.#log = createLogger(options.logger);
   }
 
-  async connect() {
-    if (this.#socketConnecting) return;
-    this.#socketConnecting = true;
+  /**
+   * Replaces logger, null silences the socket
+   * @param {import("./TradeSmart_Logger.js").Logger|null} logger
+   */
+  setLogger(logger) {
+    this.#log = createLogger(logger);
+  }
+
+  /**
+   * Opens socket and logs in.
+   * Resolves once login is acknowledged, rejects with AuthError when login fails and NetworkError when socket fails.
+   * Socket reconnects by itself only after first successful login, a rejected first connect leaves nothing running.
+   * @returns {Promise<void>}
+   */
+  connect() {
     this.#disconnectedManually = false;
+    if (this.#reconnectTimer) {
+      clearTimeout(this.#reconnectTimer);
+      this.#reconnectTimer = null;
+    }
+    this.#currentReconnectAttempts = 0;
+    return this.#open();
+  }
 
-    return new Promise((resolve, reject) => {
-      try {
-        this.#socket = new WebSocket(this.#webSocketURL, { rejectUnauthorized: false });
+  #open() {
+    if (this.#pendingConnect) {
+      return this.#pendingConnect.promise;
+    }
+    const pending = {};
+    pending.promise = new Promise((resolve, reject) => {
+      pending.resolve = resolve;
+      pending.reject = reject;
+    });
+    this.#pendingConnect = pending;
 
-        this.#socket.onopen = () => {
-          this.#currentReconnectAttempts = 0; // Reset reconnect attempts on successful connection
-          this.#setHeartBeat();
+    try {
+      const socket = new WebSocket(this.#webSocketURL, { rejectUnauthorized: false });
+      this.#socket = socket;
+      this.#connectTimer = setTimeout(() => {
+        this.#connectTimer = null;
+        if (socket === this.#socket && !this.#loggedIn) {
+          const error = new TimeoutError(`WebSocket login not acknowledged in ${this.#connectTimeout}ms`, { route: this.#webSocketURL });
+          this.#emitError(error);
+          this.#settleConnect(error);
+          socket.terminate();
+        }
+      }, this.#connectTimeout);
 
-          const connectData = {
-            t: "c",
-            uid: this.#uid,
-            actid: this.#actid,
-            susertoken: this.#susertoken
-          };
+      socket.on("pong", () => {
+        this.#lastMessageAt = Date.now();
+      });
 
-          this.#socket.send(JSON.stringify(connectData));
-          console.log("websocket connected");
+      socket.onopen = () => {
+        this.#loggedIn = false;
+        this.#lastMessageAt = Date.now();
+        this.#setHeartBeat();
 
-          resolve();
+        const connectData = {
+          t: "c",
+          uid: this.#uid,
+          actid: this.#actid,
+          susertoken: this.#susertoken
         };
 
-        this.#socket.onerror = e => {
-          console.error("WebSocket Error:", e);
-          reject(e);
-        };
+        socket.send(JSON.stringify(connectData));
+        this.emit("open");
+      };
 
-        this.#socket.onclose = e => {
-          this.#clearHeartBeat();
-          console.log("WebSocket Closed");
-          if (this.#debug) {
-            console.log(e);
-          }
+      socket.onerror = e => {
+        if (socket !== this.#socket) {
+          return;
+        }
+        const error = new NetworkError(`WebSocket Error : ${e?.message}`, { route: this.#webSocketURL, cause: e?.error });
+        this.#emitError(error);
+        this.#settleConnect(error);
+      };
 
-          if (!this.#disconnectedManually) {
-            this.#attemptReconnect();
-          }
-        };
+      socket.onclose = e => {
+        // socket replaced by disconnect / connect, nothing to reconnect
+        if (socket !== this.#socket) {
+          return;
+        }
+        this.#clearHeartBeat();
+        this.#clearConnectTimer();
+        this.#loggedIn = false;
+        this.#settleConnect(
+          new NetworkError(`WebSocket closed before login : ${e?.code}`, { route: this.#webSocketURL })
+        );
+        this.#log.info("WebSocket closed", { route: this.#webSocketURL, code: e?.code, reason: String(e?.reason || "") });
+        this.emit("close", { code: e?.code, reason: String(e?.reason || "") });
 
-        this.#socket.onmessage = e => {
-          // @ts-ignore
-          const data = JSON.parse(e?.data);
+        // until first login succeeds failures are reported by the rejected connect, caller decides to retry
+        if (!this.#disconnectedManually && this.#authenticatedBefore) {
+          this.#attemptReconnect();
+        }
+      };
 
-          if (["tk", "tf", "df", "dk"].includes(data.t) && this.#onDataCallback !== null) {
-            this.#onDataCallback(data);
-          } else if (["om"].includes(data.t) && this.#onOrderCallback) {
-            this.#onOrderCallback(data);
-          } else if (this.#debug) {
-            console.log("Message Recived", data);
-          }
-        };
-      } catch (error) {
-        reject(error);
+      socket.onmessage = e => {
+        this.#lastMessageAt = Date.now();
+        // @ts-ignore
+        const data = JSON.parse(e?.data);
+
+        if (data.t === "ck") {
+          this.#handleLogin(socket, data);
+        } else if (["tk", "tf"].includes(data.t)) {
+          this.#lastTicks.set(`${data.e}|${data.tk}`, this.#lastMessageAt);
+          this.emit("tick", this.#quoteCache.update(data), data);
+        } else if (["dk", "df"].includes(data.t)) {
+          this.#lastTicks.set(`${data.e}|${data.tk}`, this.#lastMessageAt);
+          this.emit("depth", this.#quoteCache.update(data), data);
+        } else if (data.t === "om") {
+          this.emit("order", data);
+        } else {
+          this.#log.debug("WebSocket message", { route: this.#webSocketURL, t: data.t });
+        }
+      };
+    } catch (error) {
+      const networkError = new NetworkError(`WebSocket Error : ${error.message}`, { route: this.#webSocketURL, cause: error });
+      this.#settleConnect(networkError);
+    }
+    return pending.promise;
+  }
+
+  /**
+   * @param {WebSocket} socket
+   * @param {Object} data ck message
+   */
+  #handleLogin(socket, data) {
+    this.#clearConnectTimer();
+    if (String(data.s).toUpperCase() === "OK") {
+      this.#loggedIn = true;
+      this.#rejectedToken = null;
+      this.#currentReconnectAttempts = 0;
+      this.#resubscribe();
+      const reconnected = this.#authenticatedBefore;
+      this.#authenticatedBefore = true;
+      this.#settleConnect();
+      this.#log.info(reconnected ? "WebSocket reconnected" : "WebSocket connected", { route: this.#webSocketURL, uid: this.#uid });
+      this.emit("authenticated", data);
+      if (reconnected) {
+        this.emit("reconnected", data);
       }
-    }).finally(() => {
-      this.#socketConnecting = false;
-    });
+      return;
+    }
+
+    this.#rejectedToken = this.#susertoken;
+    const error = new AuthError(`WebSocket login failed : ${data.emsg || data.s}`, { route: this.#webSocketURL, emsg: data.emsg });
+    this.#emitError(error);
+    this.#settleConnect(error);
+    if (this.#authenticatedBefore && this.#tokenProvider) {
+      // token may have expired, next reconnect attempt fetches a fresh one
+      socket.close();
+    } else {
+      this.disconnect();
+    }
   }
 
-  #attemptReconnect() {
-    if (this.#currentReconnectAttempts < this.#reconnectAttempts) {
-      this.#currentReconnectAttempts++;
-      console.log(`Reconnect attempt ${this.#currentReconnectAttempts}...`);
-
-      setTimeout(() => {
-        this.connect().catch(err => {
-          console.error("Reconnect failed:", err);
-        });
-      }, this.#reconnectInterval);
+  /**
+   * Resolves or rejects pending connect
+   * @param {TradeSmartError} [error]
+   */
+  #settleConnect(error) {
+    const pending = this.#pendingConnect;
+    if (!pending) {
+      return;
+    }
+    this.#pendingConnect = null;
+    if (error) {
+      pending.reject(error);
     } else {
-      console.error("Max reconnect attempts reached. Unable to reconnect.");
+      pending.resolve();
     }
   }
 
+  /**
+   * Logs error and emits it when somebody listens, an unhandled error event would crash the process
+   * @param {TradeSmartError} error
+   */
+  #emitError(error) {
+    this.#log.error("WebSocket error", { route: this.#webSocketURL, ...errorFields(error) });
+    if (this.listenerCount("error")) {
+      this.emit("error", error);
+    }
+  }
+
+  #clearConnectTimer() {
+    if (this.#connectTimer) {
+      clearTimeout(this.#connectTimer);
+      this.#connectTimer = null;
+    }
+  }
+
+  /**
+   * Schedules next reconnect attempt, only one attempt is scheduled at a time
+   */
+  #attemptReconnect() {
+    if (this.#reconnectTimer || this.#disconnectedManually) {
+      return;
+    }
+    const { retries } = this.#reconnectPolicy;
+    if (this.#currentReconnectAttempts >= retries) {
+      this.#emitError(
+        new NetworkError(`Max reconnect attempts ${retries} reached`, { route: this.#webSocketURL, retryable: false })
+      );
+      return;
+    }
+
+    const delay = Math.round(backoffDelay(this.#currentReconnectAttempts, this.#reconnectPolicy));
+    this.#currentReconnectAttempts++;
+    this.#log.warn("WebSocket reconnecting", { route: this.#webSocketURL, attempt: this.#currentReconnectAttempts, delay });
+    this.emit("reconnecting", { attempt: this.#currentReconnectAttempts, delay });
+
+    this.#reconnectTimer = setTimeout(async () => {
+      if (this.#tokenProvider) {
+        try {
+          const session = await this.#tokenProvider({ rejectedToken: this.#rejectedToken });
+          if (typeof session === "string") {
+            this.setSessionDetails(this.#uid, session);
+          } else if (session?.susertoken) {
+            this.setSessionDetails(session.uid || this.#uid, session.susertoken);
+          }
+        } catch (error) {
+          this.#reconnectTimer = null;
+          this.#emitError(TradeSmartError.from(error, { route: this.#webSocketURL }));
+          this.#attemptReconnect();
+          return;
+        }
+      }
+      this.#reconnectTimer = null;
+      if (!this.#disconnectedManually) {
+        // failures are emitted as error, close of failed socket schedules next attempt
+        this.#open().catch(() => {});
+      }
+    }, delay);
+  }
+
+  /**
+   * Sends heartbeat and ping, drops socket when nothing was received within liveness timeout
+   * and resends subscriptions without ticks within stale timeout during market hours
+   */
   #setHeartBeat() {
+    this.#clearHeartBeat();
     this.#heartBeatInterval = setInterval(() => {
-      if (this.#socket && this.#socket.readyState === WebSocket.OPEN) {
-        this.#socket.send(JSON.stringify({ t: "h" }));
+      if (!this.#isOpen()) {
+        return;
+      }
+      const now = Date.now();
+      if (this.#livenessTimeout && now - this.#lastMessageAt > this.#livenessTimeout) {
+        this.#emitError(
+          new NetworkError(`No data received for ${now - this.#lastMessageAt}ms, reconnecting`, { route: this.#webSocketURL })
+        );
+        this.#socket.terminate();
+        return;
+      }
+      this.#socket.send(JSON.stringify({ t: "h" }));
+      this.#socket.ping();
+      if (this.#loggedIn) {
+        this.#checkStale(now);
       }
     }, this.#heartBeatDuration);
   }
 
+  /**
+   * @param {Number} now epoch milliseconds
+   */
+  #checkStale(now) {
+    if (!this.#staleTimeout) {
+      return;
+    }
+    ["t", "d"].forEach((feed) => {
+      const stale = [...this.#subscriptions[feed].keys()].filter((key) => {
+        const lastTick = this.#lastTicks.get(key) ?? now;
+        return now - lastTick > this.#staleTimeout && this.#isMarketOpen(key.split("|")[0]);
+      });
+      stale.forEach((key) => {
+        this.#log.warn("Stale subscription, resubscribing", { route: this.#webSocketURL, key, feed, lastTick: this.#lastTicks.get(key) });
+        this.emit("stale", { key, feed, lastTick: this.#lastTicks.get(key) });
+        this.#lastTicks.set(key, now);
+      });
+      this.#sendKeys(feed, stale);
+    });
+  }
+
   #clearHeartBeat() {
     if (this.#heartBeatInterval) {
       clearInterval(this.#heartBeatInterval);
@@ -125,52 +430,241 @@ export class TradeSmartWS {
   }
 
   /**
-   *
+   * Replaces token provider called before every reconnect, null removes it
+   * @param {TokenProvider|null} tokenProvider
+   */
+  setTokenProvider(tokenProvider) {
+    this.#tokenProvider = tokenProvider || null;
+  }
+
+  /**
+   * Updates session used for login on next connect / reconnect
+   * @param {String} uid UserID
+   * @param {String} susertoken usertoken
+   */
+  setSessionDetails(uid, susertoken) {
+    this.#uid = uid;
+    this.#actid = uid;
+    this.#susertoken = susertoken;
+  }
+
+  /**
+   * Replaces listener registered by previous call of same method
+   * @param {String} name
+   * @param {String[]} events
+   * @param {Function} listener
+   */
+  #setCallback(name, events, listener) {
+    const previous = this.#callbacks[name];
+    if (previous) {
+      previous.events.forEach(event => this.off(event, previous.listener));
+    }
+    events.forEach(event => this.on(event, listener));
+    this.#callbacks[name] = { events, listener };
+  }
+
+  /**
+   * Callback receives raw tick and depth messages, replaces previous onData callback.
+   * Prefer on("tick") / on("depth") for multiple listeners.
    * @param {Function} callback
    */
   onData(callback) {
-    this.#onDataCallback = callback;
+    this.#setCallback("data", ["tick", "depth"], (quote, data) => callback(data));
   }
 
   /**
-   *
+   * Callback receives order updates, replaces previous onOrder callback.
+   * Prefer on("order") for multiple listeners.
    * @param {Function} callback
    */
   onOrder(callback) {
-    this.#onOrderCallback = callback;
+    this.#setCallback("order", ["order"], callback);
+  }
+
+  /**
+   * Callback receives full merged quote with numeric fields on every tick, replaces previous onQuote callback.
+   * Prefer on("tick") / on("depth") for multiple listeners.
+   * @param {(quote: import("./TradeSmart_QuoteCache.js").Quote) => void} callback
+   */
+  onQuote(callback) {
+    this.#setCallback("quote", ["tick", "depth"], quote => callback(quote));
+  }
+
+  /**
+   * Returns last merged quote for instrument
+   * @param {String} exch Exchange
+   * @param {String} token Token
+   * @returns {import("./TradeSmart_QuoteCache.js").Quote|null}
+   */
+  getQuote(exch, token) {
+    return this.#quoteCache.get(exch, token);
   }
 
   disconnect() {
+    this.#disconnectedManually = true;
+    this.#authenticatedBefore = false;
+    if (this.#reconnectTimer) {
+      clearTimeout(this.#reconnectTimer);
+      this.#reconnectTimer = null;
+    }
     if (this.#socket) {
-      this.#disconnectedManually = true;
+      const socket = this.#socket;
+      this.#loggedIn = false;
       this.#clearHeartBeat();
-      this.#socket.close();
+      this.#clearConnectTimer();
       this.#socket = null;
+      socket.close();
+      this.#settleConnect(new NetworkError("WebSocket disconnected", { route: this.#webSocketURL }));
+      this.emit("close", { code: 1000, reason: "disconnect" });
     }
   }
 
+  #isOpen() {
+    return this.#socket && this.#socket.readyState === WebSocket.OPEN;
+  }
+
   /**
-   *
-   * @param {import("./TradeSmart_Instruments").Instrument[]} instruments
+   * Sends message once login is acknowledged, earlier messages are covered by #resubscribe
+   * @param {Object} data
    */
-  async subscribe(instruments = []) {
-    if (!this.#socket || this.#socket.readyState !== WebSocket.OPEN) {
-      throw new Error("WebSocket is not connected.");
+  #send(data) {
+    if (this.#loggedIn && this.#isOpen()) {
+      this.#socket.send(JSON.stringify(data));
     }
+  }
 
+  /**
+   * Converts instruments to "EXCH|TOKEN" keys
+   * @param {import("./TradeSmart_Instruments").Instrument[]} instruments
+   * @returns {String[]}
+   */
+  #toKeys(instruments = []) {
     if (!instruments || !instruments.length) {
-      throw new Error("instruments invalid");
+      throw new ValidationError("instruments invalid");
+    }
+    return instruments.map(i => `${i.Exchange}|${i.Token}`);
+  }
+
+  /**
+   * Sends keys in batches so large token lists stay within message limits
+   * @param {String} t Message type t / u / d / ud
+   * @param {String[]} keys
+   */
+  #sendKeys(t, keys = []) {
+    for (let i = 0; i < keys.length; i += this.#subscriptionBatchSize) {
+      const k = keys.slice(i, i + this.#subscriptionBatchSize).join("#");
+      this.#send({ t, k });
+    }
+  }
+
+  /**
+   * Resends all tracked subscriptions, called after every successful login
+   */
+  #resubscribe() {
+    const now = Date.now();
+    [...this.#subscriptions.t.keys(), ...this.#subscriptions.d.keys()].forEach((key) => this.#lastTicks.set(key, now));
+    this.#sendKeys("t", [...this.#subscriptions.t.keys()]);
+    this.#sendKeys("d", [...this.#subscriptions.d.keys()]);
+    if (this.#orderFeed) {
+      this.#send({ t: "o", actid: this.#actid });
     }
+  }
 
-    const subString = instruments
-      .map(i => {
-        return `${i.Exchange}|${i.Token}`;
-      })
-      .join("#");
+  /**
+   * Counts subscribe call for every key, only keys not held before are sent
+   */
+  #addSubscriptions(feed, instruments) {
+    const subscriptions = this.#subscriptions[feed];
+    const keys = [...new Set(this.#toKeys(instruments))].filter(k => {
+      const count = subscriptions.get(k) || 0;
+      subscriptions.set(k, count + 1);
+      return count === 0;
+    });
+    const now = Date.now();
+    keys.forEach(k => this.#lastTicks.set(k, now));
+    this.#sendKeys(feed, keys);
+  }
 
-    // console.log("subString", subString);
+  /**
+   * Releases one subscribe call for every key, keys are unsubscribed once nobody holds them
+   */
+  #removeSubscriptions(feed, instruments) {
+    const subscriptions = this.#subscriptions[feed];
+    const keys = [...new Set(this.#toKeys(instruments))].filter(k => {
+      const count = subscriptions.get(k) || 0;
+      if (count > 1) {
+        subscriptions.set(k, count - 1);
+        return false;
+      }
+      return subscriptions.delete(k);
+    });
+    keys.forEach(k => {
+      if (!this.#subscriptions.t.has(k) && !this.#subscriptions.d.has(k)) {
+        this.#lastTicks.delete(k);
+      }
+    });
+    this.#sendKeys(feed === "t" ? "u" : "ud", keys);
+  }
 
-    const subscribeData = { t: "t", k: subString };
-    this.#socket.send(JSON.stringify(subscribeData));
+  /**
+   * Subscribe touchline feed. Subscriptions are tracked and resent after reconnect,
+   * if socket is not connected yet they are sent once login is acknowledged.
+   * Socket is shared, every subscribe should be paired with one unsubscribe of the same instruments.
+   * @param {import("./TradeSmart_Instruments").Instrument[]} instruments
+   */
+  async subscribe(instruments = []) {
+    this.#addSubscriptions("t", instruments);
+  }
+
+  /**
+   * Unsubscribe touchline feed, instruments still held by another subscribe call stay subscribed
+   * @param {import("./TradeSmart_Instruments").Instrument[]} instruments
+   */
+  async unsubscribe(instruments = []) {
+    this.#removeSubscriptions("t", instruments);
+  }
+
+  /**
+   * Subscribe market depth feed
+   * @param {import("./TradeSmart_Instruments").Instrument[]} instruments
+   */
+  async subscribeDepth(instruments = []) {
+    this.#addSubscriptions("d", instruments);
+  }
+
+  /**
+   * Unsubscribe market depth feed, instruments still held by another subscribe call stay subscribed
+   * @param {import("./TradeSmart_Instruments").Instrument[]} instruments
+   */
+  async unsubscribeDepth(instruments = []) {
+    this.#removeSubscriptions("d", instruments);
+  }
+
+  /**
+   * Subscribe order updates for the account
+   */
+  async subscribeOrders() {
+    this.#orderFeed = true;
+    this.#send({ t: "o", actid: this.#actid });
+  }
+
+  /**
+   * Unsubscribe order updates for the account
+   */
+  async unsubscribeOrders() {
+    this.#orderFeed = false;
+    this.#send({ t: "uo" });
+  }
+
+  /**
+   * Returns active subscriptions by feed type
+   * @returns {{touchline: String[], depth: String[], orders: Boolean}}
+   */
+  getSubscriptions() {
+    return {
+      touchline: [...this.#subscriptions.t.keys()],
+      depth: [...this.#subscriptions.d.keys()],
+      orders: this.#orderFeed
+    };
   }
 }
@@ -1,3 +1,21 @@
 export * from "./TradeSmart_API.js";
 export * from "./TradeSmart_WS.js";
 export * from "./TradeSmart_Instruments.js";
+export * from "./TradeSmart_QuoteCache.js";
+export * from "./TradeSmart_Candles.js";
+export * from "./TradeSmart_Session.js";
+export * from "./TradeSmart_Errors.js";
+export * from "./TradeSmart_Logger.js";
+export * from "./TradeSmart_RateLimiter.js";
+export * from "./TradeSmart_Paper.js";
+export * from "./TradeSmart_InstrumentStore.js";
+export * from "./TradeSmart_OptionChain.js";
+export * from "./TradeSmart_Greeks.js";
+export * from "./TradeSmart_History.js";
+export * from "./TradeSmart_OrderTracker.js";
+export * from "./TradeSmart_Risk.js";
+export * from "./TradeSmart_Slicer.js";
+export * from "./TradeSmart_Basket.js";
+export * from "./TradeSmart_Triggers.js";
+export * from "./TradeSmart_Portfolio.js";
+export * from "./TradeSmart_Accounts.js";
@@ -0,0 +1,441 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "crypto";
+import { inspect } from "util";
+import {
+  AuthError,
+  NetworkError,
+  OrderRejectedError,
+  RiskLimitError,
+  RiskManager,
+  TimeoutError,
+  TradeSmartAPI,
+  ValidationError,
+} from "../lib/index.js";
+import { MockNorenServer } from "../lib/TradeSmart_MockServer.js";
+
+const sha256 = (value) => createHash("sha256").update(value).digest("hex");
+
+describe("TradeSmartAPI", () => {
+  const server = new MockNorenServer();
+
+  /**
+   * @type {TradeSmartAPI}
+   */
+  let api;
+
+  const createClient = (options = {}) =>
+    new TradeSmartAPI("FA0001", "secret", "VC", "apikey", "JBSWY3DPEHPK3PXP", {
+      baseURL: server.baseURL,
+      sessionStore: null,
+      retry: { baseDelay: 1, maxDelay: 5 },
+      ...options,
+    });
+
+  before(() => server.start());
+  after(() => server.stop());
+
+  beforeEach(async () => {
+    server.reset();
+    api = createClient();
+    await api.login();
+    server.requests = [];
+  });
+
+  it("logs in with hashed password and app key", async () => {
+    const resp = await createClient().login();
+    const { jData, jKey } = server.requests[0];
+
+    assert.equal(resp.stat, "Ok");
+    assert.equal(jKey, "");
+    assert.equal(jData.uid, "FA0001");
+    assert.equal(jData.pwd, sha256("secret"));
+    assert.equal(jData.appkey, sha256("FA0001|apikey"));
+    assert.match(jData.factor2, /^\d{6}$/);
+  });
+
+  it("reuses fresh stored session and logs in again when forced", async () => {
+    const saved = [];
+    const sessionStore = {
+      load: async (uid) => ({ uid, actid: uid, susertoken: server.createSession(), loginTime: new Date().toISOString() }),
+      save: async (session) => saved.push(session),
+      clear: async () => {},
+    };
+    const client = createClient({ sessionStore });
+
+    assert.equal((await client.login()).uid, "FA0001");
+    await client.getLimits();
+    assert.deepEqual(server.requests.map((r) => r.route), ["/Limits"]);
+
+    await client.login(true);
+    assert.equal(server.requests[1].route, "/QuickAuth");
+    assert.equal(saved.length, 1);
+    assert.equal(saved[0].susertoken, client.getSessionDetails().susertoken);
+  });
+
+  it("places order with optional fields as strings", async () => {
+    const resp = await api.placeorder({
+      exch: "NSE",
+      tsym: "ACC-EQ",
+      qty: 10,
+      prc: 2000,
+      trgprc: 1990,
+      prd: "I",
+      trantype: "B",
+      prctyp: "SL-LMT",
+      remarks: "test",
+    });
+    const { route, jData, jKey } = server.requests[0];
+
+    assert.ok(resp.norenordno);
+    assert.equal(route, "/PlaceOrder");
+    assert.equal(jKey, api.getSessionDetails().susertoken);
+    assert.equal(jData.qty, "10");
+    assert.equal(jData.trgprc, "1990");
+    assert.equal(jData.remarks, "test");
+    assert.equal(jData.blprc, undefined);
+  });
+
+  it("rejects invalid order locally", async () => {
+    await assert.rejects(
+      api.placeorder({ exch: "NSE", tsym: "ACC-EQ", qty: 1, prd: "I", trantype: "B", prctyp: "SL-MKT" }),
+      (error) => {
+        assert.ok(error instanceof ValidationError);
+        assert.equal(error.route, "/PlaceOrder");
+        assert.equal(error.payload.prctyp, "SL-MKT");
+        return true;
+      }
+    );
+    await assert.rejects(
+      api.modifyOrder({ norenordno: "1", exch: "NSE", tsym: "ACC-EQ", qty: 1, prctyp: "SL-LMT", prc: 10 }),
+      (error) => {
+        assert.ok(error instanceof ValidationError);
+        assert.equal(error.route, "/ModifyOrder");
+        return true;
+      }
+    );
+    assert.equal(server.requests.length, 0);
+  });
+
+  it("modifies, cancels and exits orders", async () => {
+    await api.modifyOrder({ norenordno: "1", exch: "NSE", tsym: "ACC-EQ", qty: 5, prctyp: "LMT", prc: 10 });
+    await api.cancelOrder("1");
+    await api.exitOrder("2", "B");
+
+    assert.deepEqual(
+      server.requests.map((r) => [r.route, r.jData.norenordno]),
+      [
+        ["/ModifyOrder", "1"],
+        ["/CancelOrder", "1"],
+        ["/ExitSNOOrder", "2"],
+      ]
+    );
+  });
+
+  it("checks modifications against risk limits of the original order", async () => {
+    api = createClient({ risk: new RiskManager({ limits: { maxQty: 10 } }) });
+    await api.login();
+    server.setResponse("/OrderBook", [
+      { stat: "Ok", norenordno: "1", exch: "NSE", tsym: "ACC-EQ", trantype: "B", prd: "I", status: "OPEN" },
+    ]);
+    server.requests = [];
+    const modify = (params) => api.modifyOrder({ exch: "NSE", tsym: "ACC-EQ", prctyp: "LMT", prc: 10, ...params });
+
+    await assert.rejects(modify({ norenordno: "1", qty: 20 }), RiskLimitError);
+    await assert.rejects(modify({ norenordno: "2", qty: 5 }), /Order 2 not found/);
+    await modify({ norenordno: "1", qty: 5 });
+
+    assert.deepEqual(
+      server.requests.map((r) => r.route),
+      ["/OrderBook", "/OrderBook", "/OrderBook", "/ModifyOrder"]
+    );
+  });
+
+  it("throws OrderRejectedError with redacted payload on Not_Ok", async () => {
+    server.queueResponse("/PlaceOrder", { stat: "Not_Ok", emsg: "RMS:Margin Exceeds" });
+
+    const error = await api
+      .placeorder({ exch: "NSE", tsym: "ACC-EQ", qty: 1, prd: "I", trantype: "B", prctyp: "MKT" })
+      .catch((e) => e);
+
+    assert.ok(error instanceof OrderRejectedError);
+    assert.equal(error.route, "/PlaceOrder");
+    assert.equal(error.emsg, "RMS:Margin Exceeds");
+    assert.equal(error.retryable, false);
+    assert.equal(error.payload.tsym, "ACC-EQ");
+  });
+
+  it("re-logins once and retries request when session expires", async () => {
+    server.setResponse("/OrderBook", [{ norenordno: "1", status: "OPEN" }]);
+    const oldToken = api.getSessionDetails().susertoken;
+    server.expireSessions();
+
+    const orders = await api.getOrderBook();
+
+    assert.equal(orders[0].norenordno, "1");
+    assert.deepEqual(
+      server.requests.map((r) => r.route),
+      ["/OrderBook", "/QuickAuth", "/OrderBook"]
+    );
+    assert.notEqual(api.getSessionDetails().susertoken, oldToken);
+  });
+
+  it("shares one re-login between concurrent expired requests and retries through the queue", async () => {
+    server.setResponse("/OrderBook", [{ norenordno: "1", status: "OPEN" }]);
+    server.expireSessions();
+
+    await Promise.all([api.getOrderBook(), api.getOrderBook(), api.getLimits()]);
+
+    assert.equal(server.requests.filter((r) => r.route === "/QuickAuth").length, 1);
+    assert.equal(api.getRequestStats().routes["/OrderBook"].count, 4);
+  });
+
+  it("throws AuthError when re-login fails", async () => {
+    server.expireSessions();
+    server.setResponse("/QuickAuth", { stat: "Not_Ok", emsg: "Invalid OTP" });
+
+    await assert.rejects(api.getLimits(), AuthError);
+  });
+
+  it("retries idempotent reads on transient failures", async () => {
+    server.injectError("/PositionBook", { status: 503, times: 2 });
+    server.setResponse("/PositionBook", [{ tsym: "ACC-EQ", netqty: "1" }]);
+
+    const positions = await api.getPositionBook();
+
+    assert.equal(positions[0].tsym, "ACC-EQ");
+    assert.equal(server.requests.length, 3);
+  });
+
+  it("never retries order placement", async () => {
+    server.injectError("/PlaceOrder", { drop: true });
+
+    await assert.rejects(
+      api.placeorder({ exch: "NSE", tsym: "ACC-EQ", qty: 1, prd: "I", trantype: "B", prctyp: "MKT" }),
+      NetworkError
+    );
+    assert.equal(server.requests.length, 1);
+  });
+
+  it("keeps session token and credentials out of thrown errors", async () => {
+    const { susertoken } = await api.login();
+    server.injectError("/PlaceOrder", { status: 500 });
+
+    const error = await api
+      .placeorder({ exch: "NSE", tsym: "ACC-EQ", qty: 1, prd: "I", trantype: "B", prctyp: "MKT" })
+      .catch((e) => e);
+    const text = inspect(error, { depth: null });
+
+    assert.equal(error.status, 500);
+    assert.equal(error.cause.message, "Request failed with status code 500");
+    assert.ok(!text.includes(susertoken));
+    assert.ok(!text.includes("jKey="));
+
+    server.injectError("/QuickAuth", { status: 500 });
+    const loginError = await createClient().login().catch((e) => e);
+    const loginText = inspect(loginError, { depth: null });
+    assert.ok(!loginText.includes(sha256("secret")));
+    assert.ok(!loginText.includes(sha256("FA0001|apikey")));
+  });
+
+  it("throws TimeoutError when response is late", async () => {
+    api = createClient({ timeout: 50, retry: { retries: 0 } });
+    await api.login();
+    server.injectError("/Limits", { delay: 200 });
+
+    await assert.rejects(api.getLimits(), TimeoutError);
+  });
+
+  it("returns null for no data", async () => {
+    assert.equal(await api.getOrderBook(), null);
+  });
+
+  it("parses candle data", async () => {
+    server.setResponse("/TPSeries", [
+      {
+        stat: "Ok",
+        time: "12-08-2025 09:16:00",
+        into: "100.5",
+        inth: "101",
+        intl: "100",
+        intc: "100.75",
+        intv: "1200",
+        v: "5000",
+        oi: "0",
+        intoi: "0",
+        intvwap: "100.6",
+      },
+    ]);
+
+    const candles = await api.getCandleData({
+      exchange: "NSE",
+      token: "22",
+      starttime: "2025-08-12 09:15:00",
+      endtime: "2025-08-12 09:30:00",
+      interval: "1",
+    });
+
+    assert.equal(server.requests[0].jData.intrv, "1");
+    assert.equal(server.requests[0].jData.st, "1754970300");
+    assert.deepEqual(candles[0], {
+      time: "12-08-2025 09:16:00",
+      open: 100.5,
+      high: 101,
+      low: 100,
+      close: 100.75,
+      volume: 1200,
+      tvolume: 5000,
+      oi: 0,
+      coi: 0,
+      vwap: 100.6,
+    });
+  });
+
+  it("returns empty candles when there is no data", async () => {
+    const candles = await api.getCandleData({
+      exchange: "NSE",
+      token: "22",
+      starttime: "2025-08-12 09:15:00",
+      endtime: "2025-08-12 09:30:00",
+      interval: "1",
+    });
+
+    assert.deepEqual(candles, []);
+  });
+
+  it("returns parsed quote snapshot", async () => {
+    server.setResponse("/GetQuotes", {
+      stat: "Ok",
+      exch: "NSE",
+      tsym: "ACC-EQ",
+      token: "22",
+      lp: "2000.50",
+      v: "12000",
+      bp1: "2000.45",
+      ls: "1",
+      ti: "0.10",
+      wk52_h: "2800.00",
+    });
+
+    const quote = await api.getQuotes("NSE", "22");
+
+    assert.equal(server.requests[0].jData.token, "22");
+    assert.equal(quote.lp, 2000.5);
+    assert.equal(quote.v, 12000);
+    assert.equal(quote.bp1, 2000.45);
+    assert.equal(quote.ti, 0.1);
+    assert.equal(quote.wk52_h, 2800);
+    assert.equal(quote.tsym, "ACC-EQ");
+    await assert.rejects(api.getQuotes("NSE"), ValidationError);
+  });
+
+  it("searches scrips and reads security info", async () => {
+    server.setResponse("/SearchScrip", {
+      stat: "Ok",
+      values: [{ exch: "NSE", token: "22", tsym: "ACC-EQ", ls: "1", ti: "0.10", pp: "2" }],
+    });
+    server.setResponse("/GetSecurityInfo", {
+      stat: "Ok",
+      exch: "NFO",
+      tsym: "NIFTY28AUG25F",
+      frzqty: "1801",
+      ls: "75",
+      uc: "26000.00",
+      lc: "23000.00",
+      varmrg: "12.50",
+    });
+
+    const [scrip] = await api.searchScrip("NSE", "ACC");
+    const info = await api.getSecurityInfo("NFO", "53001");
+
+    assert.deepEqual([scrip.tsym, scrip.ls, scrip.ti], ["ACC-EQ", 1, 0.1]);
+    assert.deepEqual([info.frzqty, info.ls, info.uc, info.lc, info.varmrg], [1801, 75, 26000, 23000, 12.5]);
+    server.queueResponse("/SearchScrip", { stat: "Not_Ok", emsg: 'Error Occurred : 5 "no data"' });
+    assert.deepEqual(await api.searchScrip("NSE", "XYZ"), []);
+  });
+
+  it("parses daily bars sorted by date", async () => {
+    server.setResponse("/EODChartData", [
+      '{"time":"12-AUG-2025","into":"101","inth":"105","intl":"100","intc":"104","intv":"5000","ssboe":"1754937000"}',
+      '{"time":"11-AUG-2025","into":"99","inth":"102","intl":"98","intc":"101","intv":"4000","ssboe":"1754850600"}',
+    ]);
+
+    const bars = await api.getDailyCandleData({
+      exchange: "NSE",
+      tsym: "ACC-EQ",
+      from: Date.UTC(2025, 7, 1),
+      to: Date.UTC(2025, 7, 12),
+    });
+
+    assert.deepEqual(server.requests[0].jData, { sym: "NSE:ACC-EQ", from: "1754006400", to: "1754956800" });
+    assert.deepEqual(bars.map((b) => [b.time, b.close, b.volume]), [
+      ["11-AUG-2025", 101, 4000],
+      ["12-AUG-2025", 104, 5000],
+    ]);
+
+    server.requests = [];
+    await api.getDailyCandleData({ exchange: "NSE", tsym: "ACC-EQ", from: "2025-08-01", to: "2025-08-12 15:30:00" });
+    assert.deepEqual(server.requests[0].jData, { sym: "NSE:ACC-EQ", from: "1753986600", to: "1754992800" });
+    await assert.rejects(
+      api.getDailyCandleData({ exchange: "NSE", tsym: "ACC-EQ", from: "01/08/2025", to: Date.now() }),
+      (error) => error instanceof ValidationError && error.route === "/EODChartData"
+    );
+  });
+
+  it("returns option chain, index list and user details", async () => {
+    server.setResponse("/GetOptionChain", {
+      stat: "Ok",
+      values: [
+        { exch: "NFO", token: "2", tsym: "NIFTY28AUG25P24500", optt: "PE", strprc: "24500.00", ls: "75" },
+        { exch: "NFO", token: "1", tsym: "NIFTY28AUG25C24500", optt: "CE", strprc: "24500.00", ls: "75" },
+        { exch: "NFO", token: "3", tsym: "NIFTY28AUG25C24450", optt: "CE", strprc: "24450.00", ls: "75" },
+        { exch: "NFO", token: "4", tsym: "NIFTY28AUG25F", strprc: "24600.00", ls: "75" },
+        { exch: "NFO", token: "5", tsym: "NIFTY28AUG25C24600", optt: "CE", strprc: "24600.00", ls: "75" },
+      ],
+    });
+    server.setResponse("/GetIndexList", { stat: "Ok", values: [{ idxname: "NIFTY INDEX", token: "26000" }] });
+    server.setResponse("/UserDetails", { stat: "Ok", uname: "TEST", exarr: ["NSE", "NFO"] });
+
+    const chain = await api.getOptionChain({ exch: "NFO", tsym: "NIFTY28AUG25C24500", strprc: 24500, cnt: 1 });
+
+    assert.deepEqual(chain.map((c) => c.token), ["3", "1", "2", "4", "5"]);
+    assert.equal(chain[0].strprc, 24450);
+    assert.equal(server.requests[0].jData.cnt, "1");
+    assert.equal((await api.getIndexList("NSE"))[0].token, "26000");
+    assert.equal((await api.getUserDetails()).uname, "TEST");
+  });
+
+  it("reports queue stats by route", async () => {
+    await api.getLimits();
+
+    const stats = api.getRequestStats();
+    assert.equal(stats.depth, 0);
+    assert.equal(stats.routes["/Limits"].count, 1);
+  });
+
+  it("logs requests to supplied logger with secrets redacted", async () => {
+    const entries = [];
+    const logger = Object.fromEntries(
+      ["debug", "info", "warn", "error"].map((level) => [level, (entry) => entries.push({ level, ...entry })])
+    );
+    const client = createClient({ logger });
+    await client.login();
+    const { norenordno } = await client.placeorder({ exch: "NSE", tsym: "ACC-EQ", qty: 1, prd: "I", trantype: "B", prctyp: "MKT" });
+    server.queueResponse("/CancelOrder", { stat: "Not_Ok", emsg: "Order not open" });
+    await client.cancelOrder(norenordno).catch(() => {});
+
+    const login = entries.find((e) => e.route === "/QuickAuth" && e.payload);
+    assert.equal(login.payload.pwd, "***");
+    assert.equal(login.payload.factor2, "***");
+    assert.equal(login.payload.appkey, "***");
+    assert.ok(!JSON.stringify(entries).includes(client.getSessionDetails().susertoken));
+
+    const placed = entries.find((e) => e.level === "info" && e.route === "/PlaceOrder");
+    assert.equal(placed.norenordno, norenordno);
+    assert.equal(placed.status, 200);
+    assert.equal(typeof placed.latency, "number");
+
+    const failed = entries.find((e) => e.level === "error");
+    assert.deepEqual([failed.route, failed.norenordno, failed.error], ["/CancelOrder", norenordno, "OrderRejectedError"]);
+  });
+});
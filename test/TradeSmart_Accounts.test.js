@@ -0,0 +1,179 @@
+import { describe, it, before, after, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { AccountManager, InstrumentStore, TimeoutError, ValidationError } from "../lib/index.js";
+import { MockNorenServer } from "../lib/TradeSmart_MockServer.js";
+
+const store = new InstrumentStore().loadRows("NFO", [
+  {
+    Exchange: "NFO",
+    Token: "35001",
+    LotSize: "75",
+    Symbol: "NIFTY",
+    TradingSymbol: "NIFTY28AUG25F",
+    Instrument: "FUTIDX",
+    Expiry: "28-AUG-2025",
+    TickSize: "0.05",
+  },
+]);
+const account = (uid, fields = {}) => ({
+  uid,
+  pwd: "secret",
+  vc: "VC",
+  apikey: "apikey",
+  totpkey: "JBSWY3DPEHPK3PXP",
+  ...fields,
+});
+const order = {
+  exch: "NFO",
+  tsym: "NIFTY28AUG25F",
+  prd: "M",
+  trantype: "B",
+  qty: 300,
+  prctyp: "MKT",
+};
+
+describe("AccountManager", () => {
+  const server = new MockNorenServer();
+  let folderPath;
+
+  /**
+   * @type {AccountManager}
+   */
+  let manager;
+
+  before(() => server.start());
+  after(() => server.stop());
+
+  beforeEach(async () => {
+    server.reset();
+    folderPath = fs.mkdtempSync(path.join(os.tmpdir(), "accounts-"));
+    const filePath = path.join(folderPath, "accounts.json");
+    fs.writeFileSync(
+      filePath,
+      JSON.stringify({
+        accounts: [
+          account("FA0001", { id: "main", master: true }),
+          account("FA0002", { multiplier: 0.5 }),
+          account("FA0003", { lots: 1 }),
+          account("FA0004", { enabled: false }),
+        ],
+      })
+    );
+    manager = await AccountManager.fromFile(filePath, {
+      store,
+      apiOptions: { baseURL: server.baseURL, sessionStore: null, retry: { baseDelay: 1, maxDelay: 5 } },
+      wsOptions: { url: server.wsURL },
+    });
+  });
+
+  afterEach(() => {
+    manager.disconnect();
+    fs.rmSync(folderPath, { recursive: true, force: true });
+  });
+
+  it("logs in enabled accounts", async () => {
+    server.injectError("/QuickAuth", { body: { stat: "Not_Ok", emsg: "Invalid Input : Wrong Password" }, times: 1 });
+    const results = await manager.loginAll();
+
+    assert.deepEqual(results.map((r) => [r.id, r.ok]), [
+      ["main", false],
+      ["FA0002", true],
+      ["FA0003", true],
+    ]);
+    assert.match(results[0].error, /Wrong Password/);
+    assert.deepEqual(
+      manager.getAccounts().map((a) => [a.id, a.loggedIn, a.enabled]),
+      [
+        ["main", false, true],
+        ["FA0002", true, true],
+        ["FA0003", true, true],
+        ["FA0004", false, false],
+      ]
+    );
+    assert.equal(manager.getAccounts()[0].pwd, undefined);
+  });
+
+  it("copies master order to followers by multiplier and fixed lots", async () => {
+    await manager.loginAll();
+    server.requests = [];
+    const outcomes = await manager.copyOrder(order);
+
+    assert.deepEqual(outcomes.map((o) => [o.id, o.qty, o.ok]), [
+      ["main", 300, true],
+      ["FA0002", 150, true],
+      ["FA0003", 75, true],
+    ]);
+    assert.deepEqual(
+      server.requests.map((r) => [r.jData.uid, r.jData.qty]).sort(),
+      [["FA0001", "300"], ["FA0002", "150"], ["FA0003", "75"]]
+    );
+  });
+
+  it("skips followers when master order fails and reports follower errors", async () => {
+    await manager.loginAll();
+    server.queueResponse("/PlaceOrder", { stat: "Not_Ok", emsg: "RED:Margin Shortfall" });
+    const failed = await manager.copyOrder(order);
+    assert.deepEqual(failed.map((o) => [o.id, o.ok, o.skipped]), [
+      ["main", false, undefined],
+      ["FA0002", false, true],
+      ["FA0003", false, true],
+    ]);
+    assert.match(failed[0].error, /Margin Shortfall/);
+
+    const small = await manager.copyOrder({ ...order, qty: 75 }, { accounts: ["FA0002"] });
+    assert.deepEqual(small.map((o) => [o.id, o.qty, o.ok, o.error]), [
+      ["main", 75, true, undefined],
+      ["FA0002", 0, false, "Quantity below one lot"],
+    ]);
+  });
+
+  it("sizes followers by security info lot size and rejects unknown lot size", async () => {
+    await manager.loginAll();
+    const bank = { ...order, tsym: "BANKNIFTY28AUG25F", qty: 140 };
+
+    await assert.rejects(manager.copyOrder(bank), (error) => {
+      assert.ok(error instanceof ValidationError);
+      assert.match(error.message, /Lot size of NFO BANKNIFTY28AUG25F unknown/);
+      return true;
+    });
+
+    server.setResponse("/GetSecurityInfo", { stat: "Ok", exch: "NFO", token: "35002", ls: "35" });
+    server.requests = [];
+    const outcomes = await manager.copyOrder({ ...bank, token: "35002" });
+
+    assert.deepEqual(outcomes.map((o) => [o.id, o.qty, o.ok]), [
+      ["main", 140, true],
+      ["FA0002", 70, true],
+      ["FA0003", 35, true],
+    ]);
+    assert.equal(server.requests[0].route, "/GetSecurityInfo");
+    assert.equal(server.requests.filter((r) => r.route === "/PlaceOrder").length, 3);
+  });
+
+  it("shares one market data socket", async () => {
+    await manager.loginAll();
+    const ws = await manager.connectMarketData();
+    assert.equal(await manager.connectMarketData("FA0002"), ws);
+    assert.equal(manager.getMarketData(), ws);
+    assert.throws(() => manager.get("unknown"), ValidationError);
+  });
+
+  it("drops market data socket when connect fails", async () => {
+    manager = new AccountManager([account("FA0001")], {
+      apiOptions: { baseURL: server.baseURL, sessionStore: null },
+      wsOptions: { url: server.wsURL, connectTimeout: 50, reconnect: { baseDelay: 10, maxDelay: 20 } },
+    });
+    await manager.loginAll();
+    server.freeze();
+
+    await assert.rejects(manager.connectMarketData(), TimeoutError);
+    assert.equal(manager.getMarketData(), null);
+    server.freeze(false);
+    server.messages = [];
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.equal(server.messages.filter((m) => m.t === "c").length, 0);
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  BasketExecutor,
+  BasketPolicy,
+  InstrumentStore,
+  OrderTracker,
+  PaperTradeSmartAPI,
+  ValidationError,
+} from "../lib/index.js";
+
+const option = (tsym, strike, type) => ({
+  Exchange: "NFO",
+  Token: tsym,
+  LotSize: "75",
+  Symbol: "NIFTY",
+  TradingSymbol: tsym,
+  Instrument: "OPTIDX",
+  Expiry: "28-AUG-2025",
+  OptionType: type,
+  StrikePrice: strike,
+  TickSize: "0.05",
+});
+const store = new InstrumentStore().loadRows("NFO", [
+  option("NIFTY28AUG25C25000", "25000", "CE"),
+  option("NIFTY28AUG25C25500", "25500", "CE"),
+]);
+const leg = (tsym, trantype) => ({
+  exch: "NFO",
+  tsym,
+  prd: "M",
+  trantype,
+  qty: 75,
+  prctyp: "MKT",
+});
+
+describe("BasketExecutor", () => {
+  /**
+   * @type {PaperTradeSmartAPI}
+   */
+  let paper;
+  /**
+   * @type {BasketExecutor}
+   */
+  let basket;
+
+  const setup = (funds) => {
+    paper = new PaperTradeSmartAPI("FA0001", "", "", "", "", { funds });
+    const tracker = new OrderTracker(paper, { reconcileInterval: 0 });
+    paper.onOrder((om) => tracker.handleOrderUpdate(om));
+    paper.updatePrice("NFO", "NIFTY28AUG25C25000", { last: 200 });
+    paper.updatePrice("NFO", "NIFTY28AUG25C25500", { last: 10 });
+    basket = new BasketExecutor(paper, { tracker, store, fillTimeout: 50 });
+  };
+
+  beforeEach(() => setup(1000000));
+
+  it("places hedge legs before sell legs", async () => {
+    const result = await basket.execute([
+      leg("NIFTY28AUG25C25000", "S"),
+      leg("NIFTY28AUG25C25500", "B"),
+    ]);
+
+    assert.equal(result.state, "COMPLETE");
+    assert.deepEqual(result.legs.map((l) => [l.params.tsym, l.filledQty, l.avgPrice]), [
+      ["NIFTY28AUG25C25000", 75, 200],
+      ["NIFTY28AUG25C25500", 75, 10],
+    ]);
+    const book = (await paper.getOrderBook()).reverse();
+    assert.deepEqual(book.map((o) => o.trantype), ["B", "S"]);
+  });
+
+  it("validates every leg before placing anything", async () => {
+    await assert.rejects(
+      basket.execute([leg("NIFTY28AUG25C25500", "B"), { ...leg("NIFTY28AUG25C25000", "S"), qty: 50 }]),
+      (error) => error instanceof ValidationError && /^Leg 2 NIFTY28AUG25C25000: qty 50/.test(error.message)
+    );
+    assert.equal(await paper.getOrderBook(), null);
+  });
+
+  it("squares off filled legs when a leg is rejected", async () => {
+    setup(10000);
+    const result = await basket.execute([
+      leg("NIFTY28AUG25C25000", "S"),
+      leg("NIFTY28AUG25C25500", "B"),
+    ]);
+
+    assert.equal(result.state, "FAILED");
+    assert.match(result.reason, /NIFTY28AUG25C25000 rejected : Insufficient funds/);
+    assert.deepEqual(result.rollback, [
+      {
+        action: "squareoff",
+        exch: "NFO",
+        tsym: "NIFTY28AUG25C25500",
+        trantype: "S",
+        qty: 75,
+        ok: true,
+        norenordno: "PAPER00000003",
+      },
+    ]);
+    const [position] = await paper.getPositionBook();
+    assert.equal(position.netqty, "0");
+  });
+
+  it("leaves filled legs with none policy", async () => {
+    setup(10000);
+    const result = await basket.execute(
+      [leg("NIFTY28AUG25C25000", "S"), leg("NIFTY28AUG25C25500", "B")],
+      { policy: BasketPolicy.NONE }
+    );
+    assert.equal(result.state, "FAILED");
+    assert.deepEqual(result.rollback, []);
+    const [position] = await paper.getPositionBook();
+    assert.equal(position.netqty, "75");
+  });
+});
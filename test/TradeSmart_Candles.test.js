@@ -0,0 +1,69 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { DateTime } from "luxon";
+import { CandleAggregator, isMarketOpen } from "../lib/index.js";
+
+const at = (time) => DateTime.fromISO(`2025-08-12T${time}`, { zone: "Asia/Kolkata" });
+
+describe("CandleAggregator", () => {
+  it("builds session aligned bars for each interval", () => {
+    const aggregator = new CandleAggregator({ intervals: [1, 60] });
+    const bars = [];
+    aggregator.onCandle((candle, meta) => bars.push({ ...candle, interval: meta.interval }));
+
+    aggregator.update({ e: "NSE", tk: "22", lp: 100, v: 1000 }, at("09:15:05"));
+    aggregator.update({ e: "NSE", tk: "22", lp: 102, v: 1100 }, at("09:15:40"));
+    aggregator.update({ e: "NSE", tk: "22", lp: 99, v: 1300 }, at("09:16:01"));
+    aggregator.update({ e: "NSE", tk: "22", lp: 101, v: 1400 }, at("10:15:00"));
+
+    assert.deepEqual(
+      bars.map((b) => [b.interval, b.time, b.open, b.high, b.low, b.close, b.volume]),
+      [
+        [1, "12-08-2025 09:15:00", 100, 102, 100, 102, 100],
+        [1, "12-08-2025 09:16:00", 99, 99, 99, 99, 200],
+        [60, "12-08-2025 09:15:00", 100, 102, 99, 99, 300],
+      ]
+    );
+    assert.equal(aggregator.getCurrent("NSE", "22", 60).time, "12-08-2025 10:15:00");
+  });
+
+  it("ignores ticks outside session and flushes idle bars", () => {
+    const aggregator = new CandleAggregator({ intervals: [5] });
+    const bars = [];
+    aggregator.onCandle((candle) => bars.push(candle));
+
+    aggregator.update({ e: "NSE", tk: "22", lp: 100, v: 10 }, at("09:10:00"));
+    aggregator.update({ e: "NSE", tk: "22", lp: 101, v: 20 }, at("09:21:00"));
+    aggregator.flush(at("09:24:59"));
+    assert.equal(bars.length, 0);
+
+    aggregator.flush(at("09:25:00"));
+    assert.equal(bars[0].time, "12-08-2025 09:20:00");
+  });
+
+  it("seeds partial bars from history", async () => {
+    const api = {
+      getCandleData: async () => [
+        { time: "12-08-2025 09:21:00", open: 101, high: 104, low: 100, close: 103, volume: 50, tvolume: 600, oi: 0, coi: 0, vwap: 102 },
+        { time: "12-08-2025 09:20:00", open: 100, high: 102, low: 99, close: 101, volume: 50, tvolume: 550, oi: 0, coi: 0, vwap: 100 },
+        { time: "12-08-2025 09:19:00", open: 98, high: 99, low: 97, close: 99, volume: 10, tvolume: 500, oi: 0, coi: 0, vwap: 98 },
+      ],
+    };
+    const aggregator = new CandleAggregator({ intervals: [5] });
+    await aggregator.seed(api, { exchange: "NSE", token: "22" }, at("09:22:00"));
+
+    const bar = aggregator.getCurrent("NSE", "22", 5);
+    assert.equal(bar.time, "12-08-2025 09:20:00");
+    assert.deepEqual([bar.open, bar.high, bar.low, bar.close, bar.volume, bar.vwap], [100, 104, 99, 103, 100, 101]);
+  });
+});
+
+describe("isMarketOpen", () => {
+  it("checks session timings on weekdays", () => {
+    assert.equal(isMarketOpen("NSE", at("09:14:59")), false);
+    assert.equal(isMarketOpen("NSE", at("09:15:00")), true);
+    assert.equal(isMarketOpen("NSE", at("15:30:00")), false);
+    assert.equal(isMarketOpen("MCX", at("20:00:00")), true);
+    assert.equal(isMarketOpen("NSE", at("10:00:00").plus({ days: 5 })), false);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  AuthError,
+  NetworkError,
+  RateLimitError,
+  TimeoutError,
+  TradeSmartError,
+  ValidationError,
+  redact,
+} from "../lib/index.js";
+
+describe("redact", () => {
+  it("replaces secrets in nested payloads", () => {
+    const payload = {
+      uid: "FA0001",
+      pwd: "hash",
+      legs: [{ tsym: "ACC-EQ", jKey: "token" }],
+      session: { susertoken: "token" },
+    };
+
+    assert.deepEqual(redact(payload), {
+      uid: "FA0001",
+      pwd: "***",
+      legs: [{ tsym: "ACC-EQ", jKey: "***" }],
+      session: { susertoken: "***" },
+    });
+    assert.equal(payload.pwd, "hash");
+    assert.equal(redact(null), null);
+  });
+});
+
+describe("TradeSmartError", () => {
+  it("keeps details with redacted payload", () => {
+    const error = new AuthError("Session Expired", {
+      route: "/Limits",
+      payload: { uid: "FA0001", appkey: "hash" },
+      status: 200,
+      emsg: "Session Expired :  Invalid Session Key",
+    });
+
+    assert.ok(error instanceof TradeSmartError);
+    assert.equal(error.name, "AuthError");
+    assert.equal(error.route, "/Limits");
+    assert.deepEqual(error.payload, { uid: "FA0001", appkey: "***" });
+    assert.equal(error.status, 200);
+    assert.equal(error.retryable, false);
+  });
+
+  it("marks network and rate limit errors retryable unless told otherwise", () => {
+    assert.equal(new NetworkError("down").retryable, true);
+    assert.equal(new TimeoutError("late").retryable, true);
+    assert.equal(new RateLimitError("slow down").retryable, true);
+    assert.equal(new NetworkError("gave up", { retryable: false }).retryable, false);
+    assert.equal(new ValidationError("bad").retryable, false);
+  });
+
+  it("wraps unknown errors and returns library errors as is", () => {
+    const validation = new ValidationError("bad");
+    assert.equal(TradeSmartError.from(validation), validation);
+
+    const wrapped = TradeSmartError.from(new Error("boom"), { route: "/PlaceOrder" });
+    assert.equal(wrapped.constructor, TradeSmartError);
+    assert.equal(wrapped.message, "boom");
+    assert.equal(wrapped.route, "/PlaceOrder");
+    assert.equal(wrapped.cause.message, "boom");
+    assert.equal(TradeSmartError.from("text").message, "text");
+  });
+
+  it("reduces http client errors in cause to name, code and message", () => {
+    const httpError = Object.assign(new Error("Request failed with status code 500"), {
+      name: "AxiosError",
+      code: "ERR_BAD_RESPONSE",
+      config: { data: "jData={}&jKey=secret", headers: { Authorization: "secret" } },
+      request: {},
+    });
+    const error = TradeSmartError.from(httpError);
+
+    assert.deepEqual([error.cause.name, error.cause.code, error.cause.message], [
+      "AxiosError",
+      "ERR_BAD_RESPONSE",
+      "Request failed with status code 500",
+    ]);
+    assert.equal(error.cause.config, undefined);
+    assert.equal(error.cause.request, undefined);
+  });
+});
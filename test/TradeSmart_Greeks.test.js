@@ -0,0 +1,89 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { DateTime } from "luxon";
+import {
+  InstrumentStore,
+  ValidationError,
+  black76,
+  blackScholes,
+  enrichOptionChain,
+  impliedVolatility,
+  netGreeks,
+  optionGreeks,
+  timeToExpiry,
+} from "../lib/index.js";
+
+const close = (actual, expected, tolerance = 1e-4) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} != ${expected}`);
+
+const now = DateTime.fromISO("2025-08-21T15:30", { zone: "Asia/Kolkata" });
+const call = { OptionType: "CE", StrikePrice: "24500", Expiry: "28-AUG-2025", Symbol: "NIFTY" };
+
+describe("Greeks", () => {
+  it("prices with Black-Scholes and Black-76", () => {
+    const c = blackScholes({ type: "CE", S: 100, K: 100, T: 1, sigma: 0.2, r: 0.05 });
+    const p = blackScholes({ type: "PE", S: 100, K: 100, T: 1, sigma: 0.2, r: 0.05 });
+    close(c.price, 10.4506);
+    close(p.price, 5.5735);
+    close(c.delta, 0.6368);
+    close(p.delta, -0.3632);
+    close(c.gamma, 0.01876);
+    close(c.vega, 0.37524);
+
+    const f = black76({ type: "CE", F: 100, K: 100, T: 1, sigma: 0.2, r: 0.05 });
+    close(f.price, 7.5771, 1e-3);
+  });
+
+  it("computes time to expiry at 15:30 IST close", () => {
+    close(timeToExpiry("28-AUG-2025", now), 7 / 365, 1e-9);
+    assert.equal(timeToExpiry("14-AUG-2025", now), 0);
+  });
+
+  it("solves implied volatility", () => {
+    const T = timeToExpiry("28-AUG-2025", now);
+    const options = { underlyingPrice: 24550, rate: 0.065 };
+    const target = blackScholes({ type: "CE", S: 24550, K: 24500, T, sigma: 0.13, r: 0.065 }).price;
+
+    close(impliedVolatility({ price: target, type: "CE", strike: 24500, T }, options), 0.13);
+    assert.equal(impliedVolatility({ price: 1, type: "CE", strike: 24500, T }, options), null);
+
+    const greeks = optionGreeks(call, target, { ...options, now });
+    close(greeks.iv, 0.13);
+    assert.ok(greeks.delta > 0.5 && greeks.theta < 0);
+
+    const futures = optionGreeks(call, target, { underlyingPrice: 24580, underlyingType: "futures", now });
+    assert.ok(futures.iv > 0);
+    assert.throws(() => optionGreeks({ OptionType: "XX" }, 10, options), ValidationError);
+  });
+
+  it("enriches option chain rows", () => {
+    const rows = [{ strike: 24500, CE: { ltp: 150 }, PE: null }];
+    const [row] = enrichOptionChain(rows, "28-AUG-2025", { underlyingPrice: 24550, now });
+
+    assert.ok(row.CE.iv > 0);
+    assert.equal(row.CE.ltp, 150);
+    assert.equal(row.PE, null);
+  });
+
+  it("aggregates net Greeks of position book", () => {
+    const store = new InstrumentStore().loadRows("NFO", [
+      { ...call, Exchange: "NFO", Token: "1", TradingSymbol: "NIFTY28AUG25C24500", Instrument: "OPTIDX" },
+      { ...call, Exchange: "NFO", Token: "2", TradingSymbol: "NIFTY28AUG25P24500", Instrument: "OPTIDX", OptionType: "PE" },
+      { Exchange: "NFO", Token: "3", TradingSymbol: "NIFTY28AUG25F", Symbol: "NIFTY", Instrument: "FUTIDX", Expiry: "28-AUG-2025" },
+    ]);
+    const positions = [
+      { exch: "NFO", tsym: "NIFTY28AUG25C24500", netqty: "-75", lp: "150" },
+      { exch: "NFO", tsym: "NIFTY28AUG25P24500", netqty: "-75", lp: "110" },
+      { exch: "NFO", tsym: "NIFTY28AUG25F", netqty: "75", lp: "24580" },
+      { exch: "NSE", tsym: "ACC-EQ", netqty: "10", lp: "2000" },
+    ];
+
+    const net = netGreeks(positions, { store, underlyingPrices: { NIFTY: 24550 }, now });
+
+    assert.equal(net.positions.length, 3);
+    const optionDelta = net.positions[0].delta * -75 + net.positions[1].delta * -75;
+    close(net.delta, optionDelta + 75, 1e-9);
+    assert.ok(net.theta > 0);
+    assert.ok(net.gamma < 0);
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { DateTime } from "luxon";
+import { HistoryService, ValidationError, resampleBars } from "../lib/index.js";
+
+const zone = "Asia/Kolkata";
+
+/**
+ * Fake api returning one bar per minute of requested range, newest first like TPSeries
+ */
+const createApi = () => {
+  const calls = [];
+  return {
+    calls,
+    getCandleData: async ({ starttime, endtime }) => {
+      calls.push([starttime.setZone(zone).toFormat("dd HH:mm"), endtime.setZone(zone).toFormat("dd HH:mm")]);
+      const bars = [];
+      for (let t = starttime; t <= endtime; t = t.plus({ minutes: 1 })) {
+        const price = t.setZone(zone).minute;
+        bars.push({
+          time: t.setZone(zone).toFormat("dd-MM-yyyy HH:mm:ss"),
+          open: price,
+          high: price + 1,
+          low: price - 1,
+          close: price + 0.5,
+          volume: 10,
+          tvolume: 0,
+          oi: 0,
+          coi: 0,
+          vwap: price,
+        });
+      }
+      return bars.reverse();
+    },
+  };
+};
+
+describe("HistoryService", () => {
+  let api;
+  let cacheDir;
+
+  beforeEach(() => {
+    api = createApi();
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "tradesmart-"));
+  });
+
+  it("fetches chunks, de-duplicates and sorts bars", async () => {
+    const history = new HistoryService(api, { cacheDir: null, chunkDays: 1 / 24 / 6 });
+    const bars = await history.getBars({
+      exchange: "NSE",
+      token: "22",
+      from: "2025-08-12 09:15:00",
+      to: "2025-08-12 09:44:00",
+    });
+
+    assert.equal(api.calls.length, 3);
+    assert.equal(bars.length, 30);
+    assert.ok(DateTime.isDateTime(bars[0].time));
+    assert.equal(bars[0].time.toFormat("HH:mm"), "09:15");
+    assert.equal(bars[29].time.toFormat("HH:mm"), "09:44");
+  });
+
+  it("accepts time zone aware inputs", async () => {
+    const history = new HistoryService(api, { cacheDir: null });
+    const bars = await history.getBars({
+      exchange: "NSE",
+      token: "22",
+      from: "2025-08-12T03:45:00Z",
+      to: DateTime.fromISO("2025-08-12T09:16:00", { zone }),
+    });
+
+    assert.deepEqual(bars.map((b) => b.time.toFormat("HH:mm")), ["09:15", "09:16"]);
+    await assert.rejects(history.getBars({ exchange: "NSE", token: "22", from: "bad", to: "bad" }), ValidationError);
+  });
+
+  it("fetches only missing ranges from cache", async () => {
+    const history = new HistoryService(api, { cacheDir });
+    const request = { exchange: "NSE", token: "22", from: "2025-08-12 09:15:00", to: "2025-08-12 09:30:00" };
+
+    await history.getBars(request);
+    const bars = await history.getBars({ ...request, to: "2025-08-12 09:40:00" });
+
+    assert.deepEqual(api.calls, [
+      ["12 09:15", "12 09:30"],
+      ["12 09:30", "12 09:40"],
+    ]);
+    assert.equal(bars.length, 26);
+    assert.ok(fs.existsSync(path.join(cacheDir, "NSE_22_1.json")));
+
+    await history.getBars(request);
+    assert.equal(api.calls.length, 2);
+  });
+
+  it("clears only files written by cache", async () => {
+    const history = new HistoryService(api, { cacheDir });
+    const request = { exchange: "NSE", token: "22", from: "2025-08-12 09:15:00", to: "2025-08-12 09:20:00" };
+    await history.getBars(request);
+    await history.getBars({ ...request, token: "1594" });
+    fs.writeFileSync(path.join(cacheDir, "notes.json"), "{}");
+    fs.mkdirSync(path.join(cacheDir, "NSE_22_backup"));
+
+    await history.clearCache("NSE", "1594");
+    assert.deepEqual(fs.readdirSync(cacheDir).sort(), ["NSE_22_1.json", "NSE_22_backup", "notes.json"]);
+
+    await history.clearCache();
+    assert.deepEqual(fs.readdirSync(cacheDir).sort(), ["NSE_22_backup", "notes.json"]);
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    await history.clearCache();
+  });
+
+  it("resamples to higher timeframes and daily bars", async () => {
+    const history = new HistoryService(api, { cacheDir: null });
+    const bars = await history.getResampled(
+      { exchange: "NSE", token: "22", from: "2025-08-12 09:15:00", to: "2025-08-12 09:24:00" },
+      5
+    );
+
+    assert.deepEqual(
+      bars.map((b) => [b.time.toFormat("HH:mm"), b.open, b.high, b.low, b.close, b.volume, b.vwap]),
+      [
+        ["09:15", 15, 20, 14, 19.5, 50, 17],
+        ["09:20", 20, 25, 19, 24.5, 50, 22],
+      ]
+    );
+    const daily = resampleBars(bars, "D");
+    assert.equal(daily.length, 1);
+    assert.equal(daily[0].time.toISODate(), "2025-08-12");
+    assert.equal(daily[0].volume, 100);
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { DateTime } from "luxon";
+import { InstrumentStore, TradeSmartError, ValidationError } from "../lib/index.js";
+
+const option = (Expiry, StrikePrice, OptionType) => ({
+  Exchange: "NFO",
+  Token: `${StrikePrice}${OptionType}${Expiry.slice(0, 2)}`,
+  LotSize: "75",
+  Symbol: "NIFTY",
+  TradingSymbol: `NIFTY${Expiry.slice(0, 2)}${OptionType[0]}${StrikePrice}`,
+  Instrument: "OPTIDX",
+  Expiry,
+  OptionType,
+  StrikePrice,
+  TickSize: "0.05",
+});
+
+const rows = [
+  option("28-AUG-2025", "24650", "CE"),
+  option("28-AUG-2025", "24600", "PE"),
+  option("28-AUG-2025", "24600", "CE"),
+  option("14-AUG-2025", "24600", "CE"),
+  {
+    Exchange: "NFO",
+    Token: "53001",
+    LotSize: "75",
+    Symbol: "NIFTY",
+    TradingSymbol: "NIFTY28AUG25F",
+    Instrument: "FUTIDX",
+    Expiry: "28-AUG-2025",
+    OptionType: "XX",
+    StrikePrice: "0",
+    TickSize: "0.10",
+  },
+];
+
+describe("InstrumentStore", () => {
+  /**
+   * @type {InstrumentStore}
+   */
+  let store;
+
+  before(() => {
+    const folderPath = fs.mkdtempSync(path.join(os.tmpdir(), "tradesmart-"));
+    fs.writeFileSync(path.join(folderPath, "NFO_symbols.json"), JSON.stringify(rows));
+    store = new InstrumentStore({ folderPath });
+  });
+
+  it("looks up by token and trading symbol with parsed fields", () => {
+    const future = store.byToken("NFO", 53001);
+
+    assert.equal(future.TradingSymbol, "NIFTY28AUG25F");
+    assert.equal(future.LotSize, 75);
+    assert.equal(future.TickSize, 0.1);
+    assert.equal(future.ExpiryDate.toISODate(), "2025-08-28");
+    assert.equal(store.byTradingSymbol("NFO", "NIFTY14C24600").StrikePrice, 24600);
+    assert.equal(store.byToken("NFO", "1"), null);
+  });
+
+  it("builds option chain by strike", () => {
+    const chain = store.chain("NIFTY", DateTime.fromISO("2025-08-28"));
+
+    assert.deepEqual(
+      chain.map((r) => [r.strike, r.CE?.TradingSymbol ?? null, r.PE?.TradingSymbol ?? null]),
+      [
+        [24600, "NIFTY28C24600", "NIFTY28P24600"],
+        [24650, "NIFTY28C24650", null],
+      ]
+    );
+    assert.deepEqual(store.chain("NIFTY", "14-AUG-2025").length, 1);
+  });
+
+  it("lists expiries and series", () => {
+    assert.deepEqual(
+      store.expiries("NFO", "NIFTY", "OPTIDX").map((e) => e.toISODate()),
+      ["2025-08-14", "2025-08-28"]
+    );
+    assert.equal(
+      store.series({ Exchange: "NFO", Symbol: "NIFTY", Instrument: "FUTIDX", Expiry: "28-AUG-2025" })[0].Token,
+      "53001"
+    );
+    assert.throws(() => store.series({ Exchange: "NFO" }), ValidationError);
+  });
+
+  it("throws when exchange file is missing", () => {
+    assert.throws(() => store.byToken("MCX", "1"), TradeSmartError);
+  });
+});
@@ -0,0 +1,198 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { DateTime } from "luxon";
+import {
+  CheckInstruments,
+  DownloadInstruments,
+  FindInstruments,
+  GetExpiryDates,
+  GetOptionStrike,
+  NetworkError,
+  TradeSmartError,
+  ValidationError,
+  getFileData,
+  getInstrumentManifest,
+  isInstrumentStale,
+  parseCSVLine,
+} from "../lib/index.js";
+import { MockNorenServer } from "../lib/TradeSmart_MockServer.js";
+
+const option = (Expiry, StrikePrice, OptionType) => ({
+  Exchange: "NFO",
+  Token: `${Expiry}${StrikePrice}${OptionType}`,
+  LotSize: "75",
+  Symbol: "NIFTY",
+  TradingSymbol: `NIFTY${Expiry}${OptionType[0]}${StrikePrice}`,
+  Instrument: "OPTIDX",
+  Expiry,
+  OptionType,
+  StrikePrice,
+  TickSize: "0.05",
+});
+
+const nfo = [
+  ...["24500", "24550", "24600", "24650", "24700"].flatMap((strike) => [
+    option("28-AUG-2025", strike, "CE"),
+    option("28-AUG-2025", strike, "PE"),
+  ]),
+  option("14-AUG-2025", "24600", "CE"),
+  {
+    Exchange: "NFO",
+    Token: "53001",
+    LotSize: "75",
+    Symbol: "NIFTY",
+    TradingSymbol: "NIFTY28AUG25F",
+    Instrument: "FUTIDX",
+    Expiry: "28-AUG-2025",
+    OptionType: "XX",
+    StrikePrice: "0",
+    TickSize: "0.10",
+  },
+];
+
+describe("TradeSmart_Instruments", () => {
+  const server = new MockNorenServer();
+  const cwd = process.cwd();
+
+  before(async () => {
+    process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), "tradesmart-")));
+    await server.start();
+    ["NSE", "CDS", "MCX", "BSE", "BFO"].forEach((exchange) =>
+      server.setInstruments(exchange, [{ Exchange: exchange, Token: "1", Symbol: "TEST" }])
+    );
+    server.setInstruments("NFO", nfo);
+  });
+
+  after(async () => {
+    process.chdir(cwd);
+    await server.stop();
+  });
+
+  it("downloads instrument masters as json with manifest", async () => {
+    const results = await DownloadInstruments({ baseURL: server.instrumentsURL });
+
+    const data = getFileData("NFO");
+    assert.equal(data.length, nfo.length);
+    assert.deepEqual(data[0], nfo[0]);
+    assert.ok(results.every((r) => r.ok));
+    assert.deepEqual(fs.readdirSync("instruments").sort(), [
+      "BFO_symbols.json",
+      "BSE_symbols.json",
+      "CDS_symbols.json",
+      "MCX_symbols.json",
+      "NFO_symbols.json",
+      "NSE_symbols.json",
+      "manifest.json",
+    ]);
+    assert.equal(getInstrumentManifest().NFO.rows, nfo.length);
+  });
+
+  it("reports failures per exchange and keeps existing files", async () => {
+    const folderPath = fs.mkdtempSync(path.join(os.tmpdir(), "tradesmart-"));
+    const results = await DownloadInstruments({
+      baseURL: server.instrumentsURL,
+      folderPath,
+      exchanges: ["NSE", "XYZ"],
+    });
+
+    assert.deepEqual(
+      results.map((r) => [r.exchange, r.ok]),
+      [
+        ["NSE", true],
+        ["XYZ", false],
+      ]
+    );
+    assert.ok(results[1].error instanceof NetworkError);
+    assert.equal(results[1].error.status, 404);
+    assert.deepEqual(fs.readdirSync(folderPath).sort(), ["NSE_symbols.json", "manifest.json"]);
+
+    await assert.rejects(
+      DownloadInstruments({ baseURL: server.instrumentsURL, folderPath, exchanges: ["XYZ"] }),
+      (error) => error instanceof TradeSmartError && error.cause instanceof NetworkError
+    );
+  });
+
+  it("checks freshness against IST refresh time per exchange", async () => {
+    const folderPath = fs.mkdtempSync(path.join(os.tmpdir(), "tradesmart-"));
+    const at = (iso) => DateTime.fromISO(iso, { zone: "Asia/Kolkata" });
+    assert.equal(isInstrumentStale("NSE", { folderPath }), true);
+
+    const results = await CheckInstruments({
+      baseURL: server.instrumentsURL,
+      folderPath,
+      exchanges: ["NSE", "MCX"],
+    });
+    assert.equal(results.length, 2);
+    assert.deepEqual(await CheckInstruments({ folderPath, exchanges: ["NSE", "MCX"] }), []);
+
+    const downloadedAt = DateTime.fromISO(getInstrumentManifest(folderPath).NSE.downloadedAt);
+    assert.equal(isInstrumentStale("NSE", { folderPath }, downloadedAt.plus({ hours: 1 })), false);
+    assert.equal(isInstrumentStale("NSE", { folderPath }, downloadedAt.plus({ days: 2 })), true);
+    assert.equal(isInstrumentStale("NSE", { folderPath }, at("2000-01-01T08:00")), false);
+  });
+
+  it("parses quoted csv fields", () => {
+    assert.deepEqual(parseCSVLine('NSE,1,"L&T, LTD","say ""hi""",'), ["NSE", "1", "L&T, LTD", 'say "hi"', ""]);
+  });
+
+  it("finds instruments sorted by expiry", () => {
+    const found = FindInstruments({
+      Exchange: "NFO",
+      Symbol: "NIFTY",
+      Instrument: "OPTIDX",
+      StrikePrice: "24600",
+      OptionType: "CE",
+    });
+
+    assert.deepEqual(
+      found.map((i) => i.Expiry),
+      ["14-AUG-2025", "28-AUG-2025"]
+    );
+    assert.equal(
+      FindInstruments({ Exchange: "NFO", Symbol: "NIFTY", Instrument: "FUTIDX" }).Token,
+      "53001"
+    );
+    assert.equal(FindInstruments({ Exchange: "NFO", Symbol: "BANKNIFTY" }), null);
+    assert.throws(() => FindInstruments({ Exchange: "NFO" }), ValidationError);
+  });
+
+  it("looks up masters downloaded to a custom folder", async () => {
+    const folderPath = fs.mkdtempSync(path.join(os.tmpdir(), "tradesmart-"));
+    await DownloadInstruments({ baseURL: server.instrumentsURL, folderPath, exchanges: ["NFO"] });
+    const params = { Exchange: "NFO", Symbol: "NIFTY", Instrument: "OPTIDX" };
+
+    assert.equal(FindInstruments({ ...params, Expiry: "14-AUG-2025" }, undefined, { folderPath }).StrikePrice, "24600");
+    assert.deepEqual(GetExpiryDates(params, undefined, { folderPath }), ["14-AUG-2025", "28-AUG-2025"]);
+    assert.equal(
+      GetOptionStrike({ ...params, Expiry: "28-AUG-2025", Price: 24610, MaxStrikes: 1 }, undefined, { folderPath }).atm,
+      24600
+    );
+  });
+
+  it("lists expiry dates", () => {
+    assert.deepEqual(
+      GetExpiryDates({ Exchange: "NFO", Symbol: "NIFTY", Instrument: "OPTIDX" }, nfo),
+      ["14-AUG-2025", "28-AUG-2025"]
+    );
+  });
+
+  it("returns strikes around price", () => {
+    const strikes = GetOptionStrike(
+      {
+        Exchange: "NFO",
+        Symbol: "NIFTY",
+        Instrument: "OPTIDX",
+        Expiry: "28-AUG-2025",
+        Price: 24610,
+        MaxStrikes: 1,
+      },
+      nfo
+    );
+
+    assert.deepEqual(strikes, { atm: 24600, upstrikes: [24650], dnstrikes: [24550] });
+    assert.equal(GetOptionStrike({ Exchange: "NFO", Symbol: "NIFTY" }, nfo), null);
+  });
+});
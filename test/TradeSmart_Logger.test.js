@@ -0,0 +1,30 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createLogger } from "../lib/index.js";
+
+describe("createLogger", () => {
+  it("redacts secrets and passes one entry object", () => {
+    const entries = [];
+    const log = createLogger({ info: (entry) => entries.push(entry) });
+
+    log.info("login", { route: "/QuickAuth", payload: { uid: "FA0001", pwd: "hash", totpkey: "KEY" }, jKey: "token" });
+
+    assert.deepEqual(entries, [
+      { message: "login", route: "/QuickAuth", payload: { uid: "FA0001", pwd: "***", totpkey: "***" }, jKey: "***" },
+    ]);
+  });
+
+  it("is silent without logger and ignores missing levels and logger failures", () => {
+    const log = createLogger({
+      warn: () => {
+        throw new Error("logger down");
+      },
+    });
+
+    assert.doesNotThrow(() => {
+      createLogger().error("nothing", {});
+      log.debug("dropped");
+      log.warn("swallowed");
+    });
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import { InstrumentStore, OptionChain, TradeSmartWS, ValidationError } from "../lib/index.js";
+
+const strikes = [24400, 24450, 24500, 24550, 24600, 24650, 24700];
+const rows = strikes.flatMap((strike) =>
+  ["CE", "PE"].map((type) => ({
+    Exchange: "NFO",
+    Token: `${strike}${type === "CE" ? 1 : 2}`,
+    LotSize: "75",
+    Symbol: "NIFTY",
+    TradingSymbol: `NIFTY28AUG25${type[0]}${strike}`,
+    Instrument: "OPTIDX",
+    Expiry: "28-AUG-2025",
+    OptionType: type,
+    StrikePrice: String(strike),
+    TickSize: "0.05",
+  }))
+);
+
+const createSocket = () => {
+  const subscribed = new Set();
+  return Object.assign(new EventEmitter(), {
+    subscribed,
+    subscribe: async (instruments) => instruments.forEach((i) => subscribed.add(`${i.Exchange}|${i.Token}`)),
+    unsubscribe: async (instruments) => instruments.forEach((i) => subscribed.delete(`${i.Exchange}|${i.Token}`)),
+  });
+};
+
+describe("OptionChain", () => {
+  const store = new InstrumentStore().loadRows("NFO", rows);
+  const underlying = { Exchange: "NSE", Token: "26000" };
+  let ws;
+  /**
+   * @type {OptionChain}
+   */
+  let chain;
+
+  beforeEach(async () => {
+    ws = createSocket();
+    chain = new OptionChain({ ws, store, symbol: "NIFTY", expiry: "28-AUG-2025", underlying, strikes: 1 });
+    await chain.start();
+  });
+
+  it("subscribes window around ATM and recenters with underlying", async () => {
+    assert.deepEqual([...ws.subscribed], ["NSE|26000"]);
+
+    await chain.update({ e: "NSE", tk: "26000", lp: 24510 });
+    assert.equal(chain.getATM(), 24500);
+    assert.deepEqual(chain.getTable().map((r) => r.strike), [24450, 24500, 24550]);
+    assert.equal(ws.subscribed.size, 7);
+
+    await chain.update({ e: "NSE", tk: "26000", lp: 24540 });
+    assert.equal(chain.getATM(), 24550);
+    assert.deepEqual(chain.getTable().map((r) => r.strike), [24500, 24550, 24600]);
+    assert.ok(!ws.subscribed.has("NFO|244501"));
+    assert.ok(ws.subscribed.has("NFO|246002"));
+  });
+
+  it("keeps live quotes and aggregates", async () => {
+    await chain.update({ e: "NSE", tk: "26000", lp: 24500 });
+    const oi = { 244501: 100, 244502: 900, 245001: 500, 245002: 500, 245501: 1200, 245502: 100 };
+    for (const [tk, value] of Object.entries(oi)) {
+      await chain.update({ e: "NFO", tk, lp: 10, bp1: 9.95, sp1: 10.05, v: 50, oi: value, poi: value - 10 });
+    }
+
+    const [first] = chain.getTable();
+    assert.deepEqual(first.CE, {
+      token: "244501",
+      tsym: "NIFTY28AUG25C24450",
+      ltp: 10,
+      bid: 9.95,
+      ask: 10.05,
+      volume: 50,
+      oi: 100,
+      oiChange: 10,
+    });
+    assert.equal(chain.pcr(), 1500 / 1800);
+    assert.equal(chain.maxPain(), 24500);
+    assert.deepEqual(chain.levels(2), { support: [24450, 24500], resistance: [24550, 24500] });
+  });
+
+  it("reports failed updates from attached socket", async () => {
+    const errors = [];
+    chain.onError((error) => errors.push(error));
+    chain.attach();
+    ws.subscribe = async () => {
+      throw new Error("subscribe failed");
+    };
+
+    ws.emit("tick", { e: "NSE", tk: "26000", lp: 24510 });
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.deepEqual(errors.map((e) => e.message), ["subscribe failed"]);
+
+    chain.onError(null);
+    ws.emit("tick", { e: "NSE", tk: "26000", lp: 24610 });
+    await new Promise((resolve) => setImmediate(resolve));
+    chain.detach();
+  });
+
+  it("keeps instruments held by other subscribers on shared socket", async () => {
+    const shared = new TradeSmartWS("FA0001", "token");
+    await shared.subscribe([underlying, { Exchange: "NFO", Token: "244501" }]);
+    chain = new OptionChain({ ws: shared, store, symbol: "NIFTY", expiry: "28-AUG-2025", underlying, strikes: 1 });
+    await chain.start(24500);
+    await chain.update({ e: "NSE", tk: "26000", lp: 24600 });
+    assert.ok(shared.getSubscriptions().touchline.includes("NFO|244501"));
+
+    await chain.stop();
+    assert.deepEqual(shared.getSubscriptions().touchline, ["NSE|26000", "NFO|244501"]);
+  });
+
+  it("tracks window contracts only after subscribe succeeds", async () => {
+    const subscribe = ws.subscribe;
+    ws.subscribe = async () => {
+      throw new Error("subscribe failed");
+    };
+    await assert.rejects(chain.update({ e: "NSE", tk: "26000", lp: 24500 }), /subscribe failed/);
+    assert.equal(chain.getATM(), null);
+    await chain.update({ e: "NFO", tk: "245001", lp: 10 });
+    assert.deepEqual(chain.getTable(), []);
+
+    ws.subscribe = subscribe;
+    await chain.update({ e: "NSE", tk: "26000", lp: 24500 });
+    assert.equal(chain.getATM(), 24500);
+    assert.equal(ws.subscribed.size, 7);
+  });
+
+  it("validates contracts exist", () => {
+    assert.throws(
+      () => new OptionChain({ ws, store, symbol: "BANKNIFTY", expiry: "28-AUG-2025", underlying }),
+      ValidationError
+    );
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  OrderRejectedError,
+  OrderState,
+  OrderTracker,
+  PaperTradeSmartAPI,
+  TradeSmartError,
+} from "../lib/index.js";
+
+const order = (params) => ({ exch: "NSE", tsym: "ACC-EQ", prd: "I", trantype: "B", ...params });
+
+describe("OrderTracker", () => {
+  /**
+   * @type {PaperTradeSmartAPI}
+   */
+  let paper;
+  /**
+   * @type {OrderTracker}
+   */
+  let tracker;
+
+  beforeEach(() => {
+    paper = new PaperTradeSmartAPI("FA0001", "", "", "", "", { funds: 100000 });
+    paper.updatePrice("NSE", "ACC-EQ", { last: 100 });
+    tracker = new OrderTracker(paper, { reconcileInterval: 0 });
+    paper.onOrder((om) => tracker.handleOrderUpdate(om));
+  });
+
+  it("moves orders through states from order updates", async () => {
+    const states = [];
+    const placed = await tracker.placeOrder(order({ qty: 5, prctyp: "LMT", prc: 95 }));
+    assert.equal(placed.state, OrderState.OPEN);
+    tracker.onOrderUpdate(placed.norenordno, (o) => states.push(o.state));
+
+    const filled = tracker.waitForFill(placed.norenordno, { timeout: 1000 });
+    tracker.handleOrderUpdate({ norenordno: placed.norenordno, status: "OPEN", qty: "5", fillshares: "2", avgprc: "95" });
+    paper.updateCandle("NSE", "ACC-EQ", { high: 101, low: 94, close: 96 });
+
+    const result = await filled;
+    assert.equal(result.state, OrderState.COMPLETE);
+    assert.equal(result.filledQty, 5);
+    assert.equal(result.avgPrice, 95);
+    assert.deepEqual(states, [OrderState.PARTIALLY_FILLED, OrderState.COMPLETE]);
+
+    tracker.handleOrderUpdate({ norenordno: placed.norenordno, status: "OPEN", qty: "5" });
+    assert.equal(tracker.getOrder(placed.norenordno).state, OrderState.COMPLETE);
+  });
+
+  it("rejects waitForFill on rejection, cancellation and timeout", async () => {
+    const rejected = await tracker.placeOrder(order({ qty: 5000, prctyp: "MKT" }));
+    await assert.rejects(tracker.waitForFill(rejected.norenordno), (error) => {
+      assert.ok(error instanceof OrderRejectedError);
+      assert.equal(error.emsg, "Insufficient funds");
+      return true;
+    });
+
+    const open = await tracker.placeOrder(order({ qty: 1, prctyp: "LMT", prc: 50 }));
+    await assert.rejects(tracker.waitForFill(open.norenordno, { timeout: 20 }), (error) => {
+      assert.match(error.message, /Timed out/);
+      assert.equal(error.retryable, false);
+      return true;
+    });
+
+    const cancelled = tracker.waitForFill(open.norenordno);
+    await paper.cancelOrder(open.norenordno);
+    await assert.rejects(cancelled, (error) => error instanceof TradeSmartError && /cancelled/.test(error.message));
+  });
+
+  it("recovers fills missed by the order feed on reconcile", async () => {
+    paper.onOrder(() => {});
+    const placed = await tracker.placeOrder(order({ qty: 2, prctyp: "LMT", prc: 95 }));
+    paper.updateCandle("NSE", "ACC-EQ", { high: 101, low: 94, close: 96 });
+    assert.equal(tracker.getOrder(placed.norenordno).state, OrderState.PENDING);
+
+    await tracker.reconcile();
+    const reconciled = tracker.getOrder(placed.norenordno);
+    assert.equal(reconciled.state, OrderState.COMPLETE);
+    assert.equal(reconciled.filledQty, 2);
+    assert.equal(reconciled.avgPrice, 95);
+  });
+});
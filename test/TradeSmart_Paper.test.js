@@ -0,0 +1,99 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { PaperTradeSmartAPI } from "../lib/index.js";
+
+const order = (params) => ({ exch: "NSE", tsym: "ACC-EQ", prd: "I", ...params });
+
+describe("PaperTradeSmartAPI", () => {
+  /**
+   * @type {PaperTradeSmartAPI}
+   */
+  let paper;
+  let updates;
+
+  beforeEach(() => {
+    paper = new PaperTradeSmartAPI("FA0001", "", "", "", "", { funds: 10000 });
+    updates = [];
+    paper.onOrder((om) => updates.push(om));
+    paper.updatePrice("NSE", "ACC-EQ", { last: 100 });
+  });
+
+  it("fills market orders and tracks position and funds", async () => {
+    await paper.placeorder(order({ qty: 10, trantype: "B", prctyp: "MKT" }));
+    paper.updateQuote({ e: "NSE", tk: "22", ts: "ACC-EQ", lp: 110 });
+    await paper.placeorder(order({ qty: 4, trantype: "S", prctyp: "MKT" }));
+
+    const [position] = await paper.getPositionBook();
+    assert.equal(position.netqty, "6");
+    assert.equal(position.netavgprc, "100");
+    assert.equal(position.rpnl, "40");
+    assert.equal(position.urmtom, "60");
+    assert.deepEqual(
+      updates.map((u) => [u.reporttype, u.status]),
+      [
+        ["NewAck", "OPEN"],
+        ["Fill", "COMPLETE"],
+        ["NewAck", "OPEN"],
+        ["Fill", "COMPLETE"],
+      ]
+    );
+    assert.equal((await paper.getLimits()).marginused, "600");
+  });
+
+  it("fills limit and stop orders against candle range", async () => {
+    await paper.placeorder(order({ qty: 1, trantype: "B", prctyp: "LMT", prc: 95 }));
+    await paper.placeorder(order({ qty: 1, trantype: "S", prctyp: "SL-LMT", prc: 89, trgprc: 90 }));
+    assert.equal((await paper.getTradeBook()), null);
+
+    paper.updateCandle("NSE", "ACC-EQ", { high: 101, low: 94, close: 96 });
+    paper.updateCandle("NSE", "ACC-EQ", { high: 96, low: 88, close: 89 });
+
+    const trades = await paper.getTradeBook();
+    assert.deepEqual(trades.map((t) => t.flprc).reverse(), ["95", "89"]);
+  });
+
+  it("rejects orders exceeding funds", async () => {
+    await paper.placeorder(order({ qty: 1000, trantype: "B", prctyp: "MKT" }));
+
+    const [book] = await paper.getOrderBook();
+    assert.equal(book.status, "REJECTED");
+    assert.equal(book.rejreason, "Insufficient funds");
+  });
+
+  it("modifies and cancels open orders", async () => {
+    const { norenordno } = await paper.placeorder(order({ qty: 1, trantype: "B", prctyp: "LMT", prc: 90 }));
+    await paper.modifyOrder({ norenordno, exch: "NSE", tsym: "ACC-EQ", qty: 2, prctyp: "LMT", prc: 91 });
+    await paper.cancelOrder(norenordno);
+
+    const [book] = await paper.getOrderBook();
+    assert.deepEqual([book.qty, book.prc, book.status], ["2", "91", "CANCELED"]);
+    await assert.rejects(paper.cancelOrder(norenordno));
+  });
+
+  it("moves modified stop order out of trigger pending", async () => {
+    await paper.placeorder(order({ qty: 1, trantype: "B", prctyp: "MKT" }));
+    const { norenordno } = await paper.placeorder(order({ qty: 1, trantype: "S", prctyp: "SL-MKT", trgprc: 90 }));
+    await paper.modifyOrder({ norenordno, exch: "NSE", tsym: "ACC-EQ", qty: 1, prctyp: "LMT", prc: 102 });
+
+    let [book] = await paper.getOrderBook();
+    assert.deepEqual([book.status, book.trgprc], ["OPEN", "0"]);
+
+    paper.updatePrice("NSE", "ACC-EQ", { last: 103 });
+    [book] = await paper.getOrderBook();
+    assert.deepEqual([book.status, book.avgprc], ["COMPLETE", "103"]);
+  });
+
+  it("checks funds for quantity that reverses position", async () => {
+    await paper.placeorder(order({ qty: 50, trantype: "B", prctyp: "MKT" }));
+    await paper.placeorder(order({ qty: 200, trantype: "S", prctyp: "MKT" }));
+
+    let [book] = await paper.getOrderBook();
+    assert.equal(book.rejreason, "Insufficient funds");
+    assert.equal((await paper.getPositionBook())[0].netqty, "50");
+
+    await paper.placeorder(order({ qty: 150, trantype: "S", prctyp: "MKT" }));
+    [book] = await paper.getOrderBook();
+    assert.equal(book.status, "COMPLETE");
+    assert.equal((await paper.getPositionBook())[0].netqty, "-100");
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import { InstrumentStore, PaperTradeSmartAPI, Portfolio } from "../lib/index.js";
+
+const store = new InstrumentStore().loadRows("NFO", [
+  {
+    Exchange: "NFO",
+    Token: "35001",
+    LotSize: "75",
+    Symbol: "NIFTY",
+    TradingSymbol: "NIFTY28AUG25F",
+    Instrument: "FUTIDX",
+    Expiry: "28-AUG-2025",
+    TickSize: "0.05",
+  },
+]);
+const order = (params) => ({ prctyp: "MKT", ...params });
+const acc = { exch: "NSE", tsym: "ACC-EQ", prd: "I" };
+const nifty = { exch: "NFO", tsym: "NIFTY28AUG25F", prd: "M" };
+
+describe("Portfolio", () => {
+  /**
+   * @type {PaperTradeSmartAPI}
+   */
+  let paper;
+  /**
+   * @type {Portfolio}
+   */
+  let portfolio;
+
+  beforeEach(async () => {
+    paper = new PaperTradeSmartAPI("FA0001", "", "", "", "", { funds: 10000000 });
+    paper.updatePrice("NSE", "ACC-EQ", { last: 100 });
+    paper.updatePrice("NFO", "NIFTY28AUG25F", { last: 25000 });
+    await paper.placeorder(order({ ...acc, trantype: "B", qty: 10 }));
+    await paper.placeorder(order({ ...nifty, trantype: "S", qty: 75 }));
+    portfolio = new Portfolio(paper, { store });
+  });
+
+  it("recomputes P&L on ticks and fills", async () => {
+    const loaded = await portfolio.load();
+    assert.equal(loaded.pnl, 0);
+    assert.deepEqual(
+      loaded.positions.map((p) => [p.tsym, p.token, p.netqty, p.lotSize]),
+      [
+        ["ACC-EQ", undefined, 10, 1],
+        ["NIFTY28AUG25F", "35001", -75, 75],
+      ]
+    );
+
+    const summaries = [];
+    portfolio.onUpdate((summary) => summaries.push(summary));
+    paper.onOrder((om) => portfolio.applyFill(om));
+
+    portfolio.update({ e: "NFO", tk: "35001", lp: 24990 });
+    portfolio.update({ e: "NSE", tk: "22", ts: "ACC-EQ", lp: 105 });
+    assert.equal(summaries.at(-1).unrealised, 750 + 50);
+
+    paper.updatePrice("NSE", "ACC-EQ", { last: 105 });
+    await paper.placeorder(order({ ...acc, trantype: "S", qty: 4 }));
+    const summary = portfolio.getSummary();
+    assert.equal(summary.realised, 20);
+    assert.equal(summary.unrealised, 750 + 30);
+    assert.equal(summary.pnl, 800);
+
+    const [position] = await paper.getPositionBook();
+    assert.equal(position.rpnl, "20");
+  });
+
+  it("subscribes position tokens and order feed on attach", async () => {
+    const subscribed = [];
+    let orderFeed = false;
+    const ws = Object.assign(new EventEmitter(), {
+      subscribe: (instruments) => subscribed.push(instruments),
+      subscribeOrders: async () => {
+        orderFeed = true;
+      },
+    });
+    await portfolio.load();
+    await portfolio.attach(ws);
+    assert.deepEqual(subscribed, [[{ Exchange: "NFO", Token: "35001" }]]);
+    assert.equal(orderFeed, true);
+
+    ws.emit("tick", { e: "NFO", tk: "35001", lp: 24900 });
+    assert.equal(portfolio.getSummary().unrealised, 7500);
+  });
+
+  it("squares off with opposite orders, shorts first", async () => {
+    await portfolio.load();
+    paper.onOrder((om) => portfolio.applyFill(om));
+
+    const results = await portfolio.squareOffAll();
+    assert.deepEqual(
+      results.map((r) => [r.tsym, r.prd, r.trantype, r.qty, r.ok]),
+      [
+        ["NIFTY28AUG25F", "M", "B", 75, true],
+        ["ACC-EQ", "I", "S", 10, true],
+      ]
+    );
+    assert.ok(portfolio.getPositions().every((p) => p.netqty === 0));
+    assert.deepEqual(await portfolio.squareOff({ exch: "NSE" }), []);
+  });
+
+  it("refuses square off of quantity not aligned to lot size", async () => {
+    await paper.placeorder(order({ ...nifty, trantype: "B", qty: 25 }));
+    await portfolio.load();
+
+    const [result] = await portfolio.squareOff((p) => p.exch === "NFO");
+    assert.equal(result.ok, false);
+    assert.match(result.error, /50 is not a multiple of lot size 75/);
+  });
+});
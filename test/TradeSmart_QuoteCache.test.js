@@ -0,0 +1,58 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { QuoteCache } from "../lib/index.js";
+
+describe("QuoteCache", () => {
+  it("parses numeric fields and keeps text fields", () => {
+    const parsed = QuoteCache.parse({
+      t: "tk",
+      e: "NSE",
+      tk: "22",
+      ts: "ACC-EQ",
+      lp: "2000.50",
+      v: "1000",
+      bp5: "1999",
+      ft: "1754992800",
+      lc: "bad",
+    });
+
+    assert.deepEqual(parsed, { t: "tk", e: "NSE", tk: "22", ts: "ACC-EQ", lp: 2000.5, v: 1000, bp5: 1999, ft: 1754992800 });
+  });
+
+  it("merges partial ticks into acknowledged quote", () => {
+    const cache = new QuoteCache();
+    cache.update({ t: "tk", e: "NSE", tk: "22", ts: "ACC-EQ", lp: "2000", v: "1000", bp1: "1999.95", sp1: "2000.05" });
+    const quote = cache.update({ t: "tf", e: "NSE", tk: "22", lp: "2001", v: "1010" });
+
+    assert.deepEqual(quote, { e: "NSE", tk: "22", ts: "ACC-EQ", lp: 2001, v: 1010, bp1: 1999.95, sp1: 2000.05 });
+    assert.deepEqual(cache.get("NSE", "22"), quote);
+
+    const depth = cache.update({ t: "df", e: "NSE", tk: "22", bq1: "50" });
+    assert.equal(depth.bq1, 50);
+    assert.equal(depth.lp, 2001);
+  });
+
+  it("keeps quotes of instruments apart", () => {
+    const cache = new QuoteCache();
+    cache.update({ t: "tk", e: "NSE", tk: "22", lp: "2000" });
+    cache.update({ t: "tk", e: "BSE", tk: "22", lp: "1990" });
+
+    assert.equal(cache.get("NSE", "22").lp, 2000);
+    assert.equal(cache.get("BSE", "22").lp, 1990);
+    assert.equal(cache.get("NSE", "1594"), null);
+  });
+
+  it("deletes and clears quotes", () => {
+    const cache = new QuoteCache();
+    cache.update({ t: "tk", e: "NSE", tk: "22", lp: "2000" });
+    cache.update({ t: "tk", e: "NSE", tk: "1594", lp: "1500" });
+
+    cache.delete("NSE", "22");
+    assert.equal(cache.get("NSE", "22"), null);
+    assert.equal(cache.get("NSE", "1594").lp, 1500);
+
+    cache.clear();
+    assert.equal(cache.get("NSE", "1594"), null);
+    assert.deepEqual(cache.update({ t: "tf", e: "NSE", tk: "1594", v: "5" }), { e: "NSE", tk: "1594", v: 5 });
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { NetworkError, RequestQueue, ValidationError, backoffDelay, withRetry } from "../lib/index.js";
+
+describe("RequestQueue", () => {
+  it("limits requests per window and runs higher priority first", async (t) => {
+    t.mock.timers.enable({ apis: ["setTimeout", "Date"] });
+    const queue = new RequestQueue({ "*": { rate: 1, interval: 50 } });
+    const order = [];
+    const run = (route, priority) => queue.schedule(route, async () => order.push(route), priority);
+    const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+    const done = Promise.all([run("/OrderBook", 1), run("/Limits", 1), run("/PlaceOrder", 0)]);
+    await flush();
+    assert.deepEqual(order, ["/OrderBook"]);
+    assert.equal(queue.getStats().depth, 2);
+
+    t.mock.timers.tick(49);
+    await flush();
+    assert.deepEqual(order, ["/OrderBook"]);
+
+    t.mock.timers.tick(1);
+    await flush();
+    assert.deepEqual(order, ["/OrderBook", "/PlaceOrder"]);
+
+    t.mock.timers.tick(50);
+    await done;
+    assert.deepEqual(order, ["/OrderBook", "/PlaceOrder", "/Limits"]);
+    assert.equal(queue.getStats().routes["/Limits"].count, 1);
+    assert.equal(queue.getStats().routes["/Limits"].avgWait, 100);
+  });
+});
+
+describe("withRetry", () => {
+  it("retries retryable errors only", async () => {
+    let calls = 0;
+    const result = await withRetry(
+      async () => {
+        if (++calls < 3) throw new NetworkError("down");
+        return "ok";
+      },
+      { baseDelay: 1 }
+    );
+    assert.equal(result, "ok");
+
+    calls = 0;
+    await assert.rejects(
+      withRetry(async () => {
+        calls++;
+        throw new ValidationError("bad");
+      }),
+      ValidationError
+    );
+    assert.equal(calls, 1);
+  });
+
+  it("caps jittered backoff at max delay", () => {
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const delay = backoffDelay(attempt, { baseDelay: 100, maxDelay: 1000 });
+      assert.ok(delay >= 0 && delay <= Math.min(1000, 100 * 2 ** attempt));
+    }
+  });
+});
@@ -0,0 +1,172 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  InstrumentStore,
+  PaperTradeSmartAPI,
+  RiskLimitError,
+  RiskManager,
+  ValidationError,
+  roundToTick,
+  validateOrder,
+} from "../lib/index.js";
+
+const store = new InstrumentStore().loadRows("NFO", [
+  {
+    Exchange: "NFO",
+    Token: "35001",
+    LotSize: "75",
+    Symbol: "NIFTY",
+    TradingSymbol: "NIFTY28AUG25F",
+    Instrument: "FUTIDX",
+    Expiry: "28-AUG-2025",
+    TickSize: "0.05",
+  },
+  {
+    Exchange: "NFO",
+    Token: "35002",
+    LotSize: "35",
+    Symbol: "BANKNIFTY",
+    TradingSymbol: "BANKNIFTY28AUG25F",
+    Instrument: "FUTIDX",
+    Expiry: "28-AUG-2025",
+    TickSize: "0.05",
+  },
+]);
+const future = store.byTradingSymbol("NFO", "NIFTY28AUG25F");
+const order = (params) => ({
+  exch: "NFO",
+  tsym: "NIFTY28AUG25F",
+  prd: "M",
+  trantype: "B",
+  qty: 75,
+  prctyp: "LMT",
+  prc: 100,
+  ...params,
+});
+
+describe("validateOrder", () => {
+  it("rounds prices to tick size", () => {
+    assert.equal(roundToTick(100.03, 0.05), 100.05);
+    assert.equal(roundToTick(100.02, 0.05), 100);
+    const validated = validateOrder(order({ prctyp: "SL-LMT", prc: 100.07, trgprc: 99.91 }), future);
+    assert.equal(validated.prc, "100.05");
+    assert.equal(validated.trgprc, "99.9");
+  });
+
+  it("rejects inconsistent orders with reason", () => {
+    const cases = [
+      [order({ qty: 50 }), /multiple of lot size 75/],
+      [order({ prd: "C" }), /prd C not allowed on NFO/],
+      [order({ prctyp: "SL-MKT", prc: 0 }), /trgprc required/],
+      [order({ prctyp: "MKT" }), /prc not allowed for MKT/],
+      [order({ prctyp: "LMT", prc: 0 }), /prc required for LMT/],
+      [order({ trgprc: 99 }), /trgprc only allowed/],
+      [order({ prctyp: "SL-LMT", trgprc: 101 }), /must not be above prc/],
+    ];
+    cases.forEach(([params, reason]) => {
+      assert.throws(() => validateOrder(params, future), (error) => {
+        assert.ok(error instanceof ValidationError);
+        assert.match(error.message, reason);
+        return true;
+      });
+    });
+  });
+});
+
+describe("RiskManager", () => {
+  /**
+   * @type {PaperTradeSmartAPI}
+   */
+  let paper;
+  /**
+   * @type {RiskManager}
+   */
+  let risk;
+
+  beforeEach(() => {
+    risk = new RiskManager({
+      store,
+      ltp: async () => 100,
+      limits: { maxQty: 300, maxOpenOrders: 2, maxDailyLoss: 1000 },
+      symbolLimits: { NIFTY: { maxNotional: 30000 } },
+    });
+    paper = new PaperTradeSmartAPI("FA0001", "", "", "", "", { risk });
+    paper.updatePrice("NFO", "NIFTY28AUG25F", { last: 100 });
+  });
+
+  it("rejects orders breaching quantity, notional and open order limits", async () => {
+    await assert.rejects(paper.placeorder(order({ qty: 375 })), /exceeds max qty 300/);
+    await assert.rejects(
+      paper.placeorder(order({ qty: 300, prc: 101 })),
+      (error) => error instanceof RiskLimitError && /Notional 30300 exceeds max notional 30000/.test(error.message)
+    );
+
+    await paper.placeorder(order({ prc: 90 }));
+    await paper.placeorder(order({ prc: 90.02 }));
+    const [book] = await paper.getOrderBook();
+    assert.equal(book.prc, "90");
+    await assert.rejects(paper.placeorder(order({ prc: 90 })), /max open orders 2/);
+  });
+
+  it("applies validation and limits to modifications", async () => {
+    const { norenordno } = await paper.placeorder(order({ prc: 90 }));
+    await paper.placeorder(order({ prc: 91 }));
+    const modify = (params) =>
+      paper.modifyOrder({ norenordno, exch: "NFO", tsym: "NIFTY28AUG25F", qty: 75, prctyp: "LMT", prc: 90, ...params });
+
+    await assert.rejects(modify({ qty: 375 }), /exceeds max qty 300/);
+    await assert.rejects(modify({ qty: 100 }), (error) => error instanceof ValidationError && /lot size 75/.test(error.message));
+    await assert.rejects(modify({ qty: 300, prc: 101 }), /Notional 30300 exceeds max notional 30000/);
+
+    await modify({ qty: 150, prc: 90.02 });
+    const book = (await paper.getOrderBook()).find((o) => o.norenordno === norenordno);
+    assert.deepEqual([book.qty, book.prc], ["150", "90"]);
+
+    risk.kill("Manual stop");
+    await assert.rejects(modify({ prc: 92 }), /Manual stop/);
+  });
+
+  it("engages kill switch on max daily loss and allows reducing orders", async () => {
+    await paper.placeorder(order({ prctyp: "MKT", prc: 0 }));
+    paper.updatePrice("NFO", "NIFTY28AUG25F", { last: 80 });
+
+    await assert.rejects(paper.placeorder(order({ prc: 80 })), /Max daily loss 1000 reached, loss 1500/);
+    assert.equal(risk.isKilled(), true);
+
+    await paper.placeorder(order({ trantype: "S", prctyp: "MKT", prc: 0 }));
+    const [position] = await paper.getPositionBook();
+    assert.equal(position.netqty, "0");
+
+    risk.resume();
+    risk.setLimits({ maxDailyLoss: 0 });
+    risk.kill("Manual stop");
+    await assert.rejects(paper.placeorder(order({ prc: 80 })), /Manual stop/);
+  });
+
+  it("scopes symbol loss and open order limits to the symbol", async () => {
+    risk = new RiskManager({
+      store,
+      limits: { maxDailyLoss: 100000 },
+      symbolLimits: { BANKNIFTY: { maxDailyLoss: 500, maxOpenOrders: 1 } },
+    });
+    paper = new PaperTradeSmartAPI("FA0001", "", "", "", "", { risk });
+    const bank = (params) => order({ tsym: "BANKNIFTY28AUG25F", qty: 35, ...params });
+    paper.updatePrice("NFO", "NIFTY28AUG25F", { last: 100 });
+    paper.updatePrice("NFO", "BANKNIFTY28AUG25F", { last: 100 });
+
+    await paper.placeorder(order({ prctyp: "MKT", prc: 0 }));
+    paper.updatePrice("NFO", "NIFTY28AUG25F", { last: 90 });
+    await paper.placeorder(bank({ prc: 90 }));
+    await assert.rejects(paper.placeorder(bank({ prc: 91 })), /max open orders 1 for BANKNIFTY/);
+    await paper.placeorder(order({ prc: 80 }));
+    await paper.placeorder(order({ prc: 81 }));
+
+    await paper.cancelOrder((await paper.getOrderBook()).find((o) => o.tsym === "BANKNIFTY28AUG25F").norenordno);
+    await paper.placeorder(bank({ prctyp: "MKT", prc: 0 }));
+    paper.updatePrice("NFO", "BANKNIFTY28AUG25F", { last: 80 });
+    await assert.rejects(paper.placeorder(bank({ prc: 80 })), /Max daily loss 500 reached for BANKNIFTY, loss 700/);
+    assert.equal(risk.isKilled(), false);
+    await paper.placeorder(order({ prc: 80 }));
+    await paper.placeorder(bank({ trantype: "S", prctyp: "MKT", prc: 0 }));
+  });
+});
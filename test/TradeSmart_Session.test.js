@@ -0,0 +1,47 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { DateTime } from "luxon";
+import { FileSessionStore, isSessionFresh } from "../lib/index.js";
+
+describe("isSessionFresh", () => {
+  it("accepts sessions created on current trading day in IST only", () => {
+    const now = DateTime.now().setZone("Asia/Kolkata");
+
+    assert.equal(isSessionFresh({ susertoken: "token", loginTime: now.toISO() }), true);
+    assert.equal(isSessionFresh({ susertoken: "token", loginTime: now.minus({ days: 1 }).toISO() }), false);
+    assert.equal(isSessionFresh({ susertoken: "token", loginTime: "yesterday" }), false);
+    assert.equal(isSessionFresh({ loginTime: now.toISO() }), false);
+    assert.equal(isSessionFresh(null), false);
+  });
+});
+
+describe("FileSessionStore", () => {
+  let folderPath;
+
+  beforeEach(() => {
+    folderPath = fs.mkdtempSync(path.join(os.tmpdir(), "sessions-"));
+  });
+
+  afterEach(() => fs.rmSync(folderPath, { recursive: true, force: true }));
+
+  it("saves, loads and clears session per user", async () => {
+    const store = new FileSessionStore(path.join(folderPath, "nested"));
+    const session = { uid: "FA0001", actid: "FA0001", susertoken: "token", loginTime: DateTime.now().toISO() };
+
+    assert.equal(await store.load("FA0001"), null);
+    await store.save(session);
+    assert.deepEqual(await store.load("FA0001"), session);
+    assert.equal(await store.load("FA0002"), null);
+
+    const filePath = path.join(folderPath, "nested", "FA0001_session.json");
+    assert.equal(fs.statSync(filePath).mode & 0o777, 0o600);
+    assert.deepEqual(fs.readdirSync(path.join(folderPath, "nested")), ["FA0001_session.json"]);
+
+    await store.clear("FA0001");
+    assert.equal(await store.load("FA0001"), null);
+    await store.clear("FA0001");
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  InstrumentStore,
+  OrderState,
+  OrderTracker,
+  PaperTradeSmartAPI,
+  SliceExecutor,
+  planSlices,
+} from "../lib/index.js";
+
+const store = new InstrumentStore().loadRows("NFO", [
+  {
+    Exchange: "NFO",
+    Token: "35001",
+    LotSize: "75",
+    Symbol: "NIFTY",
+    TradingSymbol: "NIFTY28AUG25F",
+    Instrument: "FUTIDX",
+    Expiry: "28-AUG-2025",
+    TickSize: "0.05",
+  },
+]);
+const order = (params) => ({
+  exch: "NFO",
+  tsym: "NIFTY28AUG25F",
+  prd: "M",
+  trantype: "B",
+  prctyp: "LMT",
+  prc: 100,
+  ...params,
+});
+
+describe("planSlices", () => {
+  it("splits into lot aligned slices", () => {
+    assert.deepEqual(planSlices(4500, 75, 1800), [1800, 1800, 900]);
+    assert.deepEqual(planSlices(150, 75, 1800), [150]);
+    assert.throws(() => planSlices(100, 75, 1800), /multiple of lot size/);
+    assert.throws(() => planSlices(150, 75, 50), /below lot size/);
+  });
+});
+
+describe("SliceExecutor", () => {
+  /**
+   * @type {PaperTradeSmartAPI}
+   */
+  let paper;
+  /**
+   * @type {SliceExecutor}
+   */
+  let executor;
+
+  beforeEach(() => {
+    paper = new PaperTradeSmartAPI("FA0001", "", "", "", "", { funds: 10000000 });
+    const tracker = new OrderTracker(paper, { reconcileInterval: 0 });
+    paper.onOrder((om) => tracker.handleOrderUpdate(om));
+    executor = new SliceExecutor(paper, { tracker, store, pace: 1 });
+  });
+
+  it("places slices below freeze quantity and aggregates fills", async () => {
+    paper.updatePrice("NFO", "NIFTY28AUG25F", { last: 100 });
+    const parent = await executor.execute(order({ qty: 4500 }), { freezeQty: 1801 });
+    const summary = await parent.done;
+
+    assert.deepEqual(summary.plan, [1800, 1800, 900]);
+    assert.equal(summary.state, OrderState.COMPLETE);
+    assert.equal(summary.filledQty, 4500);
+    assert.equal(summary.avgPrice, 100);
+    assert.deepEqual(
+      (await paper.getOrderBook()).map((o) => o.qty).reverse(),
+      ["1800", "1800", "900"]
+    );
+  });
+
+  it("releases iceberg slices after fills and cancels the rest", async () => {
+    const parent = await executor.execute(order({ qty: 450, prc: 95 }), {
+      iceberg: true,
+      sliceQty: 150,
+    });
+    const states = [];
+    parent.onUpdate((summary) => states.push([summary.state, summary.filledQty]));
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    assert.equal((await paper.getOrderBook()).length, 1);
+
+    paper.updateCandle("NFO", "NIFTY28AUG25F", { high: 97, low: 94, close: 97 });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    assert.equal((await paper.getOrderBook()).length, 2);
+
+    await parent.cancelAll();
+    const summary = await parent.done;
+    assert.equal(summary.state, OrderState.CANCELLED);
+    assert.equal(summary.filledQty, 150);
+    assert.deepEqual(summary.slices.map((s) => s.state), [OrderState.COMPLETE, OrderState.CANCELLED]);
+    assert.deepEqual(states.at(-1), [OrderState.CANCELLED, 150]);
+    assert.equal(executor.getActive().length, 0);
+  });
+
+  it("stops iceberg parent when a slice rests unfilled past slice timeout", async () => {
+    const parent = await executor.execute(order({ qty: 450, prc: 95 }), {
+      iceberg: true,
+      sliceQty: 150,
+      sliceTimeout: 30,
+    });
+    const summary = await parent.done;
+
+    assert.equal(summary.state, OrderState.REJECTED);
+    assert.equal(summary.rejectionReason, `Slice ${summary.slices[0].norenordno} not filled in 30ms`);
+    assert.deepEqual(summary.slices.map((s) => s.state), [OrderState.CANCELLED]);
+    assert.equal((await paper.getOrderBook())[0].status, "CANCELED");
+    assert.equal(executor.getActive().length, 0);
+  });
+
+  it("stops parent instead of rejecting when placing a slice throws", async () => {
+    const api = { placeorder: async () => ({ stat: "Ok" }) };
+    const slicer = new SliceExecutor(api, { tracker: new OrderTracker(api, { reconcileInterval: 0 }), store });
+    const parent = await slicer.execute(order({ qty: 3600 }), { freezeQty: 1801 });
+    parent.onUpdate(() => {
+      throw new Error("listener failed");
+    });
+
+    const summary = await parent.done;
+    assert.equal(summary.state, OrderState.REJECTED);
+    assert.equal(summary.rejectionReason, "norenordno required");
+    assert.deepEqual(slicer.getActive(), []);
+  });
+});
@@ -0,0 +1,213 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { DateTime } from "luxon";
+import { PaperTradeSmartAPI, TriggerEngine, TriggerStatus } from "../lib/index.js";
+
+const quote = (lp) => ({ e: "NSE", tk: "22", ts: "ACC-EQ", lp });
+const buy = { exch: "NSE", tsym: "ACC-EQ", prd: "I", trantype: "B", qty: 10, prctyp: "MKT" };
+const at = (time) => DateTime.fromISO(`2025-08-20T${time}`, { zone: "Asia/Kolkata" });
+
+describe("TriggerEngine", () => {
+  let folderPath;
+  /**
+   * @type {PaperTradeSmartAPI}
+   */
+  let paper;
+  /**
+   * @type {TriggerEngine}
+   */
+  let engine;
+
+  beforeEach(() => {
+    folderPath = fs.mkdtempSync(path.join(os.tmpdir(), "triggers-"));
+    paper = new PaperTradeSmartAPI("FA0001", "", "", "", "");
+    paper.updatePrice("NSE", "ACC-EQ", { last: 100 });
+    engine = new TriggerEngine(paper, { folderPath });
+  });
+
+  afterEach(() => {
+    engine.stop();
+    fs.rmSync(folderPath, { recursive: true, force: true });
+  });
+
+  const feed = async (lp) => {
+    paper.updatePrice("NSE", "ACC-EQ", { last: lp });
+    await engine.update(quote(lp), at("10:00"));
+  };
+
+  it("places order when price crosses and persists state", async () => {
+    const trigger = await engine.add({
+      exch: "NSE",
+      token: "22",
+      condition: { type: "above", price: 105 },
+      action: { type: "place", order: buy },
+    });
+    await feed(104);
+    assert.equal(engine.get(trigger.id).status, TriggerStatus.ACTIVE);
+    await feed(105.5);
+
+    const fired = engine.get(trigger.id);
+    assert.equal(fired.status, TriggerStatus.FIRED);
+    assert.equal(fired.result.norenordno, "PAPER00000001");
+    await feed(110);
+    assert.equal((await paper.getOrderBook()).length, 1);
+
+    const reloaded = new TriggerEngine(paper, { folderPath });
+    const [saved] = await reloaded.load();
+    assert.equal(saved.status, TriggerStatus.FIRED);
+    assert.deepEqual(
+      (await reloaded.getAudit()).map((entry) => [entry.event, entry.ltp]),
+      [["created", undefined], ["fired", 105.5]]
+    );
+  });
+
+  it("cancels the other leg of an OCO pair", async () => {
+    await paper.placeorder(buy);
+    const [target, stop] = await engine.addOCO(
+      { exch: "NSE", token: "22", tsym: "ACC-EQ", condition: { type: "above", price: 110 }, action: { type: "exit" } },
+      { exch: "NSE", token: "22", tsym: "ACC-EQ", condition: { type: "percent", percent: -5 }, action: { type: "exit" } }
+    );
+    await feed(100);
+    await feed(94.9);
+
+    assert.equal(engine.get(stop.id).status, TriggerStatus.FIRED);
+    assert.equal(engine.get(target.id).status, TriggerStatus.CANCELLED);
+    assert.match(engine.get(target.id).error, /^OCO/);
+    const [position] = await paper.getPositionBook();
+    assert.equal(position.netqty, "0");
+  });
+
+  it("trails stop behind the best price", async () => {
+    await paper.placeorder(buy);
+    const updates = [];
+    engine.onUpdate((trigger, entry) => updates.push([entry.event, entry.ltp]));
+    const trail = await engine.add({
+      exch: "NSE",
+      token: "22",
+      tsym: "ACC-EQ",
+      condition: { type: "trail", distance: 5 },
+      action: { type: "exit", prd: "I" },
+    });
+    for (const lp of [100, 108, 104, 112, 107.5]) {
+      await feed(lp);
+    }
+    assert.equal(engine.get(trail.id).condition.peak, 112);
+    assert.equal(engine.get(trail.id).status, TriggerStatus.ACTIVE);
+    await feed(107);
+
+    assert.deepEqual(updates, [["fired", 107]]);
+    const [position] = await paper.getPositionBook();
+    assert.equal(position.netqty, "0");
+  });
+
+  it("fires time triggers, expires triggers and records failures", async () => {
+    const timed = await engine.add({
+      exch: "NSE",
+      tsym: "ACC-EQ",
+      condition: { type: "time", at: at("15:15").toISO() },
+      action: { type: "exit" },
+    });
+    const expiring = await engine.add({
+      exch: "NSE",
+      token: "22",
+      condition: { type: "below", price: 90 },
+      action: { type: "place", order: buy },
+      expiresAt: at("15:00").toISO(),
+    });
+
+    await engine.check(at("14:59"));
+    assert.equal(engine.list({ status: TriggerStatus.ACTIVE }).length, 2);
+    await engine.check(at("15:15:30"));
+
+    assert.equal(engine.get(expiring.id).status, TriggerStatus.EXPIRED);
+    assert.equal(engine.get(timed.id).status, TriggerStatus.FAILED);
+    assert.equal(engine.get(timed.id).error, "No open position in ACC-EQ");
+  });
+
+  it("fires time triggers at next occurrence and expires missed ones", async () => {
+    const timed = await engine.add({
+      exch: "NSE",
+      tsym: "ACC-EQ",
+      condition: { type: "time", at: "15:15" },
+      action: { type: "exit" },
+    });
+    const fireAt = DateTime.fromISO(engine.get(timed.id).condition.fireAt);
+    assert.ok(fireAt > DateTime.now() && fireAt <= DateTime.now().plus({ days: 1 }));
+    assert.equal(fireAt.setZone("Asia/Kolkata").toFormat("HH:mm"), "15:15");
+
+    const missed = await engine.add({
+      exch: "NSE",
+      tsym: "ACC-EQ",
+      condition: { type: "time", at: at("15:15").toISO() },
+      action: { type: "exit" },
+    });
+    await engine.check(at("15:20"));
+
+    assert.equal(engine.get(missed.id).status, TriggerStatus.EXPIRED);
+    assert.equal(engine.get(timed.id).status, TriggerStatus.ACTIVE);
+    assert.equal((await paper.getOrderBook() || []).length, 0);
+  });
+
+  it("fires only one OCO leg for concurrent ticks and never refires after a crash", async () => {
+    await paper.placeorder(buy);
+    const [target, stop] = await engine.addOCO(
+      { exch: "NSE", token: "22", tsym: "ACC-EQ", condition: { type: "above", price: 110 }, action: { type: "exit" } },
+      { exch: "NSE", token: "22", tsym: "ACC-EQ", condition: { type: "below", price: 95 }, action: { type: "exit" } }
+    );
+    paper.updatePrice("NSE", "ACC-EQ", { last: 111 });
+    const first = engine.update(quote(111), at("10:00"));
+    const second = engine.update(quote(94), at("10:00"));
+
+    assert.equal(engine.get(target.id).status, TriggerStatus.FIRING);
+    assert.equal(engine.get(stop.id).status, TriggerStatus.CANCELLED);
+    await Promise.all([first, second]);
+    assert.equal(engine.get(target.id).status, TriggerStatus.FIRED);
+    assert.equal((await paper.getOrderBook()).length, 2);
+
+    const saved = JSON.parse(fs.readFileSync(path.join(folderPath, "triggers.json"), "utf-8"));
+    saved.find((t) => t.id === target.id).status = TriggerStatus.FIRING;
+    fs.writeFileSync(path.join(folderPath, "triggers.json"), JSON.stringify(saved));
+    const reloaded = new TriggerEngine(paper, { folderPath });
+    await reloaded.load();
+    await reloaded.update(quote(120), at("10:01"));
+
+    assert.equal(reloaded.get(target.id).status, TriggerStatus.FAILED);
+    assert.equal((await paper.getOrderBook()).length, 2);
+  });
+
+  it("subscribes active trigger instruments on attach", async () => {
+    const subscribed = [];
+    const ws = Object.assign(new EventEmitter(), {
+      subscribe: (instruments) => subscribed.push(instruments),
+    });
+    await engine.add({
+      exch: "NSE",
+      token: "22",
+      condition: { type: "above", price: 105 },
+      action: { type: "place", order: buy },
+    });
+    engine.attach(ws);
+    assert.deepEqual(subscribed, [[{ Exchange: "NSE", Token: "22" }]]);
+
+    ws.emit("tick", quote(106));
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    assert.equal(engine.list({ status: TriggerStatus.FIRED }).length, 1);
+    engine.detach();
+    assert.equal(ws.listenerCount("tick"), 0);
+  });
+
+  it("validates definitions", async () => {
+    await assert.rejects(
+      engine.add({ exch: "NSE", condition: { type: "above", price: 1 }, action: { type: "place", order: buy } }),
+      /token required/
+    );
+    await assert.rejects(
+      engine.add({ exch: "NSE", token: "22", condition: { type: "trail" }, action: { type: "exit" } }),
+      /distance or percent required/
+    );
+  });
+});
@@ -0,0 +1,297 @@
+import { describe, it, before, after, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { AuthError, TimeoutError, TradeSmartAPI, TradeSmartWS } from "../lib/index.js";
+import { MockNorenServer } from "../lib/TradeSmart_MockServer.js";
+
+const waitFor = async (condition, timeout = 2000) => {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) {
+      throw new Error("condition not met in time");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+describe("TradeSmartWS", () => {
+  const server = new MockNorenServer();
+
+  /**
+   * @type {TradeSmartWS}
+   */
+  let ws;
+
+  before(() => server.start());
+  after(() => server.stop());
+
+  beforeEach(() => {
+    server.reset();
+    ws = new TradeSmartWS("FA0001", server.createSession(), { url: server.wsURL });
+  });
+
+  afterEach(() => ws.disconnect());
+
+  it("logs in on connect", async () => {
+    await ws.connect();
+    await waitFor(() => server.messages.length);
+
+    assert.equal(server.messages[0].t, "c");
+    assert.equal(server.messages[0].uid, "FA0001");
+  });
+
+  it("merges partial ticks into numeric quotes", async () => {
+    server.setQuote({ e: "NSE", tk: "22", ts: "ACC-EQ", lp: "2000.50", v: "1000", bp1: "2000.45" });
+    const quotes = [];
+    const raw = [];
+    ws.onQuote((q) => quotes.push(q));
+    ws.onData((d) => raw.push(d));
+
+    await ws.connect();
+    await ws.subscribe([{ Exchange: "NSE", Token: "22" }]);
+    await waitFor(() => quotes.length === 1);
+    server.broadcast({ t: "tf", e: "NSE", tk: "22", lp: "2001" });
+    await waitFor(() => quotes.length === 2);
+
+    assert.deepEqual(raw[1], { t: "tf", e: "NSE", tk: "22", lp: "2001" });
+    assert.deepEqual(quotes[1], { e: "NSE", tk: "22", ts: "ACC-EQ", lp: 2001, v: 1000, bp1: 2000.45 });
+    assert.deepEqual(ws.getQuote("NSE", "22"), quotes[1]);
+  });
+
+  it("tracks subscriptions and resends them after reconnect", async () => {
+    await ws.subscribe([{ Exchange: "NSE", Token: "22" }, { Exchange: "NSE", Token: "1594" }]);
+    await ws.subscribeDepth([{ Exchange: "NFO", Token: "35001" }]);
+    await ws.subscribeOrders();
+    await ws.connect();
+    await waitFor(() => server.messages.some((m) => m.t === "o"));
+    await ws.unsubscribe([{ Exchange: "NSE", Token: "1594" }]);
+    await waitFor(() => server.messages.some((m) => m.t === "u"));
+
+    ws.disconnect();
+    server.messages = [];
+    await ws.connect();
+    await waitFor(() => server.messages.some((m) => m.t === "o"));
+
+    assert.deepEqual(ws.getSubscriptions(), {
+      touchline: ["NSE|22"],
+      depth: ["NFO|35001"],
+      orders: true,
+    });
+    assert.deepEqual(
+      server.messages.filter((m) => m.t !== "h").map((m) => [m.t, m.k]),
+      [
+        ["c", undefined],
+        ["t", "NSE|22"],
+        ["d", "NFO|35001"],
+        ["o", undefined],
+      ]
+    );
+  });
+
+  it("keeps shared subscriptions until every subscriber unsubscribes", async () => {
+    await ws.connect();
+    await ws.subscribe([{ Exchange: "NSE", Token: "22" }]);
+    await ws.subscribe([{ Exchange: "NSE", Token: "22" }, { Exchange: "NSE", Token: "1594" }]);
+    await ws.unsubscribe([{ Exchange: "NSE", Token: "22" }, { Exchange: "NSE", Token: "1594" }]);
+    await waitFor(() => server.messages.some((m) => m.t === "u"));
+
+    assert.deepEqual(ws.getSubscriptions().touchline, ["NSE|22"]);
+    await ws.unsubscribe([{ Exchange: "NSE", Token: "22" }]);
+    await waitFor(() => server.messages.filter((m) => m.t === "u").length === 2);
+
+    assert.deepEqual(ws.getSubscriptions().touchline, []);
+    assert.deepEqual(
+      server.messages.filter((m) => ["t", "u"].includes(m.t)).map((m) => [m.t, m.k]),
+      [
+        ["t", "NSE|22"],
+        ["t", "NSE|1594"],
+        ["u", "NSE|1594"],
+        ["u", "NSE|22"],
+      ]
+    );
+  });
+
+  it("batches large subscription lists", async () => {
+    await ws.connect();
+    const instruments = Array.from({ length: 120 }, (_, i) => ({ Exchange: "NSE", Token: String(i + 1) }));
+    await ws.subscribe(instruments);
+    await waitFor(() => server.messages.filter((m) => m.t === "t").length === 3);
+
+    const batches = server.messages.filter((m) => m.t === "t").map((m) => m.k.split("#").length);
+    assert.deepEqual(batches, [50, 50, 20]);
+  });
+
+  it("delivers order updates", async () => {
+    const orders = [];
+    ws.onOrder((o) => orders.push(o));
+    await ws.connect();
+    await waitFor(() => server.messages.length);
+    server.broadcast({ t: "om", norenordno: "1", status: "COMPLETE" });
+    await waitFor(() => orders.length);
+
+    assert.equal(orders[0].status, "COMPLETE");
+  });
+
+  it("resolves connect after login and rejects on auth failure", async () => {
+    const events = [];
+    ["open", "authenticated", "close"].forEach((event) => ws.on(event, () => events.push(event)));
+    await ws.connect();
+    assert.deepEqual(events, ["open", "authenticated"]);
+
+    const invalid = new TradeSmartWS("FA0001", "expired", { url: server.wsURL });
+    const errors = [];
+    invalid.on("error", (error) => errors.push(error));
+    await assert.rejects(invalid.connect(), AuthError);
+    assert.ok(errors[0] instanceof AuthError);
+  });
+
+  it("emits ticks, depth and orders to every listener", async () => {
+    server.setQuote({ e: "NSE", tk: "22", lp: "100" });
+    const ticks = [];
+    const depth = [];
+    const orders = [];
+    ws.on("tick", (quote) => ticks.push(["first", quote.lp]));
+    ws.on("tick", (quote, data) => ticks.push(["second", data.lp]));
+    ws.on("depth", (quote) => depth.push(quote.lp));
+    ws.on("order", (om) => orders.push(om.norenordno));
+
+    await ws.connect();
+    await ws.subscribe([{ Exchange: "NSE", Token: "22" }]);
+    await waitFor(() => ticks.length === 2);
+    server.broadcast({ t: "df", e: "NSE", tk: "22", lp: "101" });
+    server.broadcast({ t: "om", norenordno: "1" });
+    await waitFor(() => depth.length && orders.length);
+
+    assert.deepEqual(ticks, [["first", 100], ["second", "100"]]);
+    assert.deepEqual(depth, [101]);
+    assert.deepEqual(orders, ["1"]);
+  });
+
+  it("reconnects with fresh token from token provider", async () => {
+    let tokens = 0;
+    ws = new TradeSmartWS("FA0001", server.createSession(), {
+      url: server.wsURL,
+      reconnect: { baseDelay: 10, maxDelay: 20 },
+      tokenProvider: async () => {
+        tokens++;
+        return { susertoken: server.createSession() };
+      },
+    });
+    const events = [];
+    ["reconnecting", "reconnected", "close"].forEach((event) =>
+      ws.on(event, (detail) => events.push([event, detail?.attempt]))
+    );
+    await ws.connect();
+    await ws.subscribe([{ Exchange: "NSE", Token: "22" }]);
+
+    server.expireSessions();
+    server.messages = [];
+    server.dropConnections();
+    await waitFor(() => events.some(([event]) => event === "reconnected"));
+
+    assert.equal(tokens, 1);
+    assert.deepEqual(events, [["close", undefined], ["reconnecting", 1], ["reconnected", undefined]]);
+    assert.ok(server.messages.some((m) => m.t === "t" && m.k === "NSE|22"));
+  });
+
+  it("rejects connect when login is not acknowledged in time", async () => {
+    ws = new TradeSmartWS("FA0001", server.createSession(), {
+      url: server.wsURL,
+      connectTimeout: 50,
+      reconnect: { retries: 0 },
+    });
+    const errors = [];
+    ws.on("error", (error) => errors.push(error));
+    server.freeze();
+
+    await assert.rejects(ws.connect(), TimeoutError);
+    assert.ok(errors[0] instanceof TimeoutError);
+  });
+
+  it("does not reconnect in background when first connect fails", async () => {
+    ws = new TradeSmartWS("FA0001", server.createSession(), {
+      url: server.wsURL,
+      connectTimeout: 50,
+      reconnect: { baseDelay: 10, maxDelay: 20 },
+    });
+    const reconnecting = [];
+    ws.on("error", () => {});
+    ws.on("reconnecting", (event) => reconnecting.push(event));
+    server.freeze();
+
+    await assert.rejects(ws.connect(), TimeoutError);
+    server.freeze(false);
+    server.messages = [];
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    assert.deepEqual(reconnecting, []);
+    assert.equal(server.messages.filter((m) => m.t === "c").length, 0);
+
+    await ws.connect();
+    assert.equal(server.messages.filter((m) => m.t === "c").length, 1);
+  });
+
+  it("drops a silent connection and reconnects once", async () => {
+    ws = new TradeSmartWS("FA0001", server.createSession(), {
+      url: server.wsURL,
+      heartbeatInterval: 20,
+      livenessTimeout: 80,
+      reconnect: { baseDelay: 10, maxDelay: 20 },
+    });
+    const events = [];
+    ws.on("error", (error) => events.push(["error", error.name]));
+    ws.on("reconnecting", ({ attempt, delay }) => {
+      events.push(["reconnecting", attempt]);
+      assert.ok(delay <= 10);
+      server.freeze(false);
+    });
+    ws.on("reconnected", () => events.push(["reconnected"]));
+    await ws.connect();
+
+    server.freeze();
+    await waitFor(() => events.some(([event]) => event === "reconnected"));
+
+    assert.deepEqual(events, [["error", "NetworkError"], ["reconnecting", 1], ["reconnected"]]);
+  });
+
+  it("resubscribes instruments without ticks during market hours", async () => {
+    ws = new TradeSmartWS("FA0001", server.createSession(), {
+      url: server.wsURL,
+      heartbeatInterval: 20,
+      staleTimeout: 60,
+      isMarketOpen: (exchange) => exchange === "NSE",
+    });
+    const stale = [];
+    ws.on("stale", ({ key, feed }) => stale.push([key, feed]));
+    await ws.subscribe([{ Exchange: "NSE", Token: "22" }, { Exchange: "MCX", Token: "4001" }]);
+    await ws.connect();
+
+    await waitFor(() => stale.length);
+    assert.deepEqual(stale[0], ["NSE|22", "t"]);
+    assert.ok(stale.every(([key]) => key === "NSE|22"));
+    await waitFor(() => server.messages.filter((m) => m.t === "t" && m.k === "NSE|22").length >= 2);
+  });
+
+  it("logs attached client in again when reconnect token is refused", async () => {
+    const api = new TradeSmartAPI("FA0001", "secret", "VC", "apikey", "JBSWY3DPEHPK3PXP", {
+      baseURL: server.baseURL,
+      sessionStore: null,
+    });
+    await api.login();
+    ws = new TradeSmartWS("FA0001", "", { url: server.wsURL, reconnect: { baseDelay: 10, maxDelay: 20 } });
+    api.attachWebSocket(ws);
+    const errors = [];
+    let reconnected = false;
+    ws.on("error", (error) => errors.push(error));
+    ws.on("reconnected", () => (reconnected = true));
+    await ws.connect();
+    const oldToken = api.getSessionDetails().susertoken;
+
+    server.expireSessions();
+    server.dropConnections();
+    await waitFor(() => reconnected);
+
+    assert.ok(errors[0] instanceof AuthError);
+    assert.notEqual(api.getSessionDetails().susertoken, oldToken);
+    assert.equal(server.requests.filter((r) => r.route === "/QuickAuth").length, 2);
+  });
+});